@@ -0,0 +1,269 @@
+#!/usr/bin/env bun
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const {
+  createExtractor,
+  flexibleExtract,
+  formatGraph,
+  printResults,
+} = require("./index.js");
+const { mergeGraphs } = require("./dependency-graph.js");
+const { compileSelector } = require("./selector.js");
+
+const USAGE = `Usage: dep-ext [options] [file|glob ...]
+
+Extracts the code matching a pattern together with everything it depends on.
+Reads from stdin when no file is given (or when the file is "-").
+
+Options:
+  -p, --pattern <regex>   Regex matching the code to extract
+  -n, --names <a,b,...>   Exact declaration names to extract (uses the complex method)
+  -s, --selector <query>  AST selector, e.g. 'CallExpression[callee.name="atob"]' (uses the complex method)
+  -m, --method <method>   "simple" (regex on the text) or "complex" (AST), default "simple"
+  -o, --out <file>        Write the extracted code to a file instead of stdout
+      --follow-packages   Also extract from imported packages (node_modules)
+      --json              Print the full results, metadata included, as JSON
+  -g, --graph <format>    Print the dependency graph ("json", "dot" or "mermaid") instead of the code
+  -e, --explain           Print why each declaration was included, as a tree
+  -q, --quiet             Only print the extracted code and errors
+  -v, --verbose           Print every debug log while extracting
+  -h, --help              Show this help
+`;
+
+const CLI_OPTIONS = {
+  pattern: { type: "string", short: "p" },
+  names: { type: "string", short: "n" },
+  selector: { type: "string", short: "s" },
+  method: { type: "string", short: "m", default: "simple" },
+  out: { type: "string", short: "o" },
+  "follow-packages": { type: "boolean", default: false },
+  json: { type: "boolean", default: false },
+  graph: { type: "string", short: "g" },
+  explain: { type: "boolean", short: "e", default: false },
+  quiet: { type: "boolean", short: "q", default: false },
+  verbose: { type: "boolean", short: "v", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const GRAPH_FORMATS = ["json", "dot", "mermaid"];
+
+/**
+ * Expands the positional arguments into input files 📂
+ * Existing files are used as-is, anything else is treated as a glob.
+ * @param {string[]} inputs - Files, globs or "-" for stdin
+ * @returns {string[]} Absolute file paths, or "-" for stdin
+ */
+function expandInputs(inputs) {
+  const files = [];
+
+  inputs.forEach((input) => {
+    if (input === "-") {
+      files.push(input);
+      return;
+    }
+    if (fs.existsSync(input)) {
+      if (!fs.statSync(input).isFile()) {
+        throw new Error(`Not a file: ${input}`);
+      }
+      files.push(path.resolve(input));
+      return;
+    }
+
+    const matches = Array.from(
+      new Bun.Glob(input).scanSync({ absolute: true, onlyFiles: true })
+    ).sort();
+    if (matches.length === 0) {
+      throw new Error(`No files match: ${input}`);
+    }
+    files.push(...matches);
+  });
+
+  return [...new Set(files)];
+}
+
+/**
+ * Runs the requested extraction on one input 🚀
+ * @param {string} code - Source code of the input
+ * @param {string|undefined} filePath - Input file, undefined for stdin
+ * @param {Object} values - Parsed command-line options
+ * @param {Object} extractor - Extractor shared by every input, so common imports are parsed once
+ * @returns {Object} Extraction result
+ */
+function runExtraction(code, filePath, values, extractor) {
+  const options = {
+    logLevel: values.verbose ? "SUCCESS" : values.quiet ? "ERROR" : "WARN",
+    followPackages: values["follow-packages"],
+  };
+
+  if (values.names) {
+    const names = values.names
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+    return extractor.extractByNames(code, names, filePath, options);
+  }
+
+  if (values.selector) {
+    return extractor.findAndExtract(
+      code,
+      { selector: values.selector },
+      filePath,
+      options
+    );
+  }
+
+  if (values.method === "complex") {
+    return extractor.findAndExtract(code, values.pattern, filePath, options);
+  }
+
+  return flexibleExtract(
+    code,
+    values.pattern,
+    values.method,
+    filePath,
+    options
+  );
+}
+
+/**
+ * Reads the extracted code out of either result shape 📜
+ * @param {Object} result - Result of `flexibleExtract` or `extractByNames`
+ * @returns {string} The extracted code
+ */
+function getExtractedCode(result) {
+  return result.finalCode ?? result.extractedCode ?? "";
+}
+
+/**
+ * Entry point of the `dep-ext` command 🎬
+ * @param {string[]} argv - Command-line arguments (without node and script)
+ * @returns {number} Process exit code
+ */
+function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: CLI_OPTIONS,
+      allowPositionals: true,
+    });
+  } catch (error) {
+    console.error(`dep-ext: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!values.pattern && !values.names && !values.selector) {
+    console.error(
+      `dep-ext: --pattern, --names or --selector is required\n\n${USAGE}`
+    );
+    return 2;
+  }
+  if (!["simple", "complex"].includes(values.method)) {
+    console.error(`dep-ext: unknown method "${values.method}"\n\n${USAGE}`);
+    return 2;
+  }
+  if (values.graph && !GRAPH_FORMATS.includes(values.graph)) {
+    console.error(
+      `dep-ext: unknown graph format "${values.graph}"\n\n${USAGE}`
+    );
+    return 2;
+  }
+
+  if (values.selector) {
+    try {
+      compileSelector(values.selector);
+    } catch (error) {
+      console.error(`dep-ext: ${error.message}`);
+      return 2;
+    }
+  }
+
+  let files;
+  try {
+    files = expandInputs(positionals.length > 0 ? positionals : ["-"]);
+  } catch (error) {
+    console.error(`dep-ext: ${error.message}`);
+    return 1;
+  }
+
+  let inputs;
+  try {
+    inputs = files.map((file) => ({
+      file,
+      code: fs.readFileSync(file === "-" ? 0 : file, "utf8"),
+    }));
+  } catch (error) {
+    console.error(`dep-ext: ${error.message}`);
+    return 1;
+  }
+
+  const extractor = createExtractor();
+  const results = inputs.map(({ file, code }) => {
+    const fromStdin = file === "-";
+    const filePath = fromStdin ? undefined : file;
+    const label = fromStdin ? "<stdin>" : file;
+    // One input that fails to parse must not lose the results of the others
+    try {
+      return {
+        file: label,
+        ...runExtraction(code, filePath, values, extractor),
+      };
+    } catch (error) {
+      const message = error.message.split("\n")[0];
+      console.error(`dep-ext: ${label}: ${message}`);
+      return { file: label, success: false, message };
+    }
+  });
+
+  const extractedCode = results
+    .filter((result) => result.success)
+    .map((result) =>
+      results.length > 1
+        ? `// ${path.relative(process.cwd(), result.file)}\n${getExtractedCode(
+            result
+          )}`
+        : getExtractedCode(result)
+    )
+    .join("\n\n");
+
+  if (values.out) {
+    fs.writeFileSync(values.out, extractedCode + "\n");
+  }
+
+  if (values.graph) {
+    const graphs = results
+      .filter((result) => result.graph)
+      .map((result) => result.graph);
+    console.log(formatGraph(mergeGraphs(graphs), values.graph));
+  } else if (values.json) {
+    const output = results.length === 1 ? results[0] : results;
+    console.log(JSON.stringify(output, null, 2));
+  } else {
+    if (!values.quiet) {
+      results.forEach((result) => {
+        console.log(`📄 ${result.file}`);
+        printResults(result, { explain: values.explain });
+      });
+    }
+    if (!values.out) {
+      console.log(extractedCode);
+    } else if (!values.quiet) {
+      console.log(`💾 Extracted code written to ${values.out}`);
+    }
+  }
+
+  return results.every((result) => result.success) ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main };
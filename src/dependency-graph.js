@@ -0,0 +1,238 @@
+const path = require("path");
+
+/**
+ * @typedef {Object} GraphNode
+ * @property {string} id - Declaration id (file, name and position)
+ * @property {string} name - Qualified declaration name, e.g. `Class.method`
+ * @property {string} type - Declaration type
+ * @property {string} file - File the declaration lives in
+ * @property {number|null} line - Line of the declaration
+ * @property {string|null} className - Owning class, for methods
+ * @property {string|null} parentFunction - Enclosing function, for nested declarations
+ * @property {boolean} matched - Whether the declaration matched the pattern
+ * @property {boolean} included - Whether the declaration is emitted in the extracted code
+ */
+
+/**
+ * @typedef {Object} GraphEdge
+ * @property {string} from - Id of the declaration holding the reference
+ * @property {string} to - Id of the referenced declaration
+ * @property {'call'|'new'|'extends'|'type'|'jsx'|'export'|'require'|'reference'|'container'} kind - How it is referenced
+ * @property {string} file - File of the referencing identifier
+ * @property {number|null} line - Line of the referencing identifier
+ * @property {number|null} column - Column of the referencing identifier
+ */
+
+/**
+ * @typedef {Object} DependencyGraph
+ * @property {GraphNode[]} nodes - Declarations involved in the extraction
+ * @property {GraphEdge[]} edges - Who depends on whom, one edge per pair and kind
+ */
+
+/**
+ * Creates a builder collecting the declarations and references of an extraction 🕸️
+ * Nodes are added as edges mention them, so the graph only holds what the
+ * extraction actually walked through.
+ * @returns {{addNode: function(Object, Object=): void, addEdge: function(Object, Object, string, Object=): void, build: function(): DependencyGraph}} Graph builder
+ */
+function createGraphBuilder() {
+  const nodes = new Map();
+  const edges = new Map();
+
+  const addNode = (declaration, flags = {}) => {
+    if (!nodes.has(declaration.id)) {
+      nodes.set(declaration.id, {
+        id: declaration.id,
+        name: declaration.qualifiedName,
+        type: declaration.type,
+        file: declaration.source,
+        line: declaration.node.loc?.start.line ?? null,
+        className: declaration.className || null,
+        parentFunction: declaration.parentFunction || null,
+        matched: false,
+        included: false,
+      });
+    }
+    const node = nodes.get(declaration.id);
+    node.matched = node.matched || !!flags.matched;
+    node.included = node.included || !!flags.included;
+  };
+
+  const addEdge = (from, to, kind, location = {}) => {
+    if (from === to) return;
+
+    addNode(from);
+    addNode(to);
+
+    const key = `${from.id}\n${to.id}\n${kind}`;
+    if (!edges.has(key)) {
+      edges.set(key, {
+        from: from.id,
+        to: to.id,
+        kind,
+        file: location.file || from.source,
+        line: location.line ?? null,
+        column: location.column ?? null,
+      });
+    }
+  };
+
+  return {
+    addNode,
+    addEdge,
+    build: () => ({
+      nodes: Array.from(nodes.values()),
+      edges: Array.from(edges.values()),
+    }),
+  };
+}
+
+/**
+ * Merges several dependency graphs, keeping each node and edge once 🔀
+ * @param {DependencyGraph[]} graphs - Graphs to merge
+ * @returns {DependencyGraph} The union of the graphs
+ */
+function mergeGraphs(graphs) {
+  const nodes = new Map();
+  const edges = new Map();
+
+  graphs.forEach((graph) => {
+    graph.nodes.forEach((node) => {
+      const existing = nodes.get(node.id);
+      nodes.set(
+        node.id,
+        existing
+          ? {
+              ...existing,
+              matched: existing.matched || node.matched,
+              included: existing.included || node.included,
+            }
+          : node
+      );
+    });
+    graph.edges.forEach((edge) => {
+      const key = `${edge.from}\n${edge.to}\n${edge.kind}`;
+      if (!edges.has(key)) {
+        edges.set(key, edge);
+      }
+    });
+  });
+
+  return {
+    nodes: Array.from(nodes.values()),
+    edges: Array.from(edges.values()),
+  };
+}
+
+/**
+ * Serializes a dependency graph as JSON, Graphviz DOT or Mermaid 🖼️
+ * @param {DependencyGraph} graph - Graph from an extraction result
+ * @param {'json'|'dot'|'mermaid'} [format='json'] - Output format
+ * @returns {string} The serialized graph
+ */
+function formatGraph(graph, format = "json") {
+  switch (format) {
+    case "json":
+      return JSON.stringify(graph, null, 2);
+    case "dot":
+      return toDot(graph);
+    case "mermaid":
+      return toMermaid(graph);
+    default:
+      throw new Error(`Unknown graph format: ${format}`);
+  }
+}
+
+/**
+ * Serializes a dependency graph as a Graphviz digraph 🟢
+ * Matched declarations are filled, and dashed boxes are only referenced, not emitted.
+ * @param {DependencyGraph} graph - Graph to serialize
+ * @returns {string} DOT source
+ */
+function toDot(graph) {
+  const lines = ["digraph dependencies {", "  node [shape=box];"];
+
+  graph.nodes.forEach((node) => {
+    const attributes = [`label=${quoteDot(getNodeLabel(node, "\n"))}`];
+    if (node.matched) {
+      attributes.push("style=filled", 'fillcolor="#ffe08a"');
+    } else if (!node.included) {
+      attributes.push("style=dashed");
+    }
+    lines.push(`  ${quoteDot(node.id)} [${attributes.join(", ")}];`);
+  });
+
+  graph.edges.forEach((edge) => {
+    lines.push(
+      `  ${quoteDot(edge.from)} -> ${quoteDot(edge.to)} [label=${quoteDot(
+        edge.kind
+      )}];`
+    );
+  });
+
+  lines.push("}");
+  return lines.join("\n");
+}
+
+/**
+ * Serializes a dependency graph as a Mermaid flowchart 🧜
+ * Mermaid ids can't hold paths, so nodes get short ids and readable labels.
+ * @param {DependencyGraph} graph - Graph to serialize
+ * @returns {string} Mermaid source
+ */
+function toMermaid(graph) {
+  const lines = ["flowchart LR"];
+  const ids = new Map(graph.nodes.map((node, index) => [node.id, `n${index}`]));
+
+  graph.nodes.forEach((node) => {
+    const label = getNodeLabel(node, "<br/>").replace(/"/g, "#quot;");
+    lines.push(`  ${ids.get(node.id)}["${label}"]`);
+  });
+
+  graph.edges.forEach((edge) => {
+    lines.push(`  ${ids.get(edge.from)} -->|${edge.kind}| ${ids.get(edge.to)}`);
+  });
+
+  const matchedIds = graph.nodes
+    .filter((node) => node.matched)
+    .map((node) => ids.get(node.id));
+  if (matchedIds.length > 0) {
+    lines.push("  classDef matched fill:#ffe08a");
+    lines.push(`  class ${matchedIds.join(",")} matched`);
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Builds the label shown for a node: name, then type and location 🏷️
+ * @param {GraphNode} node - Node to label
+ * @param {string} separator - Line break of the target format
+ * @returns {string} Node label
+ */
+function getNodeLabel(node, separator) {
+  const location = `${path.basename(node.file)}${
+    node.line ? `:${node.line}` : ""
+  }`;
+  return `${node.name}${separator}${node.type} · ${location}`;
+}
+
+/**
+ * Quotes a string as a DOT identifier 🔤
+ * @param {string} value - Raw string
+ * @returns {string} Double-quoted, escaped DOT string
+ */
+function quoteDot(value) {
+  return `"${value
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")}"`;
+}
+
+module.exports = {
+  createGraphBuilder,
+  mergeGraphs,
+  formatGraph,
+  toDot,
+  toMermaid,
+};
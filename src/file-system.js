@@ -0,0 +1,132 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @typedef {Object} FileSystem
+ * @property {function(string): (string|null)} readFile - Reads a file, or returns null if it doesn't exist
+ * @property {function(string): boolean} isFile - Checks whether a file exists
+ * @property {function(string): {name: string, isDirectory: boolean}[]} readDirectory - Lists a directory (empty when it can't be listed)
+ */
+
+/**
+ * Creates the file access used by an extraction 💾
+ * Virtual files and a custom `readFile` replace the disk entirely, so an
+ * extraction over in-memory files never touches `fs` (and can run in a browser).
+ * When both are given, virtual files win and `readFile` serves the rest.
+ * @param {Object} [options] - File system options
+ * @param {Object<string, string>} [options.files] - Virtual files, keyed by absolute path
+ * @param {function(string): (string|null|undefined)} [options.readFile] - Custom reader; null, undefined or throwing means the file doesn't exist
+ * @returns {FileSystem} File access for the resolver and the parser
+ */
+function createFileSystem(options = {}) {
+  if (!options.files && !options.readFile) {
+    return {
+      readFile: readFromDisk,
+      isFile: isFileOnDisk,
+      readDirectory: readDirectoryFromDisk,
+    };
+  }
+
+  const files = new Map(
+    Object.entries(options.files || {}).map(([filePath, content]) => [
+      path.normalize(filePath),
+      content,
+    ])
+  );
+  const readCache = new Map();
+
+  const readFile = (filePath) => {
+    const normalizedPath = path.normalize(filePath);
+    if (files.has(normalizedPath)) {
+      return files.get(normalizedPath);
+    }
+    if (!options.readFile) {
+      return null;
+    }
+
+    // The resolver probes many candidates, so remember what the reader said
+    if (!readCache.has(normalizedPath)) {
+      let content = null;
+      try {
+        content = options.readFile(normalizedPath) ?? null;
+      } catch (error) {
+        content = null;
+      }
+      readCache.set(normalizedPath, content);
+    }
+    return readCache.get(normalizedPath);
+  };
+
+  return {
+    readFile,
+    isFile: (filePath) => readFile(filePath) !== null,
+    // A custom reader can't list anything, so only virtual files are listed
+    readDirectory: (dirPath) => listVirtualDirectory(files, dirPath),
+  };
+}
+
+/**
+ * Lists the entries of a directory made of virtual files 🗂️
+ * @param {Map<string, string>} files - Virtual files keyed by normalized path
+ * @param {string} dirPath - Directory to list
+ * @returns {{name: string, isDirectory: boolean}[]} Files and subdirectories directly inside it
+ */
+function listVirtualDirectory(files, dirPath) {
+  const entries = new Map();
+  const prefix = path.join(path.normalize(dirPath), path.sep);
+
+  files.forEach((content, filePath) => {
+    if (!filePath.startsWith(prefix)) return;
+
+    const [name, ...rest] = filePath.slice(prefix.length).split(path.sep);
+    entries.set(name, entries.get(name) || rest.length > 0);
+  });
+
+  return Array.from(entries, ([name, isDirectory]) => ({ name, isDirectory }));
+}
+
+/**
+ * Reads a file from disk 📖
+ * @param {string} filePath - Path to read
+ * @returns {string|null} File content, or null if it can't be read
+ */
+function readFromDisk(filePath) {
+  try {
+    return fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Checks whether a path is an existing file on disk 📄
+ * @param {string} filePath - Path to check
+ * @returns {boolean} True for files, false for directories and missing paths
+ */
+function isFileOnDisk(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Lists a directory on disk 🗂️
+ * @param {string} dirPath - Directory to list
+ * @returns {{name: string, isDirectory: boolean}[]} Its entries, or an empty list if it can't be read
+ */
+function readDirectoryFromDisk(dirPath) {
+  try {
+    return fs.readdirSync(dirPath, { withFileTypes: true }).map((entry) => ({
+      name: entry.name,
+      isDirectory: entry.isDirectory(),
+    }));
+  } catch (error) {
+    return [];
+  }
+}
+
+module.exports = {
+  createFileSystem,
+};
@@ -1,19 +1,47 @@
-const fs = require("fs");
 const path = require("path");
 const parser = require("@babel/parser");
 const traverse = require("@babel/traverse").default;
 const generate = require("@babel/generator").default;
+const t = require("@babel/types");
+const {
+  GenMapping,
+  addMapping,
+  setSourceContent,
+  toEncodedMap,
+} = require("@jridgewell/gen-mapping");
+const { TraceMap, originalPositionFor } = require("@jridgewell/trace-mapping");
+const picomatch = require("picomatch");
+const { createResolver } = require("./resolver.js");
+const { createFileSystem } = require("./file-system.js");
+const { createParseCache } = require("./parse-cache.js");
+const { listProjectFiles } = require("./project-files.js");
+const {
+  createGraphBuilder,
+  mergeGraphs,
+  formatGraph,
+} = require("./dependency-graph.js");
+const { compileSelector } = require("./selector.js");
 
 /**
  * @typedef {Object} DeclarationInfo
+ * @property {string} id - Unique declaration id (file, name and position)
+ * @property {string} name - Declared name
+ * @property {string} qualifiedName - Name including its owner, e.g. `Class.method`
  * @property {Object} node - The AST node
- * @property {'function'|'variable'|'class'|'import'|'nested-function'|'arrow-function'|'method'|'default-export'|'named-export'} type - Type of declaration
+ * @property {Object} [declarator] - For variables, the declarator within `node` that declares it
+ * @property {'function'|'variable'|'class'|'import'|'nested-function'|'arrow-function'|'method'|'getter'|'setter'|'field'|'accessor'|'static-block'|'object-method'|'default-export'|'named-export'|'interface'|'type'|'enum'|'declare'|'namespace'|'cjs-export'} type - Type of declaration
  * @property {Object} path - The Babel path object
  * @property {string} [source] - For imports, track the source file path
  * @property {string} [parentFunction] - For nested functions, track the parent function name
  * @property {number} [depth] - Nesting depth for nested functions
  * @property {string} [className] - For methods, track the parent class name
- * @property {string} originalCode - The original code snippet for regex matching
+ * @property {boolean} [static] - For class members, whether the member is static
+ * @property {string} originalCode - The original source text of the declaration, for regex matching (computed on first access)
+ * @property {Object} [binding] - The Babel binding this declaration introduces
+ * @property {DeclarationInfo} [container] - Enclosing declaration for nested declarations
+ * @property {DeclarationInfo} [target] - For resolved imports, the declaration being imported
+ * @property {string} [importedName] - For imports, the exported name in the target module (`default`, `*` or a name)
+ * @property {ModuleInfo} [namespace] - For namespace imports, the whole target module
  */
 
 /**
@@ -21,19 +49,134 @@ const generate = require("@babel/generator").default;
  * @property {boolean} success - Whether extraction was successful
  * @property {string} message - Result message
  * @property {string} finalCode - The extracted code
+ * @property {Object} [sourceMap] - v3 source map from `finalCode` back to the original files (when requested)
+ * @property {import("./dependency-graph.js").DependencyGraph} graph - Which declaration pulled in which, by reference kind
  * @property {Object} metadata - Additional metadata about the extraction
  * @property {string[]} metadata.resolvedImports - Successfully resolved import paths
  * @property {string[]} metadata.unresolvedImports - Import paths that couldn't be resolved
+ * @property {string[]} metadata.externalImports - Imports of packages, kept as imports instead of followed (see `followPackages`)
+ * @property {{importPath: string, importer: string, resolvedPath: string|null, rule: string|null}[]} metadata.importResolutions - How each import was resolved, and by which rule
+ * @property {{path: string, depth: number, importChain: string[]}[]} metadata.modules - Every module reached, with the import chain that led to it
  * @property {string[]} metadata.matchedPatterns - Found patterns matching the regex
  * @property {Object[]} metadata.matchDetails - Detailed info about each match
+ * @property {{name: string, type: string, file: string, chain: InclusionStep[]}[]} metadata.explanations - Why each emitted declaration is included, from a matched declaration to it
+ */
+
+/**
+ * @typedef {Object} InclusionStep
+ * @property {string} name - Qualified declaration name
+ * @property {string} id - Declaration id
+ * @property {'match'|'call'|'new'|'extends'|'type'|'jsx'|'export'|'require'|'reference'|'container'} kind - `match` for the matched declaration, else how the previous step references this one
+ * @property {string} file - File of the reference (of the declaration, for the matched step)
+ * @property {number|null} line - Line of the referencing identifier
+ * @property {number|null} column - Column of the referencing identifier
+ */
+
+/**
+ * @typedef {Object} DeclarationQuery
+ * Structured pattern: a declaration matches when every given field matches.
+ * Field values are exact values, regexes, or lists of either (any of them).
+ * @property {string|RegExp} [pattern] - Regex tested against the original code
+ * @property {string} [selector] - AST selector; matches the declarations holding a matching node
+ * @property {string|RegExp|Array<string|RegExp>} [name] - Name or qualified name (`Class.method`)
+ * @property {string|RegExp|Array<string|RegExp>} [type] - Declaration type, e.g. `method` or `["function", "arrow-function"]`
+ * @property {string|RegExp|null|Array<string|RegExp|null>} [className] - Owning class (null for declarations outside classes)
+ * @property {string|RegExp|null|Array<string|RegExp|null>} [parentFunction] - Enclosing function (null for top-level declarations)
+ * @property {number|{min?: number, max?: number}} [depth] - Function nesting depth (0 at top level)
+ * @property {string|RegExp|Array<string|RegExp>} [source] - File: globs found anywhere in the path (`src/player/**`), or regexes
+ * @property {boolean} [exported] - Whether the module exports the declaration
+ * @property {boolean} [async] - Whether the declaration is an async function or method
+ * @property {DeclarationQuery|DeclarationQuery[]} [not] - Queries whose matches are excluded
+ */
+
+/**
+ * @typedef {Object} ExtractionOptions
+ * Options of extractPatternWithDependencies, also taken by the functions built on it.
+ * @property {number} [maxDepth=Infinity] - Maximum import depth to follow from the entry file
+ * @property {boolean} [followPackages=false] - Also extract from imported packages (node_modules) instead of keeping their imports as-is
+ * @property {'generated'|'original'} [outputMode='generated'] - Regenerate code with Babel, or slice the original source text
+ * @property {boolean} [sourceMap=false] - Also return a v3 source map pointing back to the original files
+ * @property {Object<string, string|string[]>} [alias] - Import alias map, e.g. `{"@/*": "./src/*"}` (see createResolver)
+ * @property {string[]} [conditions] - package.json `exports`/`imports` conditions, in priority order
+ * @property {string|false} [tsconfig] - tsconfig/jsconfig to read `paths`/`baseUrl` from, or false to ignore them
+ * @property {Object<string, string>} [files] - Virtual files keyed by absolute path; with this (or `readFile`) the disk is never touched
+ * @property {function(string): (string|null|undefined)} [readFile] - Custom file reader, e.g. over a git tree or a bundle
+ * @property {function(string, string): (string|{path: string}|null|undefined)} [resolve] - Custom resolver `(importPath, importer)`, falling back to the built-in rules when it returns nothing
+ * @property {import("./parse-cache.js").ParseCache} [parseCache] - Parsed files to reuse between calls (see createExtractor)
+ * @property {'all'|'entry'} [matchScope='all'] - Test the pattern against declarations of every module, or of the entry file only
+ * @property {'all'|'used'} [classMembers='all'] - Emit whole classes, or only the members the extraction uses (see createClassSlicer)
+ * @property {'SILENT'|'ERROR'|'WARN'|'INFO'|'DEBUG'|'SUCCESS'} [logLevel] - Log level for this call (silent by default)
+ * @property {Object} [logger] - Custom logger (e.g. `console`) receiving the log messages
+ * @property {function(DeclarationInfo): void} [onDeclarationFound] - Called for every declaration found in any module
+ * @property {function({importPath: string, resolvedPath: string, importer: string, rule: string}): void} [onImportResolved] - Called for every import resolved to a file
+ * @property {function(Object, DeclarationInfo): void} [onMatch] - Called with the match details of every declaration matching the pattern
+ * @property {function(DeclarationInfo): void} [onDependencyAdded] - Called the first time a declaration is pulled in as a dependency
+ */
+
+/**
+ * @typedef {Object} ProjectSearchResult
+ * @property {boolean} success - Whether any file matched
+ * @property {string} message - Result message
+ * @property {(ExtractionResult & {file: string})[]} files - One extraction per file with matching declarations
+ * @property {Object} [merged] - Single extraction of every match, with shared dependencies emitted once (when requested)
+ * @property {string} merged.finalCode - The merged extracted code
+ * @property {Object} [merged.sourceMap] - v3 source map of the merged code (when requested)
+ * @property {string[]} merged.files - Files contributing to the merged code
+ * @property {string[]} merged.dependencies - Every dependency, once
+ * @property {number} merged.totalNodesIncluded - Declarations in the merged code
+ * @property {number} merged.duplicatesRemoved - Declarations that several files needed and were emitted once
+ * @property {import("./dependency-graph.js").DependencyGraph} merged.graph - Union of the per-file graphs
+ * @property {Object} metadata - Search statistics
+ * @property {string} metadata.rootDir - The searched directory
+ * @property {number} metadata.filesSearched - Files listed after include/exclude/.gitignore
+ * @property {number} metadata.filesMatched - Files with at least one matching declaration
+ * @property {{file: string, reason: string}[]} metadata.skippedFiles - Files that couldn't be read or parsed
+ */
+
+/**
+ * @typedef {Object} ImpactResult
+ * @property {boolean} success - Whether any declaration matched the target
+ * @property {string} message - Result message
+ * @property {{name: string, type: string, file: string, line: number|null}[]} targets - Declarations selected by the target
+ * @property {Object[]} dependents - Declarations using a target, directly (`distance` 1) or through others
+ * @property {string} dependents[].name - Qualified name (`<module>` for top-level code)
+ * @property {string} dependents[].type - Declaration type (`module` for top-level code)
+ * @property {string} dependents[].file - File of the dependent
+ * @property {boolean} dependents[].exported - Whether its module exports it
+ * @property {number} dependents[].distance - Number of references between it and a target
+ * @property {{name: string, kind: string, file: string, line: number|null, column: number|null}} dependents[].via - The declaration it references on the way to a target, and where
+ * @property {string[]} files - Files holding a target or a dependent
+ * @property {{name: string, declaration: string, file: string}[]} entryPoints - Exports of the affected declarations
+ * @property {Object} metadata - Scanned modules and unresolved imports
+ */
+
+/**
+ * @typedef {Object} DeadCodeResult
+ * @property {boolean} success - Whether the analysis ran
+ * @property {string} message - Result message
+ * @property {Object[]} dead - Declarations never reached from the roots
+ * @property {string} dead[].name - Qualified name
+ * @property {string} dead[].type - Declaration type
+ * @property {string} dead[].file - File of the declaration
+ * @property {number|null} dead[].line - First line of the declaration
+ * @property {number} dead[].lines - Number of lines it spans
+ * @property {number} dead[].size - Size of its code, in characters
+ * @property {boolean} dead[].onlyReferencedByDeadCode - Whether it is referenced, but only by other dead code
+ * @property {string[]} dead[].referencedBy - The dead declarations referencing it
+ * @property {string[]} unreachableFiles - Scanned files no entry imports (with `roots: "entries"`)
+ * @property {Object} metadata - Roots, scanned files and total dead size
  */
 
 /**
  * Creates a professional logger with different log levels
+ * @param {Object} [options] - Logger options
+ * @param {'SILENT'|'ERROR'|'WARN'|'INFO'|'DEBUG'|'SUCCESS'} [options.level='DEBUG'] - Most verbose level to print
+ * @param {Object} [options.output] - Custom logger receiving the messages instead of the console (any of error/warn/info/debug/success)
  * @returns {Object} Logger object with different log methods
  */
-function createLogger() {
+function createLogger({ level = "DEBUG", output } = {}) {
   const LOG_LEVELS = {
+    SILENT: -1,
     ERROR: 0,
     WARN: 1,
     INFO: 2,
@@ -41,973 +184,4218 @@ function createLogger() {
     SUCCESS: 4,
   };
 
-  const currentLogLevel = LOG_LEVELS.DEBUG;
+  const consoleOutput = {
+    error: (message, ...args) =>
+      console.error(`🚨 [ERROR] ${message}`, ...args),
+    warn: (message, ...args) => console.warn(`⚠️ [WARN] ${message}`, ...args),
+    info: (message, ...args) => console.info(`ℹ️ [INFO] ${message}`, ...args),
+    debug: (message, ...args) =>
+      console.debug(`🔍 [DEBUG] ${message}`, ...args),
+    success: (message, ...args) =>
+      console.log(`✅ [SUCCESS] ${message}`, ...args),
+  };
+
+  const write = (method, message, args) => {
+    if (!output) {
+      consoleOutput[method](message, ...args);
+      return;
+    }
+    // Custom loggers (console, pino, ...) rarely have `success`, so fall back to `info`
+    const target = output[method] || output.info || output.log;
+    target?.call(output, message, ...args);
+  };
+
+  const assertLevel = (newLevel) => {
+    if (!(newLevel in LOG_LEVELS)) {
+      throw new Error(`Unknown log level: ${newLevel}`);
+    }
+  };
+
+  assertLevel(level);
+  let currentLevelName = level;
+  let currentLogLevel = LOG_LEVELS[level];
 
   return {
     error: (message, ...args) => {
       if (currentLogLevel >= LOG_LEVELS.ERROR) {
-        console.error(`🚨 [ERROR] ${message}`, ...args);
+        write("error", message, args);
       }
     },
     warn: (message, ...args) => {
       if (currentLogLevel >= LOG_LEVELS.WARN) {
-        console.warn(`⚠️ [WARN] ${message}`, ...args);
+        write("warn", message, args);
       }
     },
     info: (message, ...args) => {
       if (currentLogLevel >= LOG_LEVELS.INFO) {
-        console.info(`ℹ️ [INFO] ${message}`, ...args);
+        write("info", message, args);
       }
     },
     debug: (message, ...args) => {
       if (currentLogLevel >= LOG_LEVELS.DEBUG) {
-        console.debug(`🔍 [DEBUG] ${message}`, ...args);
+        write("debug", message, args);
       }
     },
     success: (message, ...args) => {
       if (currentLogLevel >= LOG_LEVELS.SUCCESS) {
-        console.log(`✅ [SUCCESS] ${message}`, ...args);
+        write("success", message, args);
       }
     },
+    setLevel: (newLevel) => {
+      assertLevel(newLevel);
+      currentLevelName = newLevel;
+      currentLogLevel = LOG_LEVELS[newLevel];
+    },
+    getLevel: () => currentLevelName,
   };
 }
 
-const logger = createLogger();
+// Library calls stay quiet unless asked otherwise
+const defaultLogger = createLogger({ level: "SILENT" });
+
+const EVENT_HOOKS = [
+  "onDeclarationFound",
+  "onImportResolved",
+  "onMatch",
+  "onDependencyAdded",
+];
 
 /**
- * Attempts to resolve an import path to an actual file 🔍
- * @param {string} importPath - The import path to resolve
- * @param {string} currentFilePath - The current file's path for relative resolution
- * @returns {string|null} Resolved file path or null if not found
+ * @typedef {Object} CallContext
+ * @property {Object} logger - Logger of the call (see createLogger)
+ * @property {function(string, ...*): void} emit - Calls an event hook of the call, if one was given
+ * @property {DeclarationIndex} declarationIndex - Declaration lookups of every file the call parsed
+ * @property {Map<Object, ModuleInfo>} requiredModules - Modules loaded for `require()` calls, keyed by the call node
  */
-function resolveImportPath(importPath, currentFilePath) {
-  const baseDir = path.dirname(currentFilePath);
-
-  const extensions = [".js", ".ts", ".jsx", ".tsx", ".mjs"];
 
-  if (importPath.startsWith("./") || importPath.startsWith("../")) {
-    const basePath = path.resolve(baseDir, importPath);
+/**
+ * Changes how chatty the library logger is by default 🔊
+ * Calls that pass `logLevel` or `logger` in their options are not affected.
+ * @param {'SILENT'|'ERROR'|'WARN'|'INFO'|'DEBUG'|'SUCCESS'} level - Most verbose level to print
+ */
+function setLogLevel(level) {
+  defaultLogger.setLevel(level);
+}
 
-    if (fs.existsSync(basePath) && fs.statSync(basePath).isFile()) {
-      return basePath;
+/**
+ * Creates the context of a public API call: its logger, event hooks and
+ * declaration lookups 🎛️ Helpers get the context as an argument, so a hook
+ * calling back into the library runs with its own context and leaves the
+ * calling one untouched.
+ * @param {Object} options - Options passed to the public function
+ * @returns {CallContext} Logger and event emitter of the call
+ */
+function createCallContext(options) {
+  const logger =
+    options.logger || options.logLevel
+      ? createLogger({
+          // A custom logger alone keeps the level set with setLogLevel
+          level: options.logLevel ?? defaultLogger.getLevel(),
+          output: options.logger,
+        })
+      : defaultLogger;
+
+  const hooks = {};
+  EVENT_HOOKS.forEach((hook) => {
+    if (typeof options[hook] === "function") {
+      hooks[hook] = options[hook];
     }
+  });
 
-    for (const ext of extensions) {
-      const fullPath = basePath + ext;
-      if (fs.existsSync(fullPath)) {
-        return fullPath;
-      }
-    }
+  return {
+    logger,
+    emit: (hook, ...args) => hooks[hook]?.(...args),
+    declarationIndex: createDeclarationIndex(),
+    requiredModules: new Map(),
+  };
+}
 
-    const indexPath = path.join(basePath, "index");
-    for (const ext of extensions) {
-      const fullIndexPath = indexPath + ext;
-      if (fs.existsSync(fullIndexPath)) {
-        return fullIndexPath;
-      }
+const PARSER_PLUGINS = [
+  "asyncGenerators",
+  "bigInt",
+  "classProperties",
+  "decorators-legacy",
+  "decoratorAutoAccessors",
+  "doExpressions",
+  "dynamicImport",
+  "exportDefaultFrom",
+  "exportNamespaceFrom",
+  "functionBind",
+  "functionSent",
+  "importMeta",
+  "nullishCoalescingOperator",
+  "numericSeparator",
+  "objectRestSpread",
+  "optionalCatchBinding",
+  "optionalChaining",
+  "throwExpressions",
+  "topLevelAwait",
+  "trailingFunctionCommas",
+];
+
+const TYPESCRIPT_EXTENSIONS = [".ts", ".tsx", ".mts", ".cts"];
+
+const TYPE_DECLARATION_TYPES = {
+  TSInterfaceDeclaration: "interface",
+  TSTypeAliasDeclaration: "type",
+  TSEnumDeclaration: "enum",
+  TSDeclareFunction: "declare",
+  TSModuleDeclaration: "namespace",
+};
+
+/**
+ * Builds parser options for a file, enabling TypeScript/JSX based on its extension 🧩
+ * @param {string} [filePath] - File path used to pick the syntax plugins
+ * @returns {Object} Options for `@babel/parser`
+ */
+function getParserOptions(filePath = "") {
+  const extension = path.extname(filePath).toLowerCase();
+  const plugins = [...PARSER_PLUGINS];
+
+  if (TYPESCRIPT_EXTENSIONS.includes(extension)) {
+    plugins.push(["typescript", { dts: filePath.endsWith(".d.ts") }]);
+    if (extension === ".tsx") {
+      plugins.push("jsx");
     }
+  } else {
+    plugins.push("jsx");
   }
 
-  try {
-    const resolved = require.resolve(importPath, { paths: [baseDir] });
-    return resolved;
-  } catch (error) {
-    logger.debug(`Could not resolve node_modules import: ${importPath}`);
-  }
+  return {
+    sourceType: "module",
+    allowImportExportEverywhere: true,
+    allowReturnOutsideFunction: true,
+    sourceFilename: filePath || undefined,
+    plugins,
+  };
+}
 
-  return null;
+/**
+ * Default entry path when the caller doesn't name one 📍
+ * Uses the working directory when there is one (Node, Bun), the root otherwise (browsers).
+ * @returns {string} Path of a `main.js` entry file
+ */
+function getDefaultFilePath() {
+  return typeof process !== "undefined" && typeof process.cwd === "function"
+    ? path.join(process.cwd(), "main.js")
+    : "/main.js";
 }
 
 /**
  * Reads and parses a JavaScript file, returning its AST and declarations
  * @param {string} filePath - Path to the file to read
- * @returns {Object|null} Object containing AST and declarations map, or null if failed
+ * @param {import("./file-system.js").FileSystem} fileSystem - File access (disk or virtual files)
+ * @param {import("./parse-cache.js").ParseCache|undefined} parseCache - Cache of already parsed files
+ * @param {CallContext} callContext - Logger, event hooks and declaration lookups of the call
+ * @returns {Object|null} Object containing AST, declarations and exports maps and the source text, or null if failed
  */
-function parseFile(filePath) {
+function parseFile(filePath, fileSystem, parseCache, callContext) {
+  const { logger } = callContext;
   try {
-    const fileContent = fs.readFileSync(filePath, "utf8");
+    const fileContent = fileSystem.readFile(filePath);
+    if (fileContent === null) {
+      logger.warn(`Could not read file ${filePath}`);
+      return null;
+    }
     logger.debug(`Reading file: ${filePath}`);
 
-    const ast = parser.parse(fileContent, {
-      sourceType: "module",
-      allowImportExportEverywhere: true,
-      allowReturnOutsideFunction: true,
-      plugins: [
-        "asyncGenerators",
-        "bigInt",
-        "classProperties",
-        "decorators-legacy",
-        "doExpressions",
-        "dynamicImport",
-        "exportDefaultFrom",
-        "exportNamespaceFrom",
-        "functionBind",
-        "functionSent",
-        "importMeta",
-        "nullishCoalescingOperator",
-        "numericSeparator",
-        "objectRestSpread",
-        "optionalCatchBinding",
-        "optionalChaining",
-        "throwExpressions",
-        "topLevelAwait",
-        "trailingFunctionCommas",
-      ],
-    });
-
-    const declarations = new Map();
-
-    findAllDeclarations(ast, declarations, filePath, fileContent);
-
-    return { ast, declarations };
+    return parseSource(fileContent, filePath, parseCache, callContext);
   } catch (error) {
     logger.warn(`Failed to parse file ${filePath}: ${error.message}`);
     return null;
   }
 }
 
+/**
+ * Parses source code and collects its declarations and exports, reusing a
+ * cached result when the same file was parsed with the same content 🗃️
+ * @param {string} sourceCode - Source text to parse
+ * @param {string} filePath - Path of the source, used for parser options and declaration ids
+ * @param {import("./parse-cache.js").ParseCache|undefined} parseCache - Cache of already parsed files
+ * @param {CallContext} callContext - Logger, event hooks and declaration lookups of the call
+ * @returns {{ast: Object, declarations: Map<string, DeclarationInfo>, declarationIndex: DeclarationIndex, exports: Map<string, DeclarationInfo>, sourceCode: string}} Parsed file
+ */
+function parseSource(sourceCode, filePath, parseCache, callContext) {
+  const cached = parseCache?.get(filePath, sourceCode);
+  if (cached) {
+    callContext.logger.debug(`♻️ Reusing cached parse of ${filePath}`);
+    mergeDeclarationIndex(
+      callContext.declarationIndex,
+      cached.declarationIndex
+    );
+    cached.declarations.forEach((declaration) =>
+      callContext.emit("onDeclarationFound", declaration)
+    );
+    return cached;
+  }
+
+  const ast = parser.parse(sourceCode, getParserOptions(filePath));
+  const declarations = new Map();
+
+  const declarationIndex = findAllDeclarations(
+    ast,
+    declarations,
+    filePath,
+    sourceCode,
+    callContext
+  );
+
+  const parsed = {
+    ast,
+    declarations,
+    declarationIndex,
+    exports: findModuleExports(ast, declarations, declarationIndex),
+    sourceCode,
+  };
+  parseCache?.set(filePath, sourceCode, parsed);
+  mergeDeclarationIndex(callContext.declarationIndex, declarationIndex);
+  return parsed;
+}
+
+/**
+ * @typedef {Object} DeclarationIndex
+ * @property {Map<Object, DeclarationInfo>} byBinding - Declarations keyed by the Babel binding they introduce
+ * @property {Map<Object, DeclarationInfo>} byOwner - Declarations keyed by the node that owns them (function, declarator, method...)
+ * @property {Map<Object, Map<string, DeclarationInfo>>} typesByProgram - Binding-less type-level declarations (interfaces, type aliases...) per program node
+ */
+
+/**
+ * Creates an empty declaration index 🔗
+ * @returns {DeclarationIndex} The index
+ */
+function createDeclarationIndex() {
+  return {
+    byBinding: new Map(),
+    byOwner: new Map(),
+    typesByProgram: new Map(),
+  };
+}
+
+/**
+ * Adds the lookups of a parsed file to the index of a call 🧷
+ * Entries already there win, so a binding the call pointed at a `require()`
+ * import keeps pointing at it. Parsed files themselves are never written to,
+ * which keeps cached files the same for every call.
+ * @param {DeclarationIndex} target - Index of the call
+ * @param {DeclarationIndex} source - Index of a parsed file
+ */
+function mergeDeclarationIndex(target, source) {
+  ["byBinding", "byOwner", "typesByProgram"].forEach((key) => {
+    source[key].forEach((value, lookupKey) => {
+      if (!target[key].has(lookupKey)) {
+        target[key].set(lookupKey, value);
+      }
+    });
+  });
+}
+
 /**
  * Finds all code patterns including nested ones! So cute~ 🐱
+ * Declarations are keyed by a unique id and linked to their Babel binding,
+ * so same-named declarations in different scopes live side by side.
  * @param {Object} ast - The AST to traverse
- * @param {Map<string, DeclarationInfo>} declarations - Map to store found declarations
+ * @param {Map<string, DeclarationInfo>} declarations - Map to store found declarations, keyed by declaration id
  * @param {string} filePath - Current file path
  * @param {string} sourceCode - Original source code for regex matching
- * @param {string} [parentFunction] - Parent function name for nested functions
- * @param {number} [depth=0] - Current nesting depth
- * @param {string} [className] - Current class name for methods
+ * @param {CallContext} callContext - Logger, event hooks and declaration lookups of the call
+ * @returns {DeclarationIndex} Lookups of the found declarations
  */
 function findAllDeclarations(
   ast,
   declarations,
   filePath,
   sourceCode,
-  parentFunction,
-  depth = 0,
-  className
+  callContext
 ) {
+  const { logger } = callContext;
+  const containers = new Map();
+  const declarationIndex = createDeclarationIndex();
+  const typeDeclarations = new Map();
+  declarationIndex.typesByProgram.set(ast.program, typeDeclarations);
+
+  const addDeclaration = (ownerPath, declarationInfo, context, binding) => {
+    declarationInfo.id = createDeclarationId(
+      filePath,
+      declarationInfo.qualifiedName,
+      ownerPath.node
+    );
+    declarationInfo.source = filePath;
+
+    if (context.parentDeclaration) {
+      declarationInfo.parentFunction = context.parentDeclaration.name;
+      declarationInfo.depth = context.depth;
+    }
+
+    if (context.classDeclaration) {
+      declarationInfo.className = context.classDeclaration.name;
+    }
+
+    if (context.container) {
+      declarationInfo.container = context.container;
+    }
+
+    if (binding) {
+      declarationInfo.binding = binding;
+      declarationIndex.byBinding.set(binding, declarationInfo);
+    }
+
+    declarations.set(declarationInfo.id, declarationInfo);
+    containers.set(ownerPath.node, declarationInfo);
+    if (!declarationIndex.byOwner.has(ownerPath.node)) {
+      declarationIndex.byOwner.set(ownerPath.node, declarationInfo);
+    }
+    callContext.emit("onDeclarationFound", declarationInfo);
+    return declarationInfo;
+  };
+
+  // Class expressions (and anonymous default-exported classes) hold their
+  // members for the variable or default export they're bound to
+  const addClassOwner = (path) => {
+    const { parentPath } = path;
+    const ownerNode =
+      (parentPath.isVariableDeclarator() &&
+        parentPath.node.init === path.node &&
+        t.isIdentifier(parentPath.node.id)) ||
+      parentPath.isExportDefaultDeclaration()
+        ? parentPath.node
+        : null;
+    const declaration = ownerNode && containers.get(ownerNode);
+    if (!declaration) return;
+
+    containers.set(path.node, declaration);
+    if (!declarationIndex.byOwner.has(path.node)) {
+      declarationIndex.byOwner.set(path.node, declaration);
+    }
+  };
+
   traverse(ast, {
     FunctionDeclaration(path) {
       const name = path.node.id?.name;
       if (name) {
-        const originalCode = generate(path.node, { compact: false }).code;
-        const declarationInfo = {
-          node: path.node,
-          type: parentFunction ? "nested-function" : "function",
-          path: path,
-          source: filePath,
-          originalCode: originalCode,
-        };
+        const context = getDeclarationContext(path, containers);
 
-        if (parentFunction) {
-          declarationInfo.parentFunction = parentFunction;
-          declarationInfo.depth = depth;
+        if (context.parentDeclaration) {
           logger.debug(
-            `🪆 Found nested function: ${name} inside ${parentFunction} (depth: ${depth})`
+            `🪆 Found nested function: ${name} inside ${context.parentDeclaration.name} (depth: ${context.depth})`
           );
         }
 
-        if (className) {
-          declarationInfo.className = className;
-        }
-
-        declarations.set(name, declarationInfo);
-
-        findNestedPatternsInScope(
+        addDeclaration(
           path,
-          declarations,
-          filePath,
-          sourceCode,
-          name,
-          depth + 1,
-          className
+          {
+            name,
+            qualifiedName: name,
+            node: path.node,
+            type: context.parentDeclaration ? "nested-function" : "function",
+            path: path,
+            get originalCode() {
+              return getSourceText(sourceCode, getCodeNode(path));
+            },
+          },
+          context,
+          getOwnBinding(path.parentPath.scope, name, path.node.id)
         );
       }
     },
 
     VariableDeclarator(path) {
-      const name = path.node.id?.name;
-      if (name) {
-        const originalCode = generate(path.parent, { compact: false }).code;
-        const declarationInfo = {
-          node: path.parent,
-          type:
-            path.node.init?.type === "ArrowFunctionExpression"
-              ? "arrow-function"
-              : "variable",
-          path: path.parentPath,
-          source: filePath,
-          originalCode: originalCode,
-        };
+      // Destructuring declares one variable per binding in the pattern
+      const identifiers = Object.values(t.getBindingIdentifiers(path.node.id));
+      if (identifiers.length === 0) return;
 
-        if (parentFunction) {
-          declarationInfo.parentFunction = parentFunction;
-          declarationInfo.depth = depth;
-        }
+      const context = getDeclarationContext(path, containers);
+      const init = path.node.init;
+      const isFunction = t.isIdentifier(path.node.id) && isFunctionNode(init);
 
-        if (className) {
-          declarationInfo.className = className;
-        }
+      if (context.parentDeclaration && !init) return;
 
-        declarations.set(name, declarationInfo);
+      let type;
+      if (context.parentDeclaration) {
+        type = isFunction ? "nested-function" : "variable";
+      } else if (path.parent.declare) {
+        type = "declare";
+      } else {
+        type =
+          isFunction && init.type === "ArrowFunctionExpression"
+            ? "arrow-function"
+            : "variable";
+      }
 
-        if (
-          path.node.init &&
-          (path.node.init.type === "FunctionExpression" ||
-            path.node.init.type === "ArrowFunctionExpression")
-        ) {
+      identifiers.forEach((identifier) => {
+        const name = identifier.name;
+        if (isFunction) {
           logger.debug(
-            `🎯 Found ${path.node.init.type}: ${name}${
-              parentFunction ? ` inside ${parentFunction}` : ""
+            `🎯 Found ${init.type}: ${name}${
+              context.parentDeclaration
+                ? ` inside ${context.parentDeclaration.name}`
+                : ""
             }`
           );
-
-          if (path.node.init.type === "FunctionExpression") {
-            findNestedPatternsInExpression(
-              path.get("init"),
-              declarations,
-              filePath,
-              sourceCode,
-              name,
-              depth + 1,
-              className
-            );
-          }
         }
-      }
+
+        addDeclaration(
+          path,
+          {
+            name,
+            qualifiedName: name,
+            node: path.parent,
+            declarator: path.node,
+            type,
+            path: path.parentPath,
+            // Declarators sharing a statement are matched on their own text
+            get originalCode() {
+              return getSourceText(
+                sourceCode,
+                path.parent.declarations.length === 1
+                  ? getCodeNode(path.parentPath)
+                  : path.node
+              );
+            },
+          },
+          context,
+          getOwnBinding(path.scope, name, identifier)
+        );
+      });
     },
 
     ClassDeclaration(path) {
       const name = path.node.id?.name;
       if (name) {
-        const originalCode = generate(path.node, { compact: false }).code;
-        const declarationInfo = {
-          node: path.node,
-          type: "class",
-          path: path,
-          source: filePath,
-          originalCode: originalCode,
-        };
+        const context = getDeclarationContext(path, containers);
 
-        if (parentFunction) {
-          declarationInfo.parentFunction = parentFunction;
-          declarationInfo.depth = depth;
+        if (context.parentDeclaration) {
+          logger.debug(
+            `🏛️ Found nested class: ${name} inside ${context.parentDeclaration.name} (depth: ${context.depth})`
+          );
         }
 
-        declarations.set(name, declarationInfo);
-
-        findClassMethods(path, declarations, filePath, sourceCode, name, depth);
+        addDeclaration(
+          path,
+          {
+            name,
+            qualifiedName: name,
+            node: path.node,
+            type: path.node.declare ? "declare" : "class",
+            path: path,
+            get originalCode() {
+              return getSourceText(sourceCode, getCodeNode(path));
+            },
+          },
+          context,
+          getOwnBinding(path.parentPath.scope, name, path.node.id)
+        );
+      } else {
+        addClassOwner(path);
       }
     },
 
-    ClassMethod(path) {
-      if (className) {
-        const name =
-          path.node.key?.name ||
-          (path.node.key?.type === "Identifier" ? path.node.key.name : null);
-        if (name) {
-          const originalCode = generate(path.node, { compact: false }).code;
-          const declarationInfo = {
-            node: path.node,
-            type: "method",
-            path: path,
-            source: filePath,
-            className: className,
-            originalCode: originalCode,
-          };
-
-          if (parentFunction) {
-            declarationInfo.parentFunction = parentFunction;
-            declarationInfo.depth = depth;
-          }
+    ClassExpression(path) {
+      addClassOwner(path);
+    },
+
+    "ClassMethod|ClassPrivateMethod|ClassProperty|ClassPrivateProperty|ClassAccessorProperty|StaticBlock"(
+      path
+    ) {
+      const classDeclaration = containers.get(path.parentPath.parent);
+      if (!classDeclaration) return;
 
-          const fullName = `${className}.${name}`;
-          declarations.set(fullName, declarationInfo);
-          declarations.set(name, declarationInfo);
+      const name = getMemberKeyName(path.node, sourceCode);
+      const type = getMemberType(path.node);
+      logger.debug(`🎭 Found class ${type}: ${classDeclaration.name}.${name}`);
 
-          findNestedPatternsInScope(
-            path,
-            declarations,
-            filePath,
-            sourceCode,
+      addDeclaration(
+        path,
+        {
+          name,
+          qualifiedName: qualifyMemberName(classDeclaration.name, name),
+          node: path.node,
+          type,
+          static: !!path.node.static,
+          path: path,
+          get originalCode() {
+            return getSourceText(sourceCode, path.node);
+          },
+        },
+        getDeclarationContext(path, containers)
+      );
+    },
+
+    "ObjectMethod|ObjectProperty"(path) {
+      if (path.isObjectProperty() && !isFunctionNode(path.node.value)) return;
+
+      const owner = getObjectMemberOwner(path, containers, sourceCode);
+      if (!owner) return;
+
+      const name = getMemberKeyName(path.node, sourceCode);
+      const qualifiedName = [...owner.keys, name].reduce(
+        qualifyMemberName,
+        owner.declaration.qualifiedName
+      );
+      logger.debug(`🧰 Found object method: ${qualifiedName}`);
+
+      addDeclaration(
+        path,
+        {
+          name,
+          qualifiedName,
+          node: path.node,
+          type: getMemberType(path.node),
+          path: path,
+          get originalCode() {
+            return getSourceText(sourceCode, path.node);
+          },
+        },
+        getDeclarationContext(path, containers)
+      );
+    },
+
+    AssignmentExpression(path) {
+      const exportName = getCommonJsExportName(path);
+      if (exportName && path.parentPath.isExpressionStatement()) {
+        const name = exportName === "*" ? "module.exports" : exportName;
+        logger.debug(`📤 Found CommonJS export: ${name}`);
+
+        addDeclaration(
+          path.parentPath,
+          {
             name,
-            depth + 1,
-            className
-          );
-        }
+            qualifiedName: exportName === "*" ? name : `exports.${name}`,
+            node: path.parent,
+            type: "cjs-export",
+            path: path.parentPath,
+            get originalCode() {
+              return getSourceText(sourceCode, path.parent);
+            },
+          },
+          getDeclarationContext(path.parentPath, containers)
+        );
       }
     },
 
-    ExportNamedDeclaration(path) {
-      if (path.node.declaration) {
-        const declaration = path.node.declaration;
-        let name = null;
-        let type = "named-export";
-
-        if (
-          declaration.type === "FunctionDeclaration" ||
-          declaration.type === "ClassDeclaration"
-        ) {
-          name = declaration.id?.name || null;
-          type = declaration.type.toLowerCase().replace("declaration", "");
-        } else if (declaration.type === "VariableDeclaration") {
-          name = declaration.declarations[0]?.id?.name || null;
-          type =
-            declaration.declarations[0]?.init?.type ===
-            "ArrowFunctionExpression"
-              ? "arrow-function"
-              : "variable";
-        }
-
-        if (name) {
-          const originalCode = generate(path.node, { compact: false }).code;
-          const declarationInfo = {
-            node: declaration,
+    "TSInterfaceDeclaration|TSTypeAliasDeclaration|TSEnumDeclaration|TSDeclareFunction|TSModuleDeclaration"(
+      path
+    ) {
+      const name = getTypeDeclarationName(path.node);
+      if (name) {
+        const type = getTypeDeclarationType(path.node);
+        logger.debug(`🧩 Found ${type} declaration: ${name}`);
+
+        const binding =
+          path.node.id?.type === "Identifier"
+            ? getOwnBinding(path.parentPath.scope, name, path.node.id)
+            : null;
+        const declarationInfo = addDeclaration(
+          path,
+          {
+            name,
+            qualifiedName: name,
+            node: path.node,
             type: type,
             path: path,
-            source: filePath,
-            originalCode: originalCode,
-          };
-
-          if (parentFunction) {
-            declarationInfo.parentFunction = parentFunction;
-            declarationInfo.depth = depth;
-          }
-
-          if (className) {
-            declarationInfo.className = className;
-          }
+            get originalCode() {
+              return getSourceText(sourceCode, getCodeNode(path));
+            },
+          },
+          getDeclarationContext(path, containers),
+          binding
+        );
 
-          declarations.set(name, declarationInfo);
+        if (!binding) {
+          typeDeclarations.set(name, declarationInfo);
         }
       }
+    },
 
-      if (path.node.specifiers && path.node.specifiers.length > 0) {
-        path.node.specifiers.forEach((spec) => {
-          if (spec.type === "ExportSpecifier") {
-            const name = spec.local.name;
-            const originalCode = generate(path.node, { compact: false }).code;
-            declarations.set(name, {
+    ExportNamedDeclaration(path) {
+      if (path.node.declaration || path.node.source) return;
+
+      path.node.specifiers.forEach((spec) => {
+        if (spec.type === "ExportSpecifier") {
+          const name = getModuleExportName(spec.exported);
+          addDeclaration(
+            path,
+            {
+              name,
+              qualifiedName: name,
               node: path.node,
               type: "named-export",
               path: path,
-              source: filePath,
-              originalCode: originalCode,
-            });
-          }
-        });
-      }
+              get originalCode() {
+                return getSourceText(sourceCode, path.node);
+              },
+            },
+            {}
+          );
+        }
+      });
     },
 
     ExportDefaultDeclaration(path) {
-      const originalCode = generate(path.node, { compact: false }).code;
-      let name = "default";
-      let type = "default-export";
-
-      if (path.node.declaration.type === "FunctionDeclaration") {
-        name = path.node.declaration.id?.name || "default";
-        type = "function";
-      } else if (path.node.declaration.type === "ClassDeclaration") {
-        name = path.node.declaration.id?.name || "default";
-        type = "class";
-      } else if (path.node.declaration.type === "Identifier") {
-        name = path.node.declaration.name;
+      const declaration = path.node.declaration;
+      if (
+        declaration.id?.name &&
+        (declaration.type === "FunctionDeclaration" ||
+          declaration.type === "ClassDeclaration" ||
+          TYPE_DECLARATION_TYPES[declaration.type])
+      ) {
+        return;
       }
 
-      const declarationInfo = {
-        node: path.node,
-        type: type,
-        path: path,
-        source: filePath,
-        originalCode: originalCode,
-      };
-
-      declarations.set(name, declarationInfo);
-      declarations.set("default", declarationInfo);
+      addDeclaration(
+        path,
+        {
+          name: "default",
+          qualifiedName: "default",
+          node: path.node,
+          type: "default-export",
+          path: path,
+          get originalCode() {
+            return getSourceText(sourceCode, path.node);
+          },
+        },
+        {}
+      );
     },
   });
+
+  return declarationIndex;
 }
 
 /**
- * Finds class methods within a class declaration 🏛️✨
- * @param {Object} classPath - The class path to search within
- * @param {Map<string, DeclarationInfo>} declarations - Map to store found declarations
- * @param {string} filePath - Current file path
- * @param {string} sourceCode - Original source code
- * @param {string} className - Class name
- * @param {number} depth - Current nesting depth
+ * Builds a unique, readable id for a declaration 🏷️
+ * @param {string} filePath - File the declaration lives in
+ * @param {string} name - Declaration name
+ * @param {Object} node - Node that introduces the declaration
+ * @returns {string} Declaration id like `src/a.js#name@3:2`
  */
-function findClassMethods(
-  classPath,
-  declarations,
-  filePath,
-  sourceCode,
-  className,
-  depth
-) {
-  classPath.traverse({
-    ClassMethod(path) {
-      const name =
-        path.node.key?.name ||
-        (path.node.key?.type === "Identifier" ? path.node.key.name : null);
-      if (name) {
-        const originalCode = generate(path.node, { compact: false }).code;
-        logger.debug(`🎭 Found class method: ${className}.${name}`);
-
-        const declarationInfo = {
-          node: path.node,
-          type: "method",
-          path: path,
-          source: filePath,
-          className: className,
-          originalCode: originalCode,
-        };
+function createDeclarationId(filePath, name, node) {
+  const start = node.loc?.start;
+  return `${filePath}#${name}@${start ? `${start.line}:${start.column}` : 0}`;
+}
 
-        const fullName = `${className}.${name}`;
-        declarations.set(fullName, declarationInfo);
-        declarations.set(name, declarationInfo);
+/**
+ * Gets the binding a declaration introduces, ignoring redeclarations 🔗
+ * @param {Object} scope - Scope the declaration is registered in
+ * @param {string} name - Declared name
+ * @param {Object} identifier - The declaring identifier node
+ * @returns {Object|null} The Babel binding, or null if it belongs elsewhere
+ */
+function getOwnBinding(scope, name, identifier) {
+  const binding = scope.getBinding(name);
+  return binding && binding.identifier === identifier ? binding : null;
+}
 
-        findNestedPatternsInScope(
-          path,
-          declarations,
-          filePath,
-          sourceCode,
-          name,
-          depth + 1,
-          className
-        );
-      }
-      path.skip();
-    },
-  });
+/**
+ * Picks the node whose code represents a declaration, keeping `export` keywords 📦
+ * @param {Object} path - Declaration path
+ * @returns {Object} The export statement wrapping the declaration, or its own node
+ */
+function getCodeNode(path) {
+  return path.parentPath?.isExportDeclaration() ? path.parent : path.node;
 }
 
 /**
- * Finds nested patterns within a scope 🔍✨
- * @param {Object} scopePath - The scope path to search within
- * @param {Map<string, DeclarationInfo>} declarations - Map to store found declarations
- * @param {string} filePath - Current file path
- * @param {string} sourceCode - Original source code
- * @param {string} parentName - Parent scope name
- * @param {number} depth - Current nesting depth
- * @param {string} [className] - Current class name
+ * Returns the exact source text of a node 📜
+ * Used for lazy `originalCode` getters, so nothing is sliced until a pattern is tested.
+ * @param {string} sourceCode - Source text of the node's file
+ * @param {Object} node - AST node with `start`/`end` offsets
+ * @returns {string} The node's original text
  */
-function findNestedPatternsInScope(
-  scopePath,
-  declarations,
-  filePath,
-  sourceCode,
-  parentName,
-  depth,
-  className
-) {
-  scopePath.traverse({
-    FunctionDeclaration(path) {
-      if (path === scopePath) return;
+function getSourceText(sourceCode, node) {
+  return sourceCode.slice(node.start, node.end);
+}
 
-      const name = path.node.id?.name;
-      if (name) {
-        const originalCode = generate(path.node, { compact: false }).code;
-        logger.debug(
-          `🪆 Found nested function declaration: ${name} inside ${parentName} (depth: ${depth})`
-        );
+/**
+ * Works out where a declaration lives: its container, parent function and class 🪆
+ * @param {Object} path - Declaration path
+ * @param {Map<Object, DeclarationInfo>} containers - Declarations keyed by the node that owns them
+ * @returns {{container: DeclarationInfo|null, parentDeclaration: DeclarationInfo|null, classDeclaration: DeclarationInfo|null, depth: number}} Declaration context
+ */
+function getDeclarationContext(path, containers) {
+  const context = {
+    container: null,
+    parentDeclaration: null,
+    classDeclaration: null,
+    depth: 0,
+  };
 
-        declarations.set(name, {
-          node: path.node,
-          type: "nested-function",
-          path: path,
-          source: filePath,
-          parentFunction: parentName,
-          depth: depth,
-          className: className,
-          originalCode: originalCode,
-        });
+  for (let current = path.parentPath; current; current = current.parentPath) {
+    const declaration = containers.get(current.node);
+    if (!declaration) continue;
 
-        findNestedPatternsInScope(
-          path,
-          declarations,
-          filePath,
-          sourceCode,
-          name,
-          depth + 1,
-          className
-        );
-      }
+    context.container = context.container || declaration;
 
-      path.skip();
-    },
+    if (t.isClass(current.node)) {
+      context.classDeclaration = context.classDeclaration || declaration;
+    } else if (isFunctionContainer(current.node)) {
+      context.parentDeclaration = context.parentDeclaration || declaration;
+      context.depth++;
+    }
+  }
 
-    VariableDeclarator(path) {
-      const name = path.node.id?.name;
-      if (name && path.node.init) {
-        const originalCode = generate(path.parent, { compact: false }).code;
-        const isFunction =
-          path.node.init.type === "FunctionExpression" ||
-          path.node.init.type === "ArrowFunctionExpression";
+  return context;
+}
 
-        if (isFunction) {
-          logger.debug(
-            `🏹 Found nested ${path.node.init.type}: ${name} inside ${parentName} (depth: ${depth})`
-          );
-        }
+/**
+ * Checks whether a declaring node holds a function body 🏹
+ * @param {Object} node - Declaring node (function, class or object member, variable declarator or CommonJS export)
+ * @returns {boolean} True for functions, methods, static blocks and function-valued variables, fields, properties or exports
+ */
+function isFunctionContainer(node) {
+  if (node.type === "VariableDeclarator") {
+    return isFunctionNode(node.init);
+  }
+  if (node.type === "ExpressionStatement") {
+    return isFunctionNode(node.expression.right);
+  }
+  if (
+    t.isObjectProperty(node) ||
+    t.isClassProperty(node) ||
+    t.isClassPrivateProperty(node) ||
+    t.isClassAccessorProperty(node)
+  ) {
+    return isFunctionNode(node.value);
+  }
+  return (
+    t.isFunctionDeclaration(node) ||
+    t.isClassMethod(node) ||
+    t.isClassPrivateMethod(node) ||
+    t.isObjectMethod(node) ||
+    t.isStaticBlock(node)
+  );
+}
 
-        declarations.set(name, {
-          node: path.parent,
-          type: isFunction ? "nested-function" : "variable",
-          path: path.parentPath,
-          source: filePath,
-          parentFunction: parentName,
-          depth: depth,
-          className: className,
-          originalCode: originalCode,
-        });
+/**
+ * Gets the name a class or object member is recorded under 🏷️
+ * Private members keep their `#`, computed keys read as `[expression]` and
+ * static blocks are all called `<static>`.
+ * @param {Object} node - Class member, object method or object property node
+ * @param {string} sourceCode - Source text of the node's file
+ * @returns {string} Member name
+ */
+function getMemberKeyName(node, sourceCode) {
+  if (t.isStaticBlock(node)) return "<static>";
+  return getMemberName(node) ?? `[${getSourceText(sourceCode, node.key)}]`;
+}
 
-        if (path.node.init.type === "FunctionExpression") {
-          findNestedPatternsInExpression(
-            path.get("init"),
-            declarations,
-            filePath,
-            sourceCode,
-            name,
-            depth + 1,
-            className
-          );
-        }
-      }
-    },
+/**
+ * Classifies a class or object member 🎭
+ * @param {Object} node - Class member, object method or object property node
+ * @returns {'method'|'getter'|'setter'|'field'|'accessor'|'static-block'|'object-method'} Declaration type
+ */
+function getMemberType(node) {
+  if (t.isStaticBlock(node)) return "static-block";
+  if (t.isClassAccessorProperty(node)) return "accessor";
+  if (node.kind === "get") return "getter";
+  if (node.kind === "set") return "setter";
+  if (t.isObjectMember(node)) return "object-method";
+  return t.isClassProperty(node) || t.isClassPrivateProperty(node)
+    ? "field"
+    : "method";
+}
 
-    ClassDeclaration(path) {
-      const name = path.node.id?.name;
-      if (name) {
-        const originalCode = generate(path.node, { compact: false }).code;
-        logger.debug(
-          `🏛️ Found nested class: ${name} inside ${parentName} (depth: ${depth})`
-        );
+/**
+ * Joins an owner and a member name: `Class.method`, `api.decode`, `Class[Symbol.iterator]` 🔗
+ * @param {string} ownerName - Qualified name of the class or object
+ * @param {string} name - Member name
+ * @returns {string} Qualified member name
+ */
+function qualifyMemberName(ownerName, name) {
+  return name.startsWith("[") ? `${ownerName}${name}` : `${ownerName}.${name}`;
+}
 
-        declarations.set(name, {
-          node: path.node,
-          type: "class",
-          path: path,
-          source: filePath,
-          parentFunction: parentName,
-          depth: depth,
-          originalCode: originalCode,
-        });
+/**
+ * Finds the declaration an object-literal member belongs to, through nested objects 🧰
+ * Objects count when they initialize a variable, are assigned to a CommonJS
+ * export or are the default export.
+ * @param {Object} path - ObjectMethod or ObjectProperty path
+ * @param {Map<Object, DeclarationInfo>} containers - Declarations keyed by the node that owns them
+ * @param {string} sourceCode - Source text of the file
+ * @returns {{declaration: DeclarationInfo, keys: string[]}|null} Owning declaration and the keys leading from it to the member's object
+ */
+function getObjectMemberOwner(path, containers, sourceCode) {
+  const keys = [];
+  let objectPath = path.parentPath;
+  while (
+    objectPath.parentPath.isObjectProperty() &&
+    objectPath.parent.value === objectPath.node
+  ) {
+    keys.unshift(getMemberKeyName(objectPath.parent, sourceCode));
+    objectPath = objectPath.parentPath.parentPath;
+  }
 
-        findClassMethods(
-          path,
-          declarations,
-          filePath,
-          sourceCode,
-          name,
-          depth + 1
-        );
-      }
-      path.skip();
-    },
-  });
+  const parentPath = objectPath.parentPath;
+  let ownerNode = null;
+  if (
+    parentPath.isVariableDeclarator() &&
+    parentPath.node.init === objectPath.node
+  ) {
+    ownerNode = parentPath.node;
+  } else if (
+    parentPath.isAssignmentExpression() &&
+    parentPath.node.right === objectPath.node
+  ) {
+    ownerNode = parentPath.parent;
+  } else if (parentPath.isExportDefaultDeclaration()) {
+    ownerNode = parentPath.node;
+  }
+
+  const declaration = ownerNode && containers.get(ownerNode);
+  return declaration ? { declaration, keys } : null;
 }
 
 /**
- * Finds nested patterns within a function expression 💝
- * @param {Object} expressionPath - The expression path to search within
- * @param {Map<string, DeclarationInfo>} declarations - Map to store found declarations
- * @param {string} filePath - Current file path
- * @param {string} sourceCode - Original source code
- * @param {string} parentName - Parent function name
- * @param {number} depth - Current nesting depth
- * @param {string} [className] - Current class name
+ * Checks whether a node is a function expression or arrow function 🏹
+ * @param {Object} [node] - Node to check
+ * @returns {boolean} True for function and arrow function expressions
  */
-function findNestedPatternsInExpression(
-  expressionPath,
-  declarations,
-  filePath,
-  sourceCode,
-  parentName,
-  depth,
-  className
-) {
-  expressionPath.traverse({
-    FunctionDeclaration(path) {
-      const name = path.node.id?.name;
-      if (name) {
-        const originalCode = generate(path.node, { compact: false }).code;
-        logger.debug(
-          `🎭 Found function declaration in expression: ${name} inside ${parentName} (depth: ${depth})`
-        );
+function isFunctionNode(node) {
+  return (
+    node?.type === "FunctionExpression" ||
+    node?.type === "ArrowFunctionExpression"
+  );
+}
 
-        declarations.set(name, {
-          node: path.node,
-          type: "nested-function",
-          path: path,
-          source: filePath,
-          parentFunction: parentName,
-          depth: depth,
-          className: className,
-          originalCode: originalCode,
+/**
+ * Follows a declaration up to the outermost declaration that contains it 🪆
+ * Nested declarations can only be emitted as part of their container.
+ * @param {DeclarationInfo} declaration - Declaration to start from
+ * @returns {DeclarationInfo} The top-level declaration to emit
+ */
+function getOutermostDeclaration(declaration) {
+  let current = declaration;
+  while (current.container) {
+    current = current.container;
+  }
+  return current;
+}
+
+/**
+ * Gets the name of a TypeScript type-level declaration 🧩
+ * @param {Object} node - Interface, type alias, enum, declare or namespace node
+ * @returns {string|null} Declared name, or null for anonymous declarations
+ */
+function getTypeDeclarationName(node) {
+  if (node.id?.type === "StringLiteral") {
+    return node.id.value;
+  }
+  return node.id?.name || null;
+}
+
+/**
+ * Maps a TypeScript type-level declaration to its declaration type 🏷️
+ * @param {Object} node - Interface, type alias, enum, declare or namespace node
+ * @returns {string} Declaration type for DeclarationInfo
+ */
+function getTypeDeclarationType(node) {
+  return node.declare ? "declare" : TYPE_DECLARATION_TYPES[node.type];
+}
+
+/**
+ * Builds the export table of a module: exported name -> local declaration 📤
+ * @param {Object} ast - The module AST
+ * @param {Map<string, DeclarationInfo>} declarations - Declarations found in the module
+ * @param {DeclarationIndex} declarationIndex - Lookups of those declarations
+ * @returns {Map<string, DeclarationInfo>} Declarations keyed by exported name
+ */
+function findModuleExports(ast, declarations, declarationIndex) {
+  const exports = new Map();
+
+  traverse(ast, {
+    ExportNamedDeclaration(path) {
+      if (path.node.source) return;
+
+      const declaration = path.node.declaration;
+      if (declaration) {
+        const names = TYPE_DECLARATION_TYPES[declaration.type]
+          ? [getTypeDeclarationName(declaration)]
+          : Object.keys(t.getOuterBindingIdentifiers(declaration));
+
+        names.forEach((name) => {
+          const declarationInfo =
+            name && findLocalDeclaration(path.scope, name, declarationIndex);
+          if (declarationInfo) {
+            exports.set(name, declarationInfo);
+          }
         });
+        return;
+      }
 
-        findNestedPatternsInScope(
-          path,
-          declarations,
-          filePath,
-          sourceCode,
-          name,
-          depth + 1,
-          className
+      path.node.specifiers.forEach((spec) => {
+        if (spec.type === "ExportSpecifier") {
+          const declarationInfo = findLocalDeclaration(
+            path.scope,
+            spec.local.name,
+            declarationIndex
+          );
+          if (declarationInfo) {
+            exports.set(getModuleExportName(spec.exported), declarationInfo);
+          }
+        }
+      });
+    },
+
+    ExportDefaultDeclaration(path) {
+      const declaration = path.node.declaration;
+      const name =
+        declaration.type === "Identifier"
+          ? declaration.name
+          : declaration.id?.name;
+      const declarationInfo =
+        (name && findLocalDeclaration(path.scope, name, declarationIndex)) ||
+        Array.from(declarations.values()).find(
+          (candidate) => candidate.node === path.node
         );
+
+      if (declarationInfo) {
+        exports.set("default", declarationInfo);
       }
-      path.skip();
     },
 
-    VariableDeclarator(path) {
-      const name = path.node.id?.name;
-      if (name && path.node.init) {
-        const originalCode = generate(path.parent, { compact: false }).code;
-        const isFunction =
-          path.node.init.type === "FunctionExpression" ||
-          path.node.init.type === "ArrowFunctionExpression";
+    AssignmentExpression(path) {
+      const exportName = getCommonJsExportName(path);
+      const declarationInfo =
+        exportName &&
+        Array.from(declarations.values()).find(
+          (candidate) => candidate.node === path.parent
+        );
+      if (!declarationInfo) return;
 
-        if (isFunction) {
-          logger.debug(
-            `🌟 Found nested function expression in expression: ${name} inside ${parentName} (depth: ${depth})`
-          );
-        }
+      if (exportName !== "*") {
+        exports.set(exportName, declarationInfo);
+        return;
+      }
 
-        declarations.set(name, {
-          node: path.parent,
-          type: isFunction ? "nested-function" : "variable",
-          path: path.parentPath,
-          source: filePath,
-          parentFunction: parentName,
-          depth: depth,
-          className: className,
-          originalCode: originalCode,
+      exports.set("default", declarationInfo);
+      if (path.node.right.type === "ObjectExpression") {
+        path.node.right.properties.forEach((property) => {
+          if (property.computed || !property.key) return;
+
+          const name = getModuleExportName(property.key);
+          const value = property.value;
+          exports.set(
+            name,
+            (value?.type === "Identifier" &&
+              findLocalDeclaration(path.scope, value.name, declarationIndex)) ||
+              declarationInfo
+          );
         });
       }
     },
   });
+
+  return exports;
 }
 
 /**
- * Enhanced pattern extractor that works with any regex pattern! ✨
- * Searches through original code using regex, not just identifiers! 🥰
- * @param {string} sourceCode - The source code to parse
- * @param {RegExp} patternRegex - Regex to match against the original code
- * @param {string} [currentFilePath] - Current file path for import resolution
- * @returns {ExtractionResult} The extraction result
+ * Reads the exported name of a CommonJS export assignment 📤
+ * @param {Object} path - AssignmentExpression path
+ * @returns {string|null} `*` for `module.exports = ...`, the property name for
+ * `exports.x = ...` / `module.exports.x = ...`, or null for other assignments
  */
-function extractPatternWithDependencies(
-  sourceCode,
-  patternRegex,
-  currentFilePath = process.cwd() + "/main.js"
-) {
-  logger.info(
-    "🚀 Starting enhanced pattern extraction with regex search support!"
-  );
-
-  let ast;
-  try {
-    ast = parser.parse(sourceCode, {
-      sourceType: "module",
-      allowImportExportEverywhere: true,
-      allowReturnOutsideFunction: true,
-      plugins: [
-        "asyncGenerators",
-        "bigInt",
-        "classProperties",
-        "decorators-legacy",
-        "doExpressions",
-        "dynamicImport",
-        "exportDefaultFrom",
-        "exportNamespaceFrom",
-        "functionBind",
-        "functionSent",
-        "importMeta",
-        "nullishCoalescingOperator",
-        "numericSeparator",
-        "objectRestSpread",
-        "optionalCatchBinding",
-        "optionalChaining",
-        "throwExpressions",
-        "topLevelAwait",
-        "trailingFunctionCommas",
-      ],
-    });
-    logger.success("Main source code parsed successfully");
-  } catch (error) {
-    logger.error(`Failed to parse source code: ${error.message}`);
-    throw new Error(`Parse error: ${error.message}`);
+function getCommonJsExportName(path) {
+  const left = path.node.left;
+  if (path.node.operator !== "=" || left.type !== "MemberExpression") {
+    return null;
   }
 
-  const matchedPatterns = new Set();
-  const matchDetails = [];
-  const dependencies = new Set();
-  const nodesToInclude = new Set();
-  const resolvedImports = [];
-  const unresolvedImports = [];
+  if (isModuleExports(left, path.scope)) return "*";
 
-  const globalDeclarations = new Map();
+  const isExportsObject =
+    (t.isIdentifier(left.object, { name: "exports" }) &&
+      !path.scope.hasBinding("exports")) ||
+    isModuleExports(left.object, path.scope);
+  if (!isExportsObject) return null;
 
-  findAllDeclarations(ast, globalDeclarations, currentFilePath, sourceCode);
+  if (!left.computed) return left.property.name;
+  return left.property.type === "StringLiteral" ? left.property.value : null;
+}
 
-  traverse(ast, {
-    ImportDeclaration(path) {
-      const importPath = path.node.source.value;
-      const resolvedPath = resolveImportPath(importPath, currentFilePath);
-
-      if (resolvedPath && resolvedPath !== currentFilePath) {
-        logger.success(`✨ Resolved import: ${importPath} -> ${resolvedPath}`);
-        resolvedImports.push(importPath);
-
-        const parsedFile = parseFile(resolvedPath);
-        if (parsedFile) {
-          parsedFile.declarations.forEach((declaration, name) => {
-            globalDeclarations.set(name, declaration);
-            logger.debug(
-              `Added imported declaration: ${name} from ${resolvedPath}`
-            );
-          });
-        }
-      } else {
-        logger.warn(`❌ Could not resolve import: ${importPath}`);
-        unresolvedImports.push(importPath);
+/**
+ * Checks whether a node is the free `module.exports` expression 📦
+ * @param {Object} node - Node to check
+ * @param {Object} scope - Scope the node lives in
+ * @returns {boolean} True for `module.exports`
+ */
+function isModuleExports(node, scope) {
+  return (
+    node.type === "MemberExpression" &&
+    !node.computed &&
+    t.isIdentifier(node.object, { name: "module" }) &&
+    t.isIdentifier(node.property, { name: "exports" }) &&
+    !scope.hasBinding("module")
+  );
+}
 
-        path.node.specifiers.forEach((spec) => {
-          const name = spec.local.name;
-          const originalCode = generate(path.node, { compact: false }).code;
-          globalDeclarations.set(name, {
-            node: path.node,
-            type: "import",
-            path: path,
-            source: currentFilePath,
-            originalCode: originalCode,
-          });
-        });
-      }
-    },
-  });
+/**
+ * Reads the module path of a `require("...")` call 📥
+ * @param {Object} path - CallExpression path
+ * @returns {string|null} The required path, or null if this isn't a require call
+ */
+function getRequireSource(path) {
+  const { callee, arguments: args } = path.node;
+  if (
+    !t.isIdentifier(callee, { name: "require" }) ||
+    path.scope.hasBinding("require") ||
+    args.length !== 1 ||
+    args[0].type !== "StringLiteral"
+  ) {
+    return null;
+  }
+  return args[0].value;
+}
 
-  logger.info(`Global declarations built: ${globalDeclarations.size} total`);
-  logger.info(
-    `Resolved imports: ${resolvedImports.length}, Unresolved: ${unresolvedImports.length}`
+/**
+ * Finds the declaration a name refers to in a given scope 🔎
+ * @param {Object} scope - Scope to look the name up from
+ * @param {string} name - Local name
+ * @param {DeclarationIndex} declarationIndex - Declaration lookups to use
+ * @returns {DeclarationInfo|null} The declaration, or null if unknown
+ */
+function findLocalDeclaration(scope, name, declarationIndex) {
+  const binding = scope.getBinding(name);
+  if (binding) {
+    return declarationIndex.byBinding.get(binding) || null;
+  }
+  return (
+    declarationIndex.typesByProgram
+      .get(scope.getProgramParent().block)
+      ?.get(name) || null
   );
+}
 
-  globalDeclarations.forEach((declaration, name) => {
-    const originalCode = declaration.originalCode || "";
+/**
+ * Reads an exported/imported name, which may be written as a string literal 🏷️
+ * @param {Object} node - Identifier or StringLiteral
+ * @returns {string} The module export name
+ */
+function getModuleExportName(node) {
+  return node.type === "StringLiteral" ? node.value : node.name;
+}
 
-    if (patternRegex.test(originalCode)) {
-      logger.success(
-        `🎯 Found matching pattern in: ${name}${
-          declaration.parentFunction
-            ? ` (nested in ${declaration.parentFunction})`
-            : ""
-        }${declaration.className ? ` (in class ${declaration.className})` : ""}`
+/**
+ * @typedef {Object} ModuleInfo
+ * @property {string} filePath - Absolute path of the module
+ * @property {Object} ast - The parsed AST
+ * @property {string} sourceCode - The module's original source text
+ * @property {Map<string, DeclarationInfo>} declarations - Declarations found in the module
+ * @property {Map<string, DeclarationInfo>} exports - Local declarations keyed by exported name
+ * @property {{exportedName: string, importedName: string, source: string, module: ModuleInfo|null}[]} reexports - `export ... from` entries; `export *` uses `*` for both names
+ * @property {Map<string, {source: string, resolvedPath: string|null, importedName: string}>} imports - Import binding table: local name -> exported name in the target module
+ * @property {number} depth - Number of imports between the entry and this module
+ * @property {string[]} importChain - Files walked from the entry to reach this module
+ */
+
+/**
+ * Walks the module graph from the entry module, following imports and
+ * re-exports transitively 🕸️ Every module is parsed once, so circular imports
+ * are safe. Import specifiers are linked once the whole graph is loaded, so
+ * re-export chains can be followed to the file that defines each symbol.
+ * @param {ModuleInfo} entryModule - The already parsed entry module
+ * @param {Map<string, DeclarationInfo>} globalDeclarations - Map collecting declarations of every module
+ * @param {CallContext} callContext - Logger, event hooks and declaration lookups of the call
+ * @param {Object} [options] - Graph options
+ * @param {number} [options.maxDepth=Infinity] - Maximum number of imports to follow from the entry
+ * @param {boolean} [options.followPackages=false] - Also walk into imported packages (node_modules); by default their imports are kept as external imports
+ * @param {Object} [options.alias] - Alias map (see createResolver)
+ * @param {string[]} [options.conditions] - package.json `exports`/`imports` conditions (see createResolver)
+ * @param {string|false} [options.tsconfig] - tsconfig/jsconfig to use (see createResolver)
+ * @param {Function} [options.resolve] - Custom resolver tried before the built-in rules (see createResolver)
+ * @param {import("./file-system.js").FileSystem} options.fileSystem - File access used to read and resolve modules
+ * @param {import("./parse-cache.js").ParseCache} [options.parseCache] - Cache of already parsed files
+ * @returns {{modules: Map<string, ModuleInfo>, resolvedImports: string[], unresolvedImports: string[], externalImports: string[], importResolutions: Object[]}} The walked module graph
+ */
+function loadModuleGraph(
+  entryModule,
+  globalDeclarations,
+  callContext,
+  options = {}
+) {
+  const { logger } = callContext;
+  const maxDepth = options.maxDepth ?? Infinity;
+  const modules = new Map([[entryModule.filePath, entryModule]]);
+  const resolvedImports = [];
+  const unresolvedImports = [];
+  const externalImports = [];
+  const importResolutions = [];
+  const queue = [entryModule];
+  const pendingLinks = [];
+  const resolve = createResolver({ ...options, logger });
+
+  const loadModule = (importPath, moduleInfo) => {
+    const resolution = resolve(importPath, moduleInfo.filePath);
+    importResolutions.push({
+      importPath,
+      importer: moduleInfo.filePath,
+      resolvedPath: resolution?.path ?? null,
+      rule: resolution?.rule ?? null,
+    });
+
+    if (!resolution) {
+      logger.warn(`❌ Could not resolve import: ${importPath}`);
+      unresolvedImports.push(importPath);
+      return null;
+    }
+
+    // Packages are dependencies of the project, not code to extract
+    if (resolution.packageName && !options.followPackages) {
+      logger.debug(
+        `📦 Keeping ${importPath} as an external import (package ${resolution.packageName})`
       );
-      matchedPatterns.add(name);
+      externalImports.push(importPath);
+      return null;
+    }
 
-      matchDetails.push({
-        name: name,
-        type: declaration.type,
-        parentFunction: declaration.parentFunction || null,
-        className: declaration.className || null,
-        depth: declaration.depth || 0,
-        codeSnippet:
-          originalCode.substring(0, 200) +
-          (originalCode.length > 200 ? "..." : ""),
-      });
+    const resolvedPath = resolution.path;
 
-      if (
-        declaration.type === "nested-function" &&
-        declaration.parentFunction
-      ) {
-        const parentDeclaration = globalDeclarations.get(
-          declaration.parentFunction
+    if (
+      !modules.has(resolvedPath) &&
+      options.loadedModules?.has(resolvedPath)
+    ) {
+      // Already traversed as part of an earlier graph, so only link to it
+      modules.set(resolvedPath, options.loadedModules.get(resolvedPath));
+    } else if (!modules.has(resolvedPath)) {
+      if (moduleInfo.depth >= maxDepth) {
+        logger.debug(
+          `⏹️ Not following ${importPath} from ${moduleInfo.filePath}: max depth ${maxDepth} reached`
         );
-        if (parentDeclaration) {
-          nodesToInclude.add(parentDeclaration.node);
-          logger.debug(
-            `🔗 Including parent function: ${declaration.parentFunction}`
-          );
-        }
+        return null;
       }
 
-      if (declaration.className) {
-        const classDeclaration = globalDeclarations.get(declaration.className);
-        if (classDeclaration) {
-          nodesToInclude.add(classDeclaration.node);
-          logger.debug(`🔗 Including parent class: ${declaration.className}`);
-        }
+      const parsedFile = parseFile(
+        resolvedPath,
+        options.fileSystem,
+        options.parseCache,
+        callContext
+      );
+      if (!parsedFile) {
+        unresolvedImports.push(importPath);
+        return null;
       }
 
-      nodesToInclude.add(declaration.node);
+      const importedModule = {
+        filePath: resolvedPath,
+        ast: parsedFile.ast,
+        sourceCode: parsedFile.sourceCode,
+        declarations: parsedFile.declarations,
+        exports: parsedFile.exports,
+        reexports: [],
+        imports: new Map(),
+        depth: moduleInfo.depth + 1,
+        importChain: [...moduleInfo.importChain, resolvedPath],
+      };
+      modules.set(resolvedPath, importedModule);
+      queue.push(importedModule);
 
-      if (declaration.path) {
-        findDependenciesInNode(
-          declaration.path,
-          dependencies,
-          globalDeclarations
+      parsedFile.declarations.forEach((declaration, id) => {
+        globalDeclarations.set(id, declaration);
+        logger.debug(
+          `Added imported declaration: ${declaration.qualifiedName} from ${resolvedPath}`
         );
-      }
+      });
     }
-  });
 
-  if (matchedPatterns.size === 0) {
-    return {
-      success: false,
-      message: `No patterns found matching regex: ${patternRegex.source}`,
-      finalCode: "",
-      metadata: {
-        matchedPatterns: [],
-        dependencies: [],
-        totalNodesIncluded: 0,
-        resolvedImports,
-        unresolvedImports,
-        matchDetails: [],
-        originalCodeLength: sourceCode.length,
-        extractedCodeLength: 0,
+    logger.success(
+      `✨ Resolved import (${resolution.rule}): ${importPath} -> ${resolvedPath}`
+    );
+    resolvedImports.push(importPath);
+    callContext.emit("onImportResolved", {
+      importPath,
+      resolvedPath,
+      importer: moduleInfo.filePath,
+      rule: resolution.rule,
+    });
+    return modules.get(resolvedPath);
+  };
+
+  while (queue.length > 0) {
+    const moduleInfo = queue.shift();
+
+    traverse(moduleInfo.ast, {
+      ImportDeclaration(path) {
+        const importPath = path.node.source.value;
+        const targetModule = loadModule(importPath, moduleInfo);
+
+        if (!targetModule) {
+          addExternalImport(path, moduleInfo, globalDeclarations, callContext);
+          return;
+        }
+
+        path.node.specifiers.forEach((spec) => {
+          const importInfo = createImportDeclaration(
+            path,
+            spec.local,
+            moduleInfo,
+            callContext
+          );
+          importInfo.importedName = getImportedName(spec);
+          pendingLinks.push({
+            importInfo,
+            importPath,
+            moduleInfo,
+            targetModule,
+          });
+        });
       },
-    };
+
+      ExportNamedDeclaration(path) {
+        if (!path.node.source) return;
+
+        const importPath = path.node.source.value;
+        const targetModule = loadModule(importPath, moduleInfo);
+
+        path.node.specifiers.forEach((spec) => {
+          let importedName = "*";
+          if (spec.type === "ExportDefaultSpecifier") {
+            importedName = "default";
+          } else if (spec.type === "ExportSpecifier") {
+            importedName = getModuleExportName(spec.local);
+          }
+
+          moduleInfo.reexports.push({
+            exportedName: getModuleExportName(spec.exported),
+            importedName,
+            source: importPath,
+            module: targetModule,
+          });
+        });
+      },
+
+      ExportAllDeclaration(path) {
+        const importPath = path.node.source.value;
+        moduleInfo.reexports.push({
+          exportedName: "*",
+          importedName: "*",
+          source: importPath,
+          module: loadModule(importPath, moduleInfo),
+        });
+      },
+
+      CallExpression(path) {
+        const importPath = getRequireSource(path);
+        if (importPath === null) return;
+
+        const targetModule = loadModule(importPath, moduleInfo);
+        if (!targetModule) return;
+
+        callContext.requiredModules.set(path.node, targetModule);
+        getRequireBindings(path).forEach(({ local, importedName }) => {
+          const variableDeclaration = findLocalDeclaration(
+            path.scope,
+            local.name,
+            callContext.declarationIndex
+          );
+          if (variableDeclaration) {
+            globalDeclarations.delete(variableDeclaration.id);
+          }
+
+          const importInfo = createImportDeclaration(
+            path.findParent((parent) => parent.isVariableDeclaration()),
+            local,
+            moduleInfo,
+            callContext
+          );
+          importInfo.importedName = importedName;
+          pendingLinks.push({
+            importInfo,
+            importPath,
+            moduleInfo,
+            targetModule,
+          });
+        });
+      },
+    });
+  }
+
+  pendingLinks.forEach(
+    ({ importInfo, importPath, moduleInfo, targetModule }) => {
+      linkImportSpecifier(importInfo, targetModule, callContext);
+      moduleInfo.imports.set(importInfo.name, {
+        source: importPath,
+        resolvedPath: targetModule.filePath,
+        importedName: importInfo.importedName,
+        reexportChain: importInfo.reexportChain || [],
+      });
+    }
+  );
+
+  return {
+    modules,
+    resolvedImports,
+    unresolvedImports,
+    externalImports,
+    importResolutions,
+  };
+}
+
+/**
+ * Summarizes the walked modules for result metadata 🗺️
+ * @param {Map<string, ModuleInfo>} modules - Modules reached from the entry
+ * @returns {{path: string, depth: number, importChain: string[], imports: Object[]}[]} Module summaries
+ */
+function summarizeModules(modules) {
+  return Array.from(modules.values()).map((moduleInfo) => ({
+    path: moduleInfo.filePath,
+    depth: moduleInfo.depth,
+    importChain: moduleInfo.importChain,
+    imports: Array.from(moduleInfo.imports, ([localName, binding]) => ({
+      localName,
+      ...binding,
+    })),
+  }));
+}
+
+/**
+ * Records the specifiers of an import that won't be followed, so the
+ * import statement itself can be kept in the extracted code 📦
+ * @param {Object} path - The ImportDeclaration path
+ * @param {ModuleInfo} moduleInfo - Module containing the import
+ * @param {Map<string, DeclarationInfo>} globalDeclarations - Map collecting declarations
+ * @param {CallContext} callContext - Logger, event hooks and declaration lookups of the call
+ */
+function addExternalImport(path, moduleInfo, globalDeclarations, callContext) {
+  path.node.specifiers.forEach((spec) => {
+    const importInfo = createImportDeclaration(
+      path,
+      spec.local,
+      moduleInfo,
+      callContext
+    );
+    importInfo.importedName = getImportedName(spec);
+    globalDeclarations.set(importInfo.id, importInfo);
+    moduleInfo.imports.set(importInfo.name, {
+      source: path.node.source.value,
+      resolvedPath: null,
+      importedName: importInfo.importedName,
+    });
+  });
+}
+
+/**
+ * Lists the local bindings a `require()` call initializes 📥
+ * Handles `const x = require(...)`, `const { a, b: c } = require(...)` and
+ * `const a = require(...).a`.
+ * @param {Object} path - The require CallExpression path
+ * @returns {{local: Object, importedName: string}[]} Bound identifiers with the export each one reads
+ */
+function getRequireBindings(path) {
+  let declaratorPath = path.parentPath;
+  let memberName = null;
+
+  if (
+    declaratorPath.isMemberExpression({ object: path.node }) &&
+    !declaratorPath.node.computed
+  ) {
+    memberName = declaratorPath.node.property.name;
+    declaratorPath = declaratorPath.parentPath;
+  }
+
+  if (!declaratorPath.isVariableDeclarator()) return [];
+
+  const id = declaratorPath.node.id;
+  if (id.type === "Identifier") {
+    return [{ local: id, importedName: memberName || "*" }];
+  }
+
+  if (id.type !== "ObjectPattern" || memberName) return [];
+
+  return id.properties
+    .filter((property) => property.type === "ObjectProperty")
+    .map((property) => {
+      const value =
+        property.value.type === "AssignmentPattern"
+          ? property.value.left
+          : property.value;
+      return property.computed || value.type !== "Identifier"
+        ? null
+        : { local: value, importedName: getModuleExportName(property.key) };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Gets the name a specifier imports from its module 🏷️
+ * @param {Object} spec - Import specifier node
+ * @returns {string} Exported name, `default` for default imports or `*` for namespaces
+ */
+function getImportedName(spec) {
+  if (spec.type === "ImportDefaultSpecifier") return "default";
+  if (spec.type === "ImportNamespaceSpecifier") return "*";
+  return getModuleExportName(spec.imported);
+}
+
+/**
+ * Links an import specifier to the exact export it refers to in the target module 🔗
+ * Re-exports are followed to the defining file; namespace imports keep the
+ * whole module so members can be looked up on use.
+ * @param {DeclarationInfo} importInfo - Declaration created for the specifier
+ * @param {ModuleInfo} targetModule - Module the import resolved to
+ * @param {CallContext} callContext - Logger, event hooks and declaration lookups of the call
+ */
+function linkImportSpecifier(importInfo, targetModule, callContext) {
+  const { logger } = callContext;
+  if (importInfo.importedName === "*") {
+    importInfo.namespace = targetModule;
+    importInfo.reexportChain = [targetModule.filePath];
+    return;
+  }
+
+  const resolved = resolveModuleExport(targetModule, importInfo.importedName);
+  if (!resolved) {
+    logger.warn(
+      `⚠️ ${targetModule.filePath} has no export named "${importInfo.importedName}"`
+    );
+    return;
+  }
+
+  importInfo.reexportChain = resolved.chain;
+  if (resolved.namespace) {
+    importInfo.namespace = resolved.namespace;
+  } else {
+    importInfo.target = resolved.declaration;
+  }
+
+  if (resolved.chain.length > 1) {
+    logger.debug(
+      `⛓️ ${importInfo.name} re-exported via ${resolved.chain.join(" -> ")}`
+    );
+  }
+}
+
+/**
+ * Resolves an exported name through `export ... from` chains ⛓️
+ * @param {ModuleInfo} moduleInfo - Module to look the export up in
+ * @param {string} exportName - Exported name
+ * @param {string[]} [chain] - Files walked so far
+ * @param {Set<ModuleInfo>} [seen] - Modules already searched, to stop on cycles
+ * @returns {{declaration: DeclarationInfo|null, namespace: ModuleInfo|null, chain: string[]}|null} The defining declaration (or namespace) and the files walked
+ */
+function resolveModuleExport(
+  moduleInfo,
+  exportName,
+  chain = [moduleInfo.filePath],
+  seen = new Set()
+) {
+  if (seen.has(moduleInfo)) return null;
+  seen.add(moduleInfo);
+
+  const local = moduleInfo.exports.get(exportName);
+  if (local) {
+    return { declaration: local, namespace: null, chain };
+  }
+
+  const reexport = moduleInfo.reexports.find(
+    (entry) => entry.exportedName === exportName
+  );
+  if (reexport) {
+    if (!reexport.module) return null;
+
+    const nextChain = [...chain, reexport.module.filePath];
+    if (reexport.importedName === "*") {
+      return {
+        declaration: null,
+        namespace: reexport.module,
+        chain: nextChain,
+      };
+    }
+    return resolveModuleExport(
+      reexport.module,
+      reexport.importedName,
+      nextChain,
+      seen
+    );
+  }
+
+  const commonJsExport = moduleInfo.exports.get("default");
+  if (
+    commonJsExport?.type === "cjs-export" &&
+    commonJsExport.name === "module.exports"
+  ) {
+    return { declaration: commonJsExport, namespace: null, chain };
+  }
+
+  if (exportName === "default") return null;
+
+  for (const entry of moduleInfo.reexports) {
+    if (entry.exportedName === "*" && entry.module) {
+      const resolved = resolveModuleExport(
+        entry.module,
+        exportName,
+        [...chain, entry.module.filePath],
+        seen
+      );
+      if (resolved) return resolved;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Lists every name a module exports, including re-exports 📜
+ * @param {ModuleInfo} moduleInfo - Module to list
+ * @param {Set<ModuleInfo>} [seen] - Modules already listed, to stop on cycles
+ * @returns {Set<string>} Exported names
+ */
+function getModuleExportNames(moduleInfo, seen = new Set()) {
+  const names = new Set();
+  if (seen.has(moduleInfo)) return names;
+  seen.add(moduleInfo);
+
+  moduleInfo.exports.forEach((declaration, name) => names.add(name));
+  moduleInfo.reexports.forEach((entry) => {
+    if (entry.exportedName !== "*") {
+      names.add(entry.exportedName);
+    } else if (entry.module) {
+      getModuleExportNames(entry.module, seen).forEach((name) => {
+        if (name !== "default") names.add(name);
+      });
+    }
+  });
+
+  return names;
+}
+
+/**
+ * Declarations and modules behind each successful extraction result 🧾
+ * Kept out of the result itself so results stay plain, serializable data.
+ * @type {WeakMap<ExtractionResult, {finalDeclarations: DeclarationInfo[], modules: Map<string, ModuleInfo>, slices: Map<Object, Set<Object>>}>}
+ */
+const extractionDetails = new WeakMap();
+
+/**
+ * Enhanced pattern extractor that works with any regex pattern! ✨
+ * Searches through original code using regex, not just identifiers! 🥰
+ * @param {string|null} sourceCode - The source code to parse, or null to read `currentFilePath` (e.g. from `options.files`)
+ * @param {RegExp|(function(Object): boolean)|DeclarationQuery} pattern - Regex tested against the original code of each declaration, a query object such as `{selector: 'CallExpression[callee.property.name="decrypt"]'}` or `{type: "method", className: "Player"}`, or a predicate over Babel paths
+ * @param {string} [currentFilePath] - Current file path for import resolution (`main.js` in the working directory by default)
+ * @param {ExtractionOptions} [options] - Extraction options
+ * @returns {ExtractionResult} The extraction result
+ */
+function extractPatternWithDependencies(
+  sourceCode,
+  pattern,
+  currentFilePath = getDefaultFilePath(),
+  options = {}
+) {
+  const callContext = createCallContext(options);
+  const { logger } = callContext;
+  logger.info(
+    "🚀 Starting enhanced pattern extraction with regex search support!"
+  );
+
+  const fileSystem = createFileSystem(options);
+  if (sourceCode == null) {
+    sourceCode = fileSystem.readFile(currentFilePath);
+    if (sourceCode === null) {
+      logger.error(`Could not read entry file: ${currentFilePath}`);
+      throw new Error(`Could not read entry file: ${currentFilePath}`);
+    }
+  }
+
+  let parsedEntry;
+  try {
+    parsedEntry = parseSource(
+      sourceCode,
+      currentFilePath,
+      options.parseCache,
+      callContext
+    );
+    logger.success("Main source code parsed successfully");
+  } catch (error) {
+    logger.error(`Failed to parse source code: ${error.message}`);
+    throw new Error(`Parse error: ${error.message}`);
+  }
+  const { ast, declarations: entryDeclarations } = parsedEntry;
+
+  const matchedPatterns = new Set();
+  const matchedDeclarations = new Set();
+  const matchDetails = [];
+  const dependencies = new Set();
+  const nodesToInclude = new Map();
+  const graph = createGraphBuilder();
+
+  const globalDeclarations = new Map(entryDeclarations);
+
+  const {
+    modules,
+    resolvedImports,
+    unresolvedImports,
+    externalImports,
+    importResolutions,
+  } = loadModuleGraph(
+    {
+      filePath: currentFilePath,
+      ast,
+      sourceCode,
+      declarations: entryDeclarations,
+      exports: parsedEntry.exports,
+      reexports: [],
+      imports: new Map(),
+      depth: 0,
+      importChain: [currentFilePath],
+    },
+    globalDeclarations,
+    callContext,
+    { ...options, fileSystem }
+  );
+
+  logger.info(`Global declarations built: ${globalDeclarations.size} total`);
+  logger.info(
+    `Resolved imports: ${resolvedImports.length}, Unresolved: ${unresolvedImports.length}`
+  );
+
+  const includedDeclarations = new Set();
+  const inclusionReasons = new Map();
+  const classSlicer =
+    options.classMembers === "used"
+      ? createClassSlicer(callContext.declarationIndex)
+      : null;
+
+  // The first reference to a declaration is the one that pulled it in
+  const addReference = (from, to, kind, location) => {
+    graph.addEdge(from, to, kind, location);
+    if (!matchedDeclarations.has(to) && !inclusionReasons.has(to)) {
+      inclusionReasons.set(to, { from, kind, location });
+    }
+  };
+
+  const includeDeclaration = (declaration) => {
+    const outermost = getOutermostDeclaration(declaration);
+    if (outermost !== declaration) {
+      if (!includedDeclarations.has(outermost)) {
+        logger.debug(
+          `🔗 Including container of ${declaration.qualifiedName}: ${outermost.qualifiedName}`
+        );
+      }
+      addReference(
+        declaration,
+        outermost,
+        "container",
+        getNodeLocation(declaration.node, declaration.source)
+      );
+    }
+    if (classSlicer && isSliceableClass(outermost)) {
+      classSlicer.keepMemberOf(outermost, declaration);
+    }
+    includedDeclarations.add(outermost);
+    nodesToInclude.set(outermost.node, outermost);
+  };
+
+  const isMatch = createDeclarationMatcher(
+    pattern,
+    modules,
+    globalDeclarations,
+    callContext
+  );
+
+  globalDeclarations.forEach((declaration) => {
+    if (
+      options.matchScope === "entry" &&
+      declaration.source !== currentFilePath
+    ) {
+      return;
+    }
+
+    const name = declaration.qualifiedName;
+    const originalCode = declaration.originalCode || "";
+
+    if (isMatch(declaration)) {
+      logger.success(
+        `🎯 Found matching pattern in: ${name}${
+          declaration.parentFunction
+            ? ` (nested in ${declaration.parentFunction})`
+            : ""
+        }${declaration.className ? ` (in class ${declaration.className})` : ""}`
+      );
+      matchedPatterns.add(name);
+      matchedDeclarations.add(declaration);
+      graph.addNode(declaration, { matched: true });
+
+      const matchDetail = {
+        name: name,
+        type: declaration.type,
+        source: declaration.source,
+        parentFunction: declaration.parentFunction || null,
+        className: declaration.className || null,
+        depth: declaration.depth || 0,
+        codeSnippet:
+          originalCode.substring(0, 200) +
+          (originalCode.length > 200 ? "..." : ""),
+      };
+      matchDetails.push(matchDetail);
+      callContext.emit("onMatch", matchDetail, declaration);
+
+      if (declaration.type !== "import") {
+        includeDeclaration(declaration);
+      }
+    }
+  });
+
+  // A class matches whenever one of its methods does; it only stays whole
+  // when the match is in the class itself
+  if (classSlicer) {
+    matchedDeclarations.forEach((declaration) => {
+      const hasMatchedMember = Array.from(matchedDeclarations).some(
+        (other) =>
+          other !== declaration &&
+          getOutermostDeclaration(other) === declaration
+      );
+      if (isSliceableClass(declaration) && !hasMatchedMember) {
+        classSlicer.keepWhole(declaration);
+      }
+    });
+  }
+
+  if (matchedPatterns.size === 0) {
+    return {
+      success: false,
+      message: `No patterns found matching ${describePattern(pattern)}`,
+      finalCode: "",
+      graph: graph.build(),
+      metadata: {
+        matchedPatterns: [],
+        dependencies: [],
+        dependencyDetails: [],
+        explanations: [],
+        totalNodesIncluded: 0,
+        resolvedImports,
+        unresolvedImports,
+        externalImports,
+        importResolutions,
+        modules: summarizeModules(modules),
+        matchDetails: [],
+        originalCodeLength: sourceCode.length,
+        extractedCodeLength: 0,
+      },
+    };
+  }
+
+  const scannedDeclarations = new Set();
+  const isInExtraction = (declaration) =>
+    matchedDeclarations.has(declaration) || dependencies.has(declaration);
+  // Sliced classes can grow without pulling in new declarations
+  const countProgress = () =>
+    dependencies.size + (classSlicer ? classSlicer.countKept() : 0);
+  let previousDepsCount = -1;
+  let currentDepsCount = countProgress();
+  let iterations = 0;
+
+  while (currentDepsCount > previousDepsCount) {
+    iterations++;
+    previousDepsCount = currentDepsCount;
+
+    Array.from(dependencies).forEach((declaration) => {
+      if (declaration.type !== "import") {
+        includeDeclaration(declaration);
+      }
+    });
+    classSlicer?.update();
+
+    Array.from(includedDeclarations).forEach((declaration) => {
+      const onReference = (dependency, kind, referencePath) => {
+        classSlicer?.addReference(dependency, kind, referencePath);
+        addReference(
+          findReferencingDeclaration(
+            referencePath,
+            declaration,
+            isInExtraction,
+            callContext.declarationIndex
+          ),
+          dependency,
+          kind,
+          getNodeLocation(referencePath.node, declaration.source)
+        );
+      };
+
+      if (classSlicer?.isSliced(declaration)) {
+        classSlicer.scanNewMembers(declaration, (isSkipped) =>
+          findDependenciesInNode(
+            declaration.path,
+            dependencies,
+            globalDeclarations,
+            callContext,
+            onReference,
+            isSkipped
+          )
+        );
+      } else if (!scannedDeclarations.has(declaration)) {
+        scannedDeclarations.add(declaration);
+        findDependenciesInNode(
+          getDependencyScope(declaration),
+          dependencies,
+          globalDeclarations,
+          callContext,
+          onReference
+        );
+      }
+    });
+
+    currentDepsCount = countProgress();
+  }
+
+  dependencies.forEach((declaration) => {
+    if (
+      declaration.type === "import" &&
+      !nodesToInclude.has(declaration.node)
+    ) {
+      nodesToInclude.set(declaration.node, declaration);
+      logger.info(
+        `📦 Including unresolved import: ${declaration.node.source.value}`
+      );
+    }
+  });
+
+  const finalDeclarations = sortBySourceOrder(
+    Array.from(nodesToInclude.values()),
+    modules
+  );
+  // Declarators of one statement share its node, but each one is explained
+  const emittedDeclarations = sortBySourceOrder(
+    Array.from(new Set([...finalDeclarations, ...includedDeclarations])),
+    modules
+  );
+  emittedDeclarations.forEach((declaration) =>
+    graph.addNode(declaration, { included: true })
+  );
+
+  const slices = new Map([
+    ...(classSlicer ? classSlicer.getSlices() : []),
+    ...getDeclaratorSlices(includedDeclarations),
+  ]);
+  const { code: finalCode, map: sourceMap } = buildExtractedCode(
+    finalDeclarations,
+    modules,
+    currentFilePath,
+    options,
+    slices
+  );
+
+  logger.success(
+    `🎉 Pattern extraction completed! Generated ${finalCode.length} characters`
+  );
+  logger.success(
+    `Found ${matchedPatterns.size} matching patterns! So exciting~ 🥰`
+  );
+
+  const result = {
+    success: true,
+    message: `Successfully extracted ${matchedPatterns.size} pattern(s) with ${dependencies.size} dependencies`,
+    finalCode: finalCode,
+    ...(options.sourceMap && { sourceMap }),
+    graph: graph.build(),
+    metadata: {
+      matchedPatterns: Array.from(matchedPatterns),
+      dependencies: Array.from(dependencies).map(
+        (declaration) => declaration.qualifiedName
+      ),
+      explanations: emittedDeclarations.map((declaration) => ({
+        name: declaration.qualifiedName,
+        type: declaration.type,
+        file: declaration.source,
+        chain: getInclusionChain(declaration, inclusionReasons),
+      })),
+      dependencyDetails: Array.from(dependencies).map((declaration) => ({
+        name: declaration.qualifiedName,
+        type: declaration.type,
+        source: declaration.source,
+        parentFunction: declaration.parentFunction || null,
+        className: declaration.className || null,
+      })),
+      totalNodesIncluded: finalDeclarations.length,
+      resolvedImports,
+      unresolvedImports,
+      externalImports,
+      importResolutions,
+      modules: summarizeModules(modules),
+      matchDetails,
+      iterationsRequired: iterations,
+      originalCodeLength: sourceCode.length,
+      extractedCodeLength: finalCode.length,
+    },
+  };
+  extractionDetails.set(result, { finalDeclarations, modules, slices });
+  return result;
+}
+
+/**
+ * Builds the test deciding which declarations a pattern matches 🎯
+ * Regexes are tested against each declaration's original code. Selectors and
+ * path predicates run over the syntax trees instead, so comments and strings
+ * never match, and each matching node lands on its innermost enclosing declaration.
+ * Query objects combine those with filters on the declaration fields.
+ * @param {RegExp|(function(Object): boolean)|DeclarationQuery} pattern - Pattern to match
+ * @param {Map<string, ModuleInfo>} modules - Loaded modules
+ * @param {Map<string, DeclarationInfo>} globalDeclarations - All known declarations
+ * @param {CallContext} callContext - Logger, event hooks and declaration lookups of the call
+ * @returns {function(DeclarationInfo): boolean} Match test
+ */
+function createDeclarationMatcher(
+  pattern,
+  modules,
+  globalDeclarations,
+  callContext
+) {
+  if (pattern instanceof RegExp) {
+    return (declaration) => pattern.test(declaration.originalCode || "");
+  }
+  if (typeof pattern === "function") {
+    return createPathMatcher(pattern, modules, globalDeclarations, callContext);
+  }
+  if (pattern && typeof pattern === "object") {
+    return createQueryMatcher(
+      pattern,
+      modules,
+      globalDeclarations,
+      callContext
+    );
+  }
+  throw new Error(
+    "Pattern must be a RegExp, a query object or a predicate function"
+  );
+}
+
+/**
+ * Runs a path predicate over every module, matching the enclosing declarations 🌲
+ * @param {function(Object): boolean} matchesPath - Predicate over Babel paths
+ * @param {Map<string, ModuleInfo>} modules - Loaded modules
+ * @param {Map<string, DeclarationInfo>} globalDeclarations - All known declarations
+ * @param {CallContext} callContext - Logger, event hooks and declaration lookups of the call
+ * @returns {function(DeclarationInfo): boolean} Match test
+ */
+function createPathMatcher(
+  matchesPath,
+  modules,
+  globalDeclarations,
+  callContext
+) {
+  const matched = new Set();
+  modules.forEach((moduleInfo) => {
+    traverse(moduleInfo.ast, {
+      enter(path) {
+        if (!matchesPath(path)) return;
+
+        const declaration = findEnclosingDeclaration(
+          path,
+          globalDeclarations,
+          callContext.declarationIndex
+        );
+        if (declaration) {
+          matched.add(declaration);
+        } else {
+          callContext.logger.debug(
+            `🌍 ${path.node.type} match outside any declaration in ${moduleInfo.filePath}`
+          );
+        }
+      },
+    });
+  });
+
+  return (declaration) => matched.has(declaration);
+}
+
+const QUERY_FIELDS = [
+  "pattern",
+  "selector",
+  "name",
+  "type",
+  "className",
+  "parentFunction",
+  "depth",
+  "source",
+  "exported",
+  "async",
+  "not",
+];
+
+/**
+ * Builds the test for a structured query: every given field has to match 🧾
+ * @param {DeclarationQuery} query - Query object
+ * @param {Map<string, ModuleInfo>} modules - Loaded modules
+ * @param {Map<string, DeclarationInfo>} globalDeclarations - All known declarations
+ * @param {CallContext} callContext - Logger, event hooks and declaration lookups of the call
+ * @returns {function(DeclarationInfo): boolean} Match test
+ */
+function createQueryMatcher(query, modules, globalDeclarations, callContext) {
+  const unknownField = Object.keys(query).find(
+    (field) => !QUERY_FIELDS.includes(field)
+  );
+  if (unknownField) {
+    throw new Error(`Unknown query field: ${unknownField}`);
+  }
+
+  const filters = [];
+
+  if (query.pattern !== undefined) {
+    const regex = toRegExp(query.pattern);
+    filters.push((declaration) => regex.test(declaration.originalCode || ""));
+  }
+  if (query.selector !== undefined) {
+    filters.push(
+      createPathMatcher(
+        compileSelector(query.selector),
+        modules,
+        globalDeclarations,
+        callContext
+      )
+    );
+  }
+  if (query.name !== undefined) {
+    filters.push(
+      (declaration) =>
+        matchesQueryValue(query.name, declaration.qualifiedName) ||
+        matchesQueryValue(query.name, declaration.name)
+    );
+  }
+  ["type", "className", "parentFunction"].forEach((field) => {
+    if (query[field] !== undefined) {
+      filters.push((declaration) =>
+        matchesQueryValue(query[field], declaration[field] ?? null)
+      );
+    }
+  });
+  if (query.depth !== undefined) {
+    const { min = -Infinity, max = Infinity } =
+      typeof query.depth === "number"
+        ? { min: query.depth, max: query.depth }
+        : query.depth;
+    filters.push((declaration) => {
+      const depth = declaration.depth || 0;
+      return depth >= min && depth <= max;
+    });
+  }
+  if (query.source !== undefined) {
+    const matchesSource = createSourceMatcher(query.source);
+    filters.push((declaration) => matchesSource(declaration.source));
+  }
+  if (query.exported !== undefined) {
+    filters.push(
+      (declaration) =>
+        getExportNames(declaration, modules.get(declaration.source)).length >
+          0 ===
+        query.exported
+    );
+  }
+  if (query.async !== undefined) {
+    filters.push(
+      (declaration) => !!getFunctionNode(declaration)?.async === query.async
+    );
+  }
+  if (query.not !== undefined) {
+    const exclusions = []
+      .concat(query.not)
+      .map((negated) =>
+        createQueryMatcher(negated, modules, globalDeclarations, callContext)
+      );
+    filters.push(
+      (declaration) => !exclusions.some((excludes) => excludes(declaration))
+    );
+  }
+
+  return (declaration) => filters.every((filter) => filter(declaration));
+}
+
+/**
+ * Compares a declaration field with a query value 🟰
+ * @param {string|number|RegExp|null|Array<string|number|RegExp|null>} expected - Exact value, regex, or a list of either
+ * @param {*} actual - Field value
+ * @returns {boolean} True if the field matches
+ */
+function matchesQueryValue(expected, actual) {
+  if (Array.isArray(expected)) {
+    return expected.some((value) => matchesQueryValue(value, actual));
+  }
+  if (expected instanceof RegExp) {
+    return actual != null && toRegExp(expected).test(String(actual));
+  }
+  return expected === actual;
+}
+
+/**
+ * Builds the test for the `source` query field 📂
+ * Strings are globs found anywhere in the path (`src/player/**`), regexes are
+ * tested against the absolute path.
+ * @param {string|RegExp|Array<string|RegExp>} source - Globs or regexes
+ * @returns {function(string): boolean} Test over file paths
+ */
+function createSourceMatcher(source) {
+  const tests = []
+    .concat(source)
+    .map((value) =>
+      value instanceof RegExp
+        ? (filePath) => toRegExp(value).test(filePath)
+        : picomatch(value, { contains: true, dot: true })
+    );
+  return (filePath) => !!filePath && tests.some((test) => test(filePath));
+}
+
+/**
+ * Gets the function a declaration defines, if any 🏹
+ * @param {DeclarationInfo} declaration - Declaration to inspect
+ * @returns {Object|null} Function, method or arrow function node
+ */
+function getFunctionNode(declaration) {
+  const { node } = declaration;
+  let candidate = node;
+
+  if (node.type === "VariableDeclaration") {
+    const { declarator } = declaration;
+    candidate = t.isIdentifier(declarator?.id) ? declarator.init : null;
+  } else if (node.type === "ExpressionStatement") {
+    candidate = node.expression.right;
+  } else if (node.type === "ExportDefaultDeclaration") {
+    candidate = node.declaration;
+  } else if (
+    t.isObjectProperty(node) ||
+    t.isClassProperty(node) ||
+    t.isClassPrivateProperty(node) ||
+    t.isClassAccessorProperty(node)
+  ) {
+    candidate = node.value;
+  }
+
+  return t.isFunction(candidate) ? candidate : null;
+}
+
+/**
+ * Copies a regex (or compiles a string) without the global flag 🔁
+ * @param {string|RegExp} value - Regex or regex source
+ * @returns {RegExp} Regex whose `test()` has no state
+ */
+function toRegExp(value) {
+  const regex = value instanceof RegExp ? value : new RegExp(value);
+  return new RegExp(regex.source, regex.flags.replace("g", ""));
+}
+
+/**
+ * Finds the innermost declaration holding a path (or declared by it) 🪆
+ * @param {Object} path - Matching path
+ * @param {Map<string, DeclarationInfo>} globalDeclarations - All known declarations
+ * @param {DeclarationIndex} declarationIndex - Declaration lookups of the call
+ * @returns {DeclarationInfo|null} The enclosing declaration, or null at top level
+ */
+function findEnclosingDeclaration(path, globalDeclarations, declarationIndex) {
+  for (let current = path; current; current = current.parentPath) {
+    const declaration = declarationIndex.byOwner.get(current.node);
+    if (declaration && globalDeclarations.get(declaration.id) === declaration) {
+      return declaration;
+    }
+  }
+  return null;
+}
+
+/**
+ * Describes a pattern for messages 🏷️
+ * @param {RegExp|(function(Object): boolean)|DeclarationQuery} pattern - Pattern to describe
+ * @returns {string} Readable description
+ */
+function describePattern(pattern) {
+  if (pattern instanceof RegExp) return `regex: ${pattern.source}`;
+  if (typeof pattern === "function") return "predicate";
+  return `query: ${JSON.stringify(pattern, (key, value) =>
+    value instanceof RegExp ? String(value) : value
+  )}`;
+}
+
+/**
+ * Tracks which members of each class an extraction needs (`classMembers: "used"`) ✂️
+ * A class is sliced down to its constructor, static blocks and computed members,
+ * the members that matched or contain a match, and whatever those reach through
+ * `this.x`, `super.x` or `ClassName.x`. `extends` is followed to the base class,
+ * in another file too, and the base is sliced the same way. Any other use of a
+ * class (`new`, passing it around, a match on the class itself) keeps it whole,
+ * since its instances could then call any member.
+ * @param {DeclarationIndex} declarationIndex - Declaration lookups of the call
+ * @returns {{keepMemberOf: function(DeclarationInfo, DeclarationInfo): void, keepWhole: function(DeclarationInfo): void, addReference: function(DeclarationInfo, string, Object): void, isSliced: function(DeclarationInfo): boolean, update: function(): void, scanNewMembers: function(DeclarationInfo, function(function(Object): boolean): void): void, countKept: function(): number, getSlices: function(): Map<Object, Set<Object>>}} Class slicer
+ */
+function createClassSlicer(declarationIndex) {
+  const slices = new Map();
+
+  const getSlice = (classDeclaration) => {
+    if (!slices.has(classDeclaration)) {
+      slices.set(classDeclaration, {
+        whole: false,
+        base: null,
+        scannedHeader: false,
+        members: new Set(),
+        scannedMembers: new Set(),
+        names: new Set(),
+        superNames: new Set(),
+      });
+    }
+    return slices.get(classDeclaration);
+  };
+
+  const keepWhole = (classDeclaration) => {
+    const slice = getSlice(classDeclaration);
+    if (slice.whole) return;
+    slice.whole = true;
+    // A whole subclass can reach any inherited member
+    if (slice.base) keepWhole(slice.base);
+  };
+
+  const isSliced = (declaration) =>
+    slices.has(declaration) && !slices.get(declaration).whole;
+
+  const getAncestors = (classDeclaration) => {
+    const ancestors = [];
+    for (
+      let current = slices.get(classDeclaration).base;
+      current && !ancestors.includes(current);
+      current = slices.get(current).base
+    ) {
+      ancestors.push(current);
+    }
+    return ancestors;
+  };
+
+  // `this.x` can land anywhere in the hierarchy, `super.x` only above the caller
+  const getReachedNames = (classDeclaration) => {
+    const names = new Set(slices.get(classDeclaration).names);
+    getAncestors(classDeclaration).forEach((ancestor) => {
+      const slice = slices.get(ancestor);
+      if (slice.whole) {
+        getClassMembers(ancestor).forEach((memberPath) =>
+          names.add(getMemberName(memberPath.node))
+        );
+      } else {
+        slice.names.forEach((name) => names.add(name));
+      }
+    });
+    slices.forEach((slice, other) => {
+      if (getAncestors(other).includes(classDeclaration)) {
+        slice.names.forEach((name) => names.add(name));
+        slice.superNames.forEach((name) => names.add(name));
+      }
+    });
+    return names;
+  };
+
+  const collectMemberAccesses = (classDeclaration, memberPath) => {
+    const slice = slices.get(classDeclaration);
+    memberPath.traverse({
+      "MemberExpression|OptionalMemberExpression"(accessPath) {
+        const { object } = accessPath.node;
+        const name = getAccessedName(accessPath.node);
+
+        if (t.isSuper(object) || t.isThisExpression(object)) {
+          if (
+            t.isThisExpression(object) &&
+            getThisOwner(accessPath) !== memberPath.node
+          ) {
+            return;
+          }
+          if (name === null) {
+            // this[key] could be any member
+            keepWhole(classDeclaration);
+          } else if (t.isSuper(object)) {
+            slice.superNames.add(name);
+          } else {
+            slice.names.add(name);
+          }
+        } else if (t.isIdentifier(object) && name !== null) {
+          const binding = accessPath.scope.getBinding(object.name);
+          const target = resolveImportTarget(
+            binding && declarationIndex.byBinding.get(binding)
+          );
+          if (target === classDeclaration) {
+            slice.names.add(name);
+          }
+        }
+      },
+    });
+  };
+
+  return {
+    keepWhole,
+    isSliced,
+
+    keepMemberOf(classDeclaration, declaration) {
+      const slice = getSlice(classDeclaration);
+      const body = getClassPath(classDeclaration).node.body;
+      const memberPath = declaration.path?.find(
+        (ancestor) => ancestor.parentPath?.node === body
+      );
+      if (memberPath) {
+        slice.members.add(memberPath.node);
+      }
+    },
+
+    addReference(dependency, kind, referencePath) {
+      if (!isSliceableClass(dependency)) return;
+
+      if (kind === "extends") {
+        const subclass = declarationIndex.byOwner.get(referencePath.parent);
+        if (subclass && isSliced(subclass)) {
+          getSlice(subclass).base = dependency;
+          getSlice(dependency);
+        } else {
+          keepWhole(dependency);
+        }
+        return;
+      }
+
+      // Static access such as `Codec.decode()` only needs that member
+      const parent = referencePath.parentPath;
+      const name =
+        (parent.isMemberExpression() || parent.isOptionalMemberExpression()) &&
+        parent.node.object === referencePath.node
+          ? getAccessedName(parent.node)
+          : null;
+      const isMember =
+        name !== null &&
+        getClassMembers(dependency).some(
+          (memberPath) => getMemberName(memberPath.node) === name
+        );
+      if (isMember) {
+        getSlice(dependency).names.add(name);
+      } else {
+        keepWhole(dependency);
+      }
+    },
+
+    update() {
+      slices.forEach((slice, classDeclaration) => {
+        if (slice.whole) return;
+
+        const names = getReachedNames(classDeclaration);
+        getClassMembers(classDeclaration).forEach((memberPath) => {
+          const name = getMemberName(memberPath.node);
+          if (
+            name === null ||
+            memberPath.node.kind === "constructor" ||
+            names.has(name)
+          ) {
+            slice.members.add(memberPath.node);
+          }
+        });
+      });
+    },
+
+    scanNewMembers(classDeclaration, scan) {
+      const slice = slices.get(classDeclaration);
+      const newMembers = getClassMembers(classDeclaration).filter(
+        (memberPath) =>
+          slice.members.has(memberPath.node) &&
+          !slice.scannedMembers.has(memberPath.node)
+      );
+      if (slice.scannedHeader && newMembers.length === 0) return;
+
+      slice.scannedHeader = true;
+      const body = getClassPath(classDeclaration).node.body;
+      const newNodes = new Set(newMembers.map((memberPath) => memberPath.node));
+      // The header (extends, decorators...) is scanned again, which is harmless
+      scan(
+        (childPath) =>
+          childPath.parentPath?.node === body && !newNodes.has(childPath.node)
+      );
+      newMembers.forEach((memberPath) => {
+        slice.scannedMembers.add(memberPath.node);
+        collectMemberAccesses(classDeclaration, memberPath);
+      });
+    },
+
+    countKept: () =>
+      Array.from(slices.values()).reduce(
+        (count, slice) =>
+          count +
+          1 +
+          (slice.whole ? 1 : 0) +
+          (slice.base ? 1 : 0) +
+          slice.members.size +
+          slice.names.size +
+          slice.superNames.size,
+        0
+      ),
+
+    getSlices: () =>
+      new Map(
+        Array.from(slices)
+          .filter(([, slice]) => !slice.whole)
+          .map(([classDeclaration, slice]) => [
+            classDeclaration.node,
+            slice.members,
+          ])
+      ),
+  };
+}
+
+/**
+ * Checks whether a declaration is a class that can be sliced member by member 🧱
+ * @param {DeclarationInfo|null} declaration - Declaration to check
+ * @returns {boolean} True for class declarations (exported or not), variables holding a class expression and default-exported classes
+ */
+function isSliceableClass(declaration) {
+  return (
+    ["class", "variable", "default-export"].includes(declaration?.type) &&
+    !!declaration.path &&
+    !!getClassNode(declaration.node)
+  );
+}
+
+/**
+ * Finds the class a sliceable declaration node holds 🏛️
+ * @param {Object} node - Declaration node
+ * @returns {Object|null} The class node itself, the class expression of a single-declarator variable statement, the default-exported class, or null
+ */
+function getClassNode(node) {
+  if (t.isClass(node)) return node;
+  if (t.isVariableDeclaration(node)) {
+    const init = node.declarations.length === 1 && node.declarations[0].init;
+    return t.isClassExpression(init) ? init : null;
+  }
+  if (t.isExportDefaultDeclaration(node) && t.isClass(node.declaration)) {
+    return node.declaration;
+  }
+  return null;
+}
+
+/**
+ * Gets the path of the class a sliceable declaration holds 🏛️
+ * @param {DeclarationInfo} classDeclaration - Sliceable class declaration
+ * @returns {Object} Class declaration or expression path
+ */
+function getClassPath(classDeclaration) {
+  const { path } = classDeclaration;
+  if (path.isVariableDeclaration()) return path.get("declarations.0.init");
+  if (path.isExportDefaultDeclaration()) return path.get("declaration");
+  return path;
+}
+
+/**
+ * Lists the members of a class declaration 📋
+ * @param {DeclarationInfo} classDeclaration - Class declaration
+ * @returns {Object[]} Paths of the class body members
+ */
+function getClassMembers(classDeclaration) {
+  return getClassPath(classDeclaration).get("body.body");
+}
+
+/**
+ * Gets the name a class or object member is accessed by (`#x` for private members) 🏷️
+ * @param {Object} node - Class member, object method or object property node
+ * @returns {string|null} Member name, or null for static blocks, index signatures and computed keys
+ */
+function getMemberName(node) {
+  const { key } = node;
+  if (!key) return null;
+  if (t.isPrivateName(key)) return `#${key.id.name}`;
+  if (!node.computed && t.isIdentifier(key)) return key.name;
+  return t.isStringLiteral(key) || t.isNumericLiteral(key)
+    ? String(key.value)
+    : null;
+}
+
+/**
+ * Gets the property name of a member access (`#x` for private names) 🔑
+ * @param {Object} node - MemberExpression or OptionalMemberExpression node
+ * @returns {string|null} Property name, or null when computed from an expression
+ */
+function getAccessedName(node) {
+  const { property } = node;
+  if (!node.computed) {
+    return t.isPrivateName(property) ? `#${property.id.name}` : property.name;
+  }
+  return t.isStringLiteral(property) || t.isNumericLiteral(property)
+    ? String(property.value)
+    : null;
+}
+
+/**
+ * Finds the function or class member a `this` belongs to, seeing through arrows 🏹
+ * @param {Object} path - Path inside the code using `this`
+ * @returns {Object|null} The owning function, class property or static block node
+ */
+function getThisOwner(path) {
+  const owner = path.findParent(
+    (parent) =>
+      !parent.isArrowFunctionExpression() &&
+      (parent.isFunction() ||
+        parent.isClassProperty() ||
+        parent.isClassPrivateProperty() ||
+        parent.isClassAccessorProperty() ||
+        parent.isStaticBlock())
+  );
+  return owner ? owner.node : null;
+}
+
+/**
+ * Emits the extracted code for a set of declarations, with its source map 🖨️
+ * @param {DeclarationInfo[]} finalDeclarations - Declarations to emit, in source order
+ * @param {Map<string, ModuleInfo>} modules - Modules the declarations come from
+ * @param {string} entryFilePath - Entry file, used to label the other files
+ * @param {Object} options - Extraction options (`outputMode`, `sourceMap`)
+ * @param {Map<Object, Set<Object>>} [slices] - Class members or declarators to keep, keyed by the sliced class, variable statement or default export node
+ * @returns {{code: string, map: Object|null}} The extracted code and its source map
+ */
+function buildExtractedCode(
+  finalDeclarations,
+  modules,
+  entryFilePath,
+  options,
+  slices = new Map()
+) {
+  if (options.outputMode === "original") {
+    return buildOriginalCode(
+      finalDeclarations,
+      modules,
+      entryFilePath,
+      options.sourceMap,
+      slices
+    );
+  }
+
+  const finalAst = {
+    type: "Program",
+    body: finalDeclarations.map((declaration) =>
+      getSlicedNode(declaration.node, slices.get(declaration.node))
+    ),
+    sourceType: "module",
+  };
+
+  // Every node carries loc.filename, so one map can point into several files
+  const sourcesContent = {};
+  finalDeclarations.forEach((declaration) => {
+    sourcesContent[declaration.source] = modules.get(
+      declaration.source
+    ).sourceCode;
+  });
+
+  const { code, map } = generate(
+    finalAst,
+    {
+      compact: false,
+      comments: true,
+      retainLines: false,
+      sourceMaps: Boolean(options.sourceMap),
+    },
+    sourcesContent
+  );
+  return { code, map };
+}
+
+/**
+ * Translates a position in extracted code back to the original file 🔙
+ * Lines are 1-based and columns 0-based, as in Babel's `loc` and source maps.
+ * @param {Object} sourceMap - The `sourceMap` returned by an extraction
+ * @param {number} line - Line in the extracted code
+ * @param {number} [column=0] - Column in the extracted code
+ * @returns {{file: string, line: number, column: number}|null} Original position, or null if unmapped
+ */
+function getOriginalPosition(sourceMap, line, column = 0) {
+  const position = originalPositionFor(new TraceMap(sourceMap), {
+    line,
+    column,
+  });
+
+  if (position.source === null) {
+    return null;
+  }
+
+  return {
+    file: position.source,
+    line: position.line,
+    column: position.column,
+  };
+}
+
+/**
+ * Orders declarations by originating file (in module graph order), then by position 📐
+ * @param {DeclarationInfo[]} declarations - Declarations to emit
+ * @param {Map<string, ModuleInfo>} modules - Modules reached from the entry
+ * @returns {DeclarationInfo[]} Declarations in source order
+ */
+function sortBySourceOrder(declarations, modules) {
+  const fileOrder = Array.from(modules.keys());
+  return [...declarations].sort(
+    (a, b) =>
+      fileOrder.indexOf(a.source) - fileOrder.indexOf(b.source) ||
+      a.node.start - b.node.start
+  );
+}
+
+/**
+ * Builds the extracted code from the exact original text of each declaration ✂️
+ * Leading comments (JSDoc included) are kept, and pieces are grouped by file.
+ * @param {DeclarationInfo[]} declarations - Declarations to emit, in source order
+ * @param {Map<string, ModuleInfo>} modules - Modules reached from the entry
+ * @param {string} entryFilePath - Entry file, used to label the other files
+ * @param {boolean} [withSourceMap=false] - Whether to build a source map alongside the code
+ * @param {Map<Object, Set<Object>>} [slices] - Class members or declarators to keep, keyed by the sliced class, variable statement or default export node
+ * @returns {{code: string, map: Object|null}} The extracted code and its source map
+ */
+function buildOriginalCode(
+  declarations,
+  modules,
+  entryFilePath,
+  withSourceMap = false,
+  slices = new Map()
+) {
+  const groups = new Map();
+
+  declarations.forEach((declaration) => {
+    const { sourceCode } = modules.get(declaration.source);
+
+    if (!groups.has(declaration.source)) {
+      groups.set(declaration.source, []);
+    }
+    groups
+      .get(declaration.source)
+      .push(
+        getOriginalSegments(
+          getOriginalRange(declaration, sourceCode),
+          sourceCode,
+          declaration.node,
+          slices.get(declaration.node)
+        )
+      );
+  });
+
+  const map = withSourceMap
+    ? new GenMapping({ file: path.basename(entryFilePath) })
+    : null;
+  const labelFiles = groups.size > 1;
+  let code = "";
+
+  Array.from(groups).forEach(([filePath, segmentLists], groupIndex) => {
+    const { sourceCode } = modules.get(filePath);
+
+    if (groupIndex > 0) {
+      code += "\n\n";
+    }
+    if (labelFiles) {
+      code += `// ${path.relative(path.dirname(entryFilePath), filePath)}\n`;
+    }
+
+    segmentLists.forEach((segments, index) => {
+      if (index > 0) {
+        code += "\n\n";
+      }
+      segments.forEach((range) => {
+        if (map) {
+          addSliceMappings(map, code, sourceCode, range, filePath);
+        }
+        code += sourceCode.slice(range.start, range.end);
+      });
+    });
+
+    if (map) {
+      setSourceContent(map, filePath, sourceCode);
+    }
+  });
+
+  return { code, map: map && toEncodedMap(map) };
+}
+
+/**
+ * Maps every token of a slice appended to the output back to its original position 🗺️
+ * The slice is copied verbatim, so offsets within it are the same on both sides.
+ * @param {Object} map - GenMapping being built
+ * @param {string} outputCode - Output generated so far (the slice goes right after it)
+ * @param {string} sourceCode - Source text of the slice's file
+ * @param {{start: number, end: number}} range - Offsets of the slice in the original source
+ * @param {string} filePath - The slice's file
+ */
+function addSliceMappings(map, outputCode, sourceCode, range, filePath) {
+  const generated = getLineAndColumn(outputCode, outputCode.length);
+  const original = getLineAndColumn(sourceCode, range.start);
+
+  sourceCode
+    .slice(range.start, range.end)
+    .split("\n")
+    .forEach((line, lineIndex) => {
+      const columnOffset = lineIndex === 0 ? 1 : 0;
+      for (const token of line.matchAll(/\S+/g)) {
+        addMapping(map, {
+          generated: {
+            line: generated.line + lineIndex,
+            column: generated.column * columnOffset + token.index,
+          },
+          source: filePath,
+          original: {
+            line: original.line + lineIndex,
+            column: original.column * columnOffset + token.index,
+          },
+        });
+      }
+    });
+}
+
+/**
+ * Converts an offset into a 1-based line and 0-based column, like Babel's `loc` 📍
+ * @param {string} text - The text the offset points into
+ * @param {number} offset - Character offset
+ * @returns {{line: number, column: number}} Position of the offset
+ */
+function getLineAndColumn(text, offset) {
+  const before = text.slice(0, offset);
+  const lastNewline = before.lastIndexOf("\n");
+  return {
+    line: before.split("\n").length,
+    column: offset - lastNewline - 1,
+  };
+}
+
+/**
+ * Finds the original text range of a declaration, comments included 📝
+ * Keeps the `export` keyword, leading comments on their own lines (JSDoc included)
+ * and a trailing comment on the same line as the end of the declaration.
+ * @param {DeclarationInfo} declaration - Declaration to slice
+ * @param {string} sourceCode - Source text of the declaration's file
+ * @returns {{start: number, end: number}} Offsets in the original source
+ */
+function getOriginalRange(declaration, sourceCode) {
+  const statementPath = declaration.path?.find(
+    (ancestor) => ancestor.node === declaration.node
+  );
+  const codeNode = statementPath
+    ? getCodeNode(statementPath)
+    : declaration.node;
+
+  let start = codeNode.start;
+  (codeNode.leadingComments || []).forEach((comment) => {
+    const lineStart = sourceCode.lastIndexOf("\n", comment.start - 1) + 1;
+    if (!sourceCode.slice(lineStart, comment.start).trim()) {
+      start = Math.min(start, comment.start);
+    }
+  });
+
+  let end = codeNode.end;
+  (codeNode.trailingComments || []).forEach((comment) => {
+    if (!sourceCode.slice(end, comment.start).includes("\n")) {
+      end = Math.max(end, comment.end);
+    }
+  });
+
+  return { start, end };
+}
+
+/**
+ * Picks the code a declaration's dependencies are read from 🔍
+ * Declarators sharing a statement only read their own part of it.
+ * @param {DeclarationInfo} declaration - Included declaration
+ * @returns {Object} Path to scan for references
+ */
+function getDependencyScope(declaration) {
+  if (!declaration.declarator) return declaration.path;
+  return (
+    declaration.path
+      .get("declarations")
+      .find(
+        (declaratorPath) => declaratorPath.node === declaration.declarator
+      ) || declaration.path
+  );
+}
+
+/**
+ * Works out which declarators each emitted variable statement needs ✂️
+ * `const a = 1, b = 2` is one node for two declarations, so using `b` alone
+ * shouldn't bring `a` along.
+ * @param {Iterable<DeclarationInfo>} declarations - Declarations being emitted
+ * @returns {Map<Object, Set<Object>>} Declarators to keep, keyed by the statements that lose some
+ */
+function getDeclaratorSlices(declarations) {
+  const slices = new Map();
+  Array.from(declarations).forEach((declaration) => {
+    if (!declaration.declarator) return;
+    if (!slices.has(declaration.node)) {
+      slices.set(declaration.node, new Set());
+    }
+    slices.get(declaration.node).add(declaration.declarator);
+  });
+
+  slices.forEach((declarators, node) => {
+    if (declarators.size === node.declarations.length) {
+      slices.delete(node);
+    }
+  });
+  return slices;
+}
+
+/**
+ * Splits a declaration's original text around the parts a slice drops 🔪
+ * @param {{start: number, end: number}} range - Original range of the declaration
+ * @param {string} sourceCode - Source text of the declaration's file
+ * @param {Object} node - Declaration node (a class, variable statement or default export when sliced)
+ * @param {Set<Object>} [keptNodes] - Class members or declarators to keep; everything is kept without it
+ * @returns {{start: number, end: number}[]} Ranges to emit back to back
+ */
+function getOriginalSegments(range, sourceCode, node, keptNodes) {
+  if (!keptNodes) return [range];
+
+  const removed = isDeclaratorSlice(node)
+    ? getDeclaratorCuts(node, keptNodes)
+    : getMemberCuts(getClassNode(node), keptNodes, sourceCode);
+
+  const segments = [];
+  let start = range.start;
+  removed.forEach((cut) => {
+    segments.push({ start, end: cut.start });
+    start = cut.end;
+  });
+  segments.push({ start, end: range.end });
+  return segments;
+}
+
+/**
+ * Finds the text to cut for each declarator a variable statement drops ✂️
+ * A dropped declarator goes with the comma after it, or with the comma
+ * before it when no kept declarator follows.
+ * @param {Object} node - VariableDeclaration node
+ * @param {Set<Object>} keptNodes - Declarators to keep
+ * @returns {{start: number, end: number}[]} Ranges to cut, in order
+ */
+function getDeclaratorCuts(node, keptNodes) {
+  const cuts = [];
+  node.declarations.forEach((declarator, index) => {
+    if (keptNodes.has(declarator)) return;
+
+    const nextKept = node.declarations
+      .slice(index + 1)
+      .find((other) => keptNodes.has(other));
+    const previousKept = node.declarations
+      .slice(0, index)
+      .reverse()
+      .find((other) => keptNodes.has(other));
+    const cut = nextKept
+      ? { start: declarator.start, end: nextKept.start }
+      : { start: previousKept.end, end: declarator.end };
+
+    const last = cuts[cuts.length - 1];
+    if (last && cut.start <= last.end) {
+      last.end = Math.max(last.end, cut.end);
+    } else {
+      cuts.push(cut);
+    }
+  });
+  return cuts;
+}
+
+/**
+ * Finds the text to cut for each member a sliced class drops 🔪
+ * Each dropped member goes with its own lines (comments included) and the
+ * blank lines after it, so the trimmed class keeps the file's layout.
+ * @param {Object} node - Class node
+ * @param {Set<Object>} keptNodes - Class members to keep
+ * @param {string} sourceCode - Source text of the class's file
+ * @returns {{start: number, end: number}[]} Ranges to cut, in order
+ */
+function getMemberCuts(node, keptNodes, sourceCode) {
+  const body = node.body;
+  const removed = [];
+  body.body
+    .filter((member) => !keptNodes.has(member))
+    .forEach((member) => {
+      const { start, end } = getLineRange(member, sourceCode);
+      const last = removed[removed.length - 1];
+      if (last && start <= last.end) {
+        last.end = Math.max(last.end, end);
+      } else {
+        removed.push({ start, end });
+      }
+    });
+
+  // Dropping the last members shouldn't leave a blank line before the `}`
+  const last = removed[removed.length - 1];
+  if (last && !sourceCode.slice(last.end, body.end - 1).trim()) {
+    while (
+      last.start > body.start + 1 &&
+      /\n[ \t]*\n$/.test(sourceCode.slice(body.start + 1, last.start))
+    ) {
+      last.start = sourceCode.lastIndexOf("\n", last.start - 2) + 1;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Finds the text a node occupies, as whole lines when it sits on its own lines 📏
+ * Leading comments on their own lines, a trailing comment on the last line and
+ * the blank lines that follow are part of it; a node sharing its line only
+ * takes the spaces after it.
+ * @param {Object} node - AST node
+ * @param {string} sourceCode - Source text of the node's file
+ * @returns {{start: number, end: number}} Offsets to cut
+ */
+function getLineRange(node, sourceCode) {
+  let start = node.start;
+  (node.leadingComments || []).forEach((comment) => {
+    const lineStart = sourceCode.lastIndexOf("\n", comment.start - 1) + 1;
+    if (!sourceCode.slice(lineStart, comment.start).trim()) {
+      start = Math.min(start, comment.start);
+    }
+  });
+
+  let end = node.end;
+  (node.trailingComments || []).forEach((comment) => {
+    if (!sourceCode.slice(end, comment.start).includes("\n")) {
+      end = Math.max(end, comment.end);
+    }
+  });
+
+  const lineStart = sourceCode.lastIndexOf("\n", start - 1) + 1;
+  const lineEnd = sourceCode.indexOf("\n", end);
+  if (
+    sourceCode.slice(lineStart, start).trim() ||
+    lineEnd === -1 ||
+    sourceCode.slice(end, lineEnd).trim()
+  ) {
+    while (/[ \t]/.test(sourceCode[end] || "")) end++;
+    return { start, end };
+  }
+
+  end = lineEnd + 1;
+  for (
+    let next = sourceCode.indexOf("\n", end);
+    next !== -1 && !sourceCode.slice(end, next).trim();
+    next = sourceCode.indexOf("\n", end)
+  ) {
+    end = next + 1;
+  }
+  return { start: lineStart, end };
+}
+
+/**
+ * Keeps only some members of a class or declarators of a variable statement, for the generated output 🧱
+ * @param {Object} node - Declaration node
+ * @param {Set<Object>} [keptNodes] - Class members or declarators to keep; the node is returned as-is without it
+ * @returns {Object} The node, or a shallow copy with the other parts left out
+ */
+function getSlicedNode(node, keptNodes) {
+  if (!keptNodes) return node;
+  if (isDeclaratorSlice(node)) {
+    return {
+      ...node,
+      declarations: node.declarations.filter((declarator) =>
+        keptNodes.has(declarator)
+      ),
+    };
+  }
+
+  const classNode = getClassNode(node);
+  const slicedClass = {
+    ...classNode,
+    body: {
+      ...classNode.body,
+      body: classNode.body.body.filter((member) => keptNodes.has(member)),
+    },
+  };
+  if (t.isVariableDeclaration(node)) {
+    return {
+      ...node,
+      declarations: [{ ...node.declarations[0], init: slicedClass }],
+    };
+  }
+  if (t.isExportDefaultDeclaration(node)) {
+    return { ...node, declaration: slicedClass };
+  }
+  return slicedClass;
+}
+
+/**
+ * Tells declarator slices from class slices 🔀
+ * Only statements with several declarators lose some, and only a single
+ * declarator's class expression is sliced member by member.
+ * @param {Object} node - Sliced declaration node
+ * @returns {boolean} True when the slice keeps declarators of a variable statement
+ */
+function isDeclaratorSlice(node) {
+  return t.isVariableDeclaration(node) && node.declarations.length > 1;
+}
+
+/**
+ * Creates the declaration for one imported binding and links it to its binding 📥
+ * Used for import specifiers as well as `require` declarators.
+ * @param {Object} importPath - The ImportDeclaration (or VariableDeclaration) path
+ * @param {Object} local - The local identifier node the import binds
+ * @param {ModuleInfo} moduleInfo - Module containing the import
+ * @param {CallContext} callContext - Logger, event hooks and declaration lookups of the call
+ * @returns {DeclarationInfo} The import declaration
+ */
+function createImportDeclaration(importPath, local, moduleInfo, callContext) {
+  const { filePath, sourceCode } = moduleInfo;
+  const name = local.name;
+  const declarationInfo = {
+    id: createDeclarationId(filePath, name, local),
+    name,
+    qualifiedName: name,
+    node: importPath.node,
+    type: "import",
+    path: importPath,
+    source: filePath,
+    get originalCode() {
+      return getSourceText(sourceCode, importPath.node);
+    },
+  };
+
+  const binding = importPath.scope.getBinding(name);
+  if (binding) {
+    declarationInfo.binding = binding;
+    callContext.declarationIndex.byBinding.set(binding, declarationInfo);
+  }
+
+  callContext.emit("onDeclarationFound", declarationInfo);
+  return declarationInfo;
+}
+
+/**
+ * Recursively finds all dependencies within a given AST node
+ * Identifiers are resolved through their scope binding, so names declared
+ * inside the node itself (or shadowing an outer one) are never dependencies.
+ * @param {Object} path - The AST path to traverse
+ * @param {Set<DeclarationInfo>} dependencies - Set to store found dependencies
+ * @param {Map<string, DeclarationInfo>} allDeclarations - All available declarations
+ * @param {CallContext} callContext - Logger, event hooks and declaration lookups of the call
+ * @param {function(DeclarationInfo, string, Object): void} [onReference] - Called for every reference to a known declaration, with its kind and path
+ * @param {function(Object): boolean} [isSkipped] - Subtrees to leave out, e.g. the members a sliced class drops
+ */
+function findDependenciesInNode(
+  path,
+  dependencies,
+  allDeclarations,
+  callContext,
+  onReference,
+  isSkipped
+) {
+  const recordReference = (dependency, kind, referencePath) => {
+    addDependency(dependency, dependencies, allDeclarations, callContext);
+    if (onReference && dependencies.has(dependency)) {
+      onReference(dependency, kind, referencePath);
+    }
+  };
+
+  path.traverse({
+    enter(childPath) {
+      if (isSkipped && isSkipped(childPath)) {
+        childPath.skip();
+      }
+    },
+
+    "Identifier|JSXIdentifier"(identPath) {
+      if (
+        !identPath.isReferencedIdentifier() ||
+        identPath.isBindingIdentifier()
+      ) {
+        return;
+      }
+
+      const declaration = resolveReferencedDeclaration(
+        identPath,
+        path,
+        callContext.declarationIndex
+      );
+      const referenced = declaration?.namespace
+        ? getNamespaceMembers(identPath, declaration.namespace)
+        : [declaration];
+
+      const kind = getReferenceKind(identPath, !!declaration?.namespace);
+      referenced.forEach((dependency) =>
+        recordReference(dependency, kind, identPath)
+      );
+    },
+
+    CallExpression(callPath) {
+      const moduleInfo = callContext.requiredModules.get(callPath.node);
+      if (!moduleInfo) return;
+
+      getRequiredMembers(callPath, moduleInfo).forEach((dependency) =>
+        recordReference(dependency, "require", callPath)
+      );
+    },
+  });
+}
+
+/**
+ * Records a dependency if it's one of the known declarations and not seen yet ➕
+ * @param {DeclarationInfo|null} dependency - Declaration being referenced
+ * @param {Set<DeclarationInfo>} dependencies - Set to add dependencies to
+ * @param {Map<string, DeclarationInfo>} allDeclarations - All available declarations
+ * @param {CallContext} callContext - Logger, event hooks and declaration lookups of the call
+ */
+function addDependency(dependency, dependencies, allDeclarations, callContext) {
+  if (
+    dependency &&
+    allDeclarations.get(dependency.id) === dependency &&
+    !dependencies.has(dependency)
+  ) {
+    dependencies.add(dependency);
+    callContext.emit("onDependencyAdded", dependency);
+  }
+}
+
+/**
+ * Classifies how an identifier references its declaration 🏷️
+ * @param {Object} identPath - Referenced identifier path
+ * @param {boolean} isNamespace - Whether the identifier is a namespace import, so `api.fetch()` counts as a call
+ * @returns {'call'|'new'|'extends'|'type'|'jsx'|'export'|'reference'} Reference kind
+ */
+function getReferenceKind(identPath, isNamespace) {
+  if (identPath.isJSXIdentifier()) return "jsx";
+
+  let current = identPath;
+  if (
+    isNamespace &&
+    (current.parentPath.isMemberExpression() ||
+      current.parentPath.isOptionalMemberExpression()) &&
+    current.parent.object === current.node
+  ) {
+    current = current.parentPath;
+  }
+
+  const parent = current.parentPath;
+  if (
+    ((parent.isCallExpression() || parent.isOptionalCallExpression()) &&
+      parent.node.callee === current.node) ||
+    (parent.isTaggedTemplateExpression() && parent.node.tag === current.node)
+  ) {
+    return "call";
+  }
+  if (parent.isNewExpression() && parent.node.callee === current.node) {
+    return "new";
+  }
+  if (parent.isClass() && parent.node.superClass === current.node) {
+    return "extends";
+  }
+  if (parent.isExportSpecifier()) return "export";
+  if (parent.node.type.startsWith("TS") && !t.isExpression(parent.node)) {
+    return "type";
+  }
+  return "reference";
+}
+
+/**
+ * Finds the declaration a reference is attributed to in the dependency graph 🧭
+ * The innermost enclosing declaration that is part of the extraction wins, so
+ * a matched `Class.method` gets its own edges instead of the whole class.
+ * @param {Object} referencePath - Referencing identifier or require() call path
+ * @param {DeclarationInfo} rootDeclaration - Declaration being scanned
+ * @param {function(DeclarationInfo): boolean} isInExtraction - Whether a declaration was matched or pulled in
+ * @param {DeclarationIndex} declarationIndex - Declaration lookups of the call
+ * @returns {DeclarationInfo} The referencing declaration
+ */
+function findReferencingDeclaration(
+  referencePath,
+  rootDeclaration,
+  isInExtraction,
+  declarationIndex
+) {
+  for (
+    let current = referencePath.parentPath;
+    current && current.node !== rootDeclaration.path.node;
+    current = current.parentPath
+  ) {
+    const declaration = declarationIndex.byOwner.get(current.node);
+    if (declaration && isInExtraction(declaration)) {
+      return declaration;
+    }
+  }
+  return rootDeclaration;
+}
+
+/**
+ * Follows inclusion reasons back to a matched declaration 🧵
+ * @param {DeclarationInfo} declaration - Included declaration
+ * @param {Map<DeclarationInfo, {from: DeclarationInfo, kind: string, location: Object}>} inclusionReasons - The reference that first pulled each declaration in
+ * @returns {InclusionStep[]} Steps from the matched declaration down to `declaration`
+ */
+function getInclusionChain(declaration, inclusionReasons) {
+  const chain = [];
+  const seen = new Set();
+
+  for (
+    let current = declaration;
+    current && !seen.has(current);
+    current = inclusionReasons.get(current)?.from
+  ) {
+    seen.add(current);
+    const reason = inclusionReasons.get(current);
+    chain.unshift({
+      name: current.qualifiedName,
+      id: current.id,
+      kind: reason ? reason.kind : "match",
+      ...(reason
+        ? reason.location
+        : getNodeLocation(current.node, current.source)),
+    });
+  }
+
+  return chain;
+}
+
+/**
+ * Gets the file/line/column of a node, for graph edges 📍
+ * @param {Object} node - AST node
+ * @param {string} file - File the node lives in
+ * @returns {{file: string, line: number|null, column: number|null}} Node location
+ */
+function getNodeLocation(node, file) {
+  return {
+    file,
+    line: node.loc?.start.line ?? null,
+    column: node.loc?.start.column ?? null,
+  };
+}
+
+/**
+ * Works out which exports a `require()` call inside the scanned code uses 📥
+ * @param {Object} callPath - The require CallExpression path
+ * @param {ModuleInfo} moduleInfo - The required module
+ * @returns {Array<DeclarationInfo|null>} Referenced export declarations
+ */
+function getRequiredMembers(callPath, moduleInfo) {
+  const bindings = getRequireBindings(callPath);
+  if (bindings.length === 0) {
+    const parent = callPath.parentPath;
+    const memberName =
+      parent.isMemberExpression({ object: callPath.node }) &&
+      !parent.node.computed
+        ? parent.node.property.name
+        : null;
+    return collectModuleMembers(moduleInfo, memberName ? [memberName] : null);
+  }
+
+  return bindings.flatMap(({ local, importedName }) => {
+    if (importedName !== "*") {
+      return collectModuleMembers(moduleInfo, [importedName]);
+    }
+
+    const binding = callPath.scope.getBinding(local.name);
+    return (binding?.referencePaths || []).flatMap((referencePath) =>
+      getNamespaceMembers(referencePath, moduleInfo)
+    );
+  });
+}
+
+/**
+ * Resolves a referenced identifier to the declaration it actually refers to 🎯
+ * @param {Object} identPath - The referenced identifier path
+ * @param {Object} rootPath - The node being scanned; its own locals are ignored
+ * @param {DeclarationIndex} declarationIndex - Declaration lookups of the call
+ * @returns {DeclarationInfo|null} The referenced declaration, or null if local/unknown
+ */
+function resolveReferencedDeclaration(identPath, rootPath, declarationIndex) {
+  const name = identPath.node.name;
+  const binding = identPath.scope.getBinding(name);
+  let declaration;
+
+  if (binding) {
+    if (isPathWithin(binding.path, rootPath)) return null;
+    declaration = declarationIndex.byBinding.get(binding);
+  } else {
+    const program = identPath.scope.getProgramParent().block;
+    declaration = declarationIndex.typesByProgram.get(program)?.get(name);
+    if (declaration && isPathWithin(declaration.path, rootPath)) return null;
+  }
+
+  return resolveImportTarget(declaration);
+}
+
+/**
+ * Works out which exports a namespace import reference actually uses 📚
+ * `api.fetchData` only needs `fetchData`; a bare `api` needs every export.
+ * @param {Object} identPath - Referenced namespace identifier path
+ * @param {ModuleInfo} moduleInfo - Module the namespace was imported from
+ * @returns {Array<DeclarationInfo|null>} Referenced export declarations
+ */
+function getNamespaceMembers(identPath, moduleInfo) {
+  const parent = identPath.parentPath;
+  let memberName = null;
+
+  if (
+    (parent.isMemberExpression() || parent.isOptionalMemberExpression()) &&
+    parent.node.object === identPath.node
+  ) {
+    const property = parent.node.property;
+    if (!parent.node.computed) {
+      memberName = property.name;
+    } else if (property.type === "StringLiteral") {
+      memberName = property.value;
+    }
+  } else if (
+    (parent.isJSXMemberExpression() && parent.node.object === identPath.node) ||
+    (parent.isTSQualifiedName() && parent.node.left === identPath.node)
+  ) {
+    memberName = (parent.node.property || parent.node.right).name;
+  }
+
+  return collectModuleMembers(moduleInfo, memberName ? [memberName] : null);
+}
+
+/**
+ * Resolves exports of a module to their defining declarations 📦
+ * @param {ModuleInfo} moduleInfo - Module to read exports from
+ * @param {string[]|null} names - Export names to resolve, or null for all of them
+ * @param {Set<ModuleInfo>} [seen] - Modules already collected, to stop on cycles
+ * @returns {Array<DeclarationInfo|null>} Export declarations
+ */
+function collectModuleMembers(moduleInfo, names, seen = new Set()) {
+  if (seen.has(moduleInfo)) return [];
+  seen.add(moduleInfo);
+
+  const members = [];
+  (names || getModuleExportNames(moduleInfo)).forEach((name) => {
+    const resolved = resolveModuleExport(moduleInfo, name);
+    if (resolved?.namespace) {
+      members.push(...collectModuleMembers(resolved.namespace, null, seen));
+    } else {
+      members.push(resolveImportTarget(resolved?.declaration));
+    }
+  });
+
+  return members;
+}
+
+/**
+ * Follows chained imports (an export that is itself an import) to the real declaration ⛓️
+ * @param {DeclarationInfo|undefined|null} declaration - Declaration to follow
+ * @returns {DeclarationInfo|null} The final declaration
+ */
+function resolveImportTarget(declaration) {
+  let current = declaration;
+  while (current?.type === "import" && current.target) {
+    current = current.target;
+  }
+  return current || null;
+}
+
+/**
+ * Checks whether a path is the given root or lives inside it 🪺
+ * @param {Object} path - Path to check
+ * @param {Object} rootPath - Potential ancestor
+ * @returns {boolean} True when `path` is inside `rootPath`
+ */
+function isPathWithin(path, rootPath) {
+  return (
+    path.node === rootPath.node ||
+    !!path.findParent((parent) => parent.node === rootPath.node)
+  );
+}
+
+/**
+ * Convenience function with import resolution and pattern matching! 💫
+ * @param {string} code - The source code to parse
+ * @param {string|RegExp|(function(Object): boolean)|DeclarationQuery} regexPattern - Regular expression pattern to match against code, or an AST selector or predicate (see extractPatternWithDependencies)
+ * @param {string} [currentFilePath] - Current file path for import resolution
+ * @param {Object} [options] - Extraction options (see extractPatternWithDependencies)
+ * @returns {ExtractionResult} The extraction result
+ */
+function findAndExtract(code, regexPattern, currentFilePath, options) {
+  const pattern =
+    typeof regexPattern === "string" || regexPattern instanceof RegExp
+      ? new RegExp(regexPattern)
+      : regexPattern;
+  return extractPatternWithDependencies(
+    code,
+    pattern,
+    currentFilePath,
+    options
+  );
+}
+
+/**
+ * Creates a reusable extractor that keeps parsed files between calls ♻️
+ * Every file is parsed once per content: extracting ten patterns from the same
+ * project costs about one parse. Edited files are re-parsed automatically,
+ * since the cache is keyed by path and content hash.
+ * @param {Object} [defaultOptions] - Options applied to every call (see extractPatternWithDependencies)
+ * @returns {Object} Extractor with the extraction functions, `invalidate(filePath)`, `clearCache()` and `getCacheStats()`
+ */
+function createExtractor(defaultOptions = {}) {
+  const parseCache = createParseCache();
+  const withCache = (options = {}) => ({
+    ...defaultOptions,
+    ...options,
+    parseCache,
+  });
+
+  return {
+    extractPatternWithDependencies: (
+      sourceCode,
+      pattern,
+      currentFilePath,
+      options
+    ) =>
+      extractPatternWithDependencies(
+        sourceCode,
+        pattern,
+        currentFilePath,
+        withCache(options)
+      ),
+    findAndExtract: (code, regexPattern, currentFilePath, options) =>
+      findAndExtract(code, regexPattern, currentFilePath, withCache(options)),
+    extractMultiplePatterns: (code, regexPatterns, currentFilePath, options) =>
+      extractMultiplePatterns(
+        code,
+        regexPatterns,
+        currentFilePath,
+        withCache(options)
+      ),
+    extractByNames: (code, names, currentFilePath, options) =>
+      extractByNames(code, names, currentFilePath, withCache(options)),
+    invalidate: (filePath) => parseCache.delete(filePath),
+    clearCache: () => parseCache.clear(),
+    searchProject: (rootDir, options) =>
+      searchProject(rootDir, withCache(options)),
+    findDependents: (code, target, currentFilePath, options) =>
+      findDependents(code, target, currentFilePath, withCache(options)),
+    findDeadCode: (entryFiles, options) =>
+      findDeadCode(entryFiles, withCache(options)),
+    getCacheStats: () => parseCache.stats(),
+  };
+}
+
+/**
+ * Runs a pattern or name selector over every file of a project 🗂️
+ * Each file's own declarations are tested, and every file with a match gets its
+ * own extraction (imports are followed as usual). Files are parsed once, even
+ * when many of them import the same modules.
+ * @param {string} rootDir - Directory to search
+ * @param {Object} options - Search options, plus any extraction option (see extractPatternWithDependencies)
+ * @param {string|RegExp|(function(Object): boolean)|DeclarationQuery} [options.pattern] - Regex to match against declarations, or an AST selector or predicate (see extractPatternWithDependencies)
+ * @param {string[]} [options.names] - Exact declaration names to match, instead of a pattern
+ * @param {string[]} [options.include] - Globs of files to search, relative to the root (JS/TS sources by default)
+ * @param {string[]} [options.exclude] - Globs of files to skip (node_modules and .d.ts by default)
+ * @param {boolean} [options.gitignore=true] - Whether to skip files ignored by `.gitignore`
+ * @param {boolean} [options.merge=false] - Also build one extraction of all matches, with shared dependencies deduplicated
+ * @returns {ProjectSearchResult} Per-file extractions and search statistics
+ */
+function searchProject(rootDir, options = {}) {
+  const callContext = createCallContext(options);
+  const { logger } = callContext;
+  const pattern = getSearchPattern(options);
+  const fileSystem = createFileSystem(options);
+  const extractionOptions = {
+    ...options,
+    parseCache: options.parseCache || createParseCache(),
+    matchScope: "entry",
+  };
+
+  const files = listProjectFiles(rootDir, fileSystem, options);
+  logger.info(`🗂️ Searching ${files.length} files in ${rootDir}`);
+
+  const extractions = [];
+  const skippedFiles = [];
+
+  files.forEach((filePath) => {
+    const sourceCode = fileSystem.readFile(filePath);
+    if (sourceCode === null) {
+      skippedFiles.push({ file: filePath, reason: "Could not read file" });
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = parseSource(
+        sourceCode,
+        filePath,
+        extractionOptions.parseCache,
+        callContext
+      );
+    } catch (error) {
+      logger.warn(`Failed to parse file ${filePath}: ${error.message}`);
+      skippedFiles.push({ file: filePath, reason: error.message });
+      return;
+    }
+
+    // A regex can be ruled out without loading the file's imports
+    if (
+      pattern instanceof RegExp &&
+      !Array.from(parsed.declarations.values()).some((declaration) =>
+        pattern.test(declaration.originalCode)
+      )
+    ) {
+      return;
+    }
+
+    const result = extractPatternWithDependencies(
+      sourceCode,
+      pattern,
+      filePath,
+      extractionOptions
+    );
+    if (!result.success) return;
+
+    logger.success(`🎯 Pattern found in ${filePath}`);
+    extractions.push({ file: filePath, result });
+  });
+
+  const searchResult = {
+    success: extractions.length > 0,
+    message: `Found matches in ${extractions.length} of ${files.length} files`,
+    files: extractions.map(({ file, result }) => ({ file, ...result })),
+    metadata: {
+      rootDir,
+      filesSearched: files.length,
+      filesMatched: extractions.length,
+      skippedFiles,
+    },
+  };
+
+  if (options.merge) {
+    searchResult.merged = mergeExtractions(
+      extractions,
+      rootDir,
+      extractionOptions
+    );
+  }
+
+  return searchResult;
+}
+
+/**
+ * Builds the pattern a project search tests declarations with 🔎
+ * @param {Object} options - Search options with `pattern` or `names`
+ * @returns {RegExp|(function(Object): boolean)|DeclarationQuery} Regexes lose the global flag, so `test()` has no state
+ */
+function getSearchPattern(options) {
+  if (options.names) {
+    return createNamesRegex(options.names);
+  }
+  if (options.pattern === undefined) {
+    throw new Error("searchProject needs a `pattern` or `names` option");
+  }
+  if (
+    typeof options.pattern !== "string" &&
+    !(options.pattern instanceof RegExp)
+  ) {
+    return options.pattern;
+  }
+
+  const regex =
+    options.pattern instanceof RegExp
+      ? options.pattern
+      : new RegExp(options.pattern);
+  return new RegExp(regex.source, regex.flags.replace("g", ""));
+}
+
+/**
+ * Merges per-file extractions into one, emitting shared declarations once 🧩
+ * @param {{file: string, result: ExtractionResult}[]} extractions - Per-file extractions
+ * @param {string} rootDir - Searched directory, used to label files in the output
+ * @param {Object} options - Extraction options (`outputMode`, `sourceMap`)
+ * @returns {ProjectSearchResult["merged"]} The merged extraction
+ */
+function mergeExtractions(extractions, rootDir, options) {
+  const files = extractions
+    .filter(({ result }) => extractionDetails.has(result))
+    .map(({ file }) => file);
+  const { finalDeclarations, code, map, duplicatesRemoved } =
+    mergeFinalDeclarations(
+      extractions.map(({ result }) => result),
+      path.join(rootDir, "extracted.js"),
+      options
+    );
+
+  const dependencies = new Set();
+  extractions.forEach(({ result }) => {
+    (result.metadata.dependencies || []).forEach((name) =>
+      dependencies.add(name)
+    );
+  });
+
+  return {
+    finalCode: code,
+    ...(options.sourceMap && { sourceMap: map }),
+    files,
+    dependencies: Array.from(dependencies),
+    totalNodesIncluded: finalDeclarations.length,
+    duplicatesRemoved,
+    graph: mergeGraphs(extractions.map(({ result }) => result.graph)),
+  };
+}
+
+/**
+ * Emits the declarations of several extractions as one, each shared declaration once 🧩
+ * @param {ExtractionResult[]} results - Extraction results; failed ones are skipped
+ * @param {string} outputFilePath - Path the merged code is emitted as (for imports and source maps)
+ * @param {Object} options - Extraction options (`outputMode`, `sourceMap`)
+ * @returns {{finalDeclarations: DeclarationInfo[], code: string, map: Object|null, duplicatesRemoved: number}} The merged declarations and their code
+ */
+function mergeFinalDeclarations(results, outputFilePath, options) {
+  const modules = new Map();
+  const declarationsByNode = new Map();
+  // Kept members per sliced class; null once any extraction needs it whole
+  const keptMembers = new Map();
+  let totalIncluded = 0;
+
+  results.forEach((result) => {
+    const details = extractionDetails.get(result);
+    if (!details) return;
+
+    details.modules.forEach((moduleInfo, filePath) => {
+      if (!modules.has(filePath)) {
+        modules.set(filePath, moduleInfo);
+      }
+    });
+    details.finalDeclarations.forEach(({ node }) => {
+      const members = details.slices.get(node);
+      const merged = keptMembers.has(node) ? keptMembers.get(node) : new Set();
+      keptMembers.set(
+        node,
+        members && merged ? new Set([...merged, ...members]) : null
+      );
+    });
+    details.finalDeclarations.forEach((declaration) => {
+      declarationsByNode.set(declaration.node, declaration);
+    });
+    totalIncluded += details.finalDeclarations.length;
+  });
+
+  const finalDeclarations = sortBySourceOrder(
+    Array.from(declarationsByNode.values()),
+    modules
+  );
+  const slices = new Map(
+    Array.from(keptMembers).filter(([, members]) => members !== null)
+  );
+  const { code, map } = buildExtractedCode(
+    finalDeclarations,
+    modules,
+    outputFilePath,
+    options,
+    slices
+  );
+
+  return {
+    finalDeclarations,
+    code,
+    map,
+    duplicatesRemoved: totalIncluded - finalDeclarations.length,
+  };
+}
+
+/**
+ * Finds everything that uses a declaration, directly or transitively 🔁
+ * The reverse of an extraction: the module graph is loaded from the entry file
+ * (and from every file of `options.rootDir`, to also see files that import the
+ * target without being imported by the entry), then references are followed
+ * backwards from the selected declarations. Nested declarations make their
+ * containers dependents too, since changing a method changes its class.
+ * @param {string|null} sourceCode - Source of the entry file, or null to read it
+ * @param {string|RegExp|string[]} target - Exact name(s) (`helper` or `Class.method`), or a regex tested against qualified names
+ * @param {string} [currentFilePath] - Entry file path for import resolution
+ * @param {Object} [options] - Extraction options (see extractPatternWithDependencies), plus:
+ * @param {string} [options.rootDir] - Also load every project file below this directory (see searchProject for `include`, `exclude` and `gitignore`)
+ * @returns {ImpactResult} Dependents, affected files and exported entry points
+ */
+function findDependents(
+  sourceCode,
+  target,
+  currentFilePath = getDefaultFilePath(),
+  options = {}
+) {
+  const callContext = createCallContext(options);
+  const { logger } = callContext;
+  const fileSystem = createFileSystem(options);
+  const graphOptions = {
+    ...options,
+    fileSystem,
+    parseCache: options.parseCache || createParseCache(),
+  };
+
+  const entries = [{ filePath: currentFilePath, sourceCode }];
+  if (options.rootDir) {
+    listProjectFiles(options.rootDir, fileSystem, options).forEach((filePath) =>
+      entries.push({ filePath, optional: true })
+    );
+  }
+
+  const { modules, globalDeclarations, unresolvedImports } = loadEntryGraphs(
+    entries,
+    graphOptions,
+    callContext
+  );
+
+  const isTarget = createTargetMatcher(target);
+  const targets = Array.from(globalDeclarations.values()).filter(
+    (declaration) => declaration.type !== "import" && isTarget(declaration)
+  );
+
+  const summary = {
+    filesScanned: modules.size,
+    modules: summarizeModules(modules),
+    unresolvedImports,
+  };
+
+  if (targets.length === 0) {
+    return {
+      success: false,
+      message: `No declarations found matching: ${target}`,
+      targets: [],
+      dependents: [],
+      files: [],
+      entryPoints: [],
+      metadata: summary,
+    };
+  }
+
+  logger.info(
+    `🔁 Looking for dependents of ${targets
+      .map((declaration) => declaration.qualifiedName)
+      .join(", ")}`
+  );
+
+  const referencedBy = new Map();
+  const addReferrer = ({ from, to, kind, location }) => {
+    if (!referencedBy.has(to)) {
+      referencedBy.set(to, []);
+    }
+    referencedBy.get(to).push({ from, kind, location });
+  };
+
+  collectReferences(modules, globalDeclarations, callContext).forEach(
+    addReferrer
+  );
+  // Changing a nested declaration changes the declaration holding it
+  modules.forEach((moduleInfo) =>
+    moduleInfo.declarations.forEach((declaration) => {
+      if (declaration.container) {
+        addReferrer({
+          from: declaration.container,
+          to: declaration,
+          kind: "container",
+          location: getNodeLocation(declaration.node, declaration.source),
+        });
+      }
+    })
+  );
+  const dependents = new Map();
+  const queue = targets.map((declaration) => ({ declaration, distance: 0 }));
+
+  while (queue.length > 0) {
+    const { declaration, distance } = queue.shift();
+
+    (referencedBy.get(declaration) || []).forEach(
+      ({ from, kind, location }) => {
+        if (targets.includes(from) || dependents.has(from)) return;
+
+        dependents.set(from, {
+          distance: distance + 1,
+          via: {
+            name: declaration.qualifiedName,
+            kind,
+            ...location,
+          },
+        });
+        queue.push({ declaration: from, distance: distance + 1 });
+      }
+    );
   }
 
-  let previousDepsCount = 0;
-  let currentDepsCount = dependencies.size;
-  let iterations = 0;
+  const affected = [...targets, ...dependents.keys()];
+  const files = Array.from(new Set(affected.map((d) => d.source)));
+  const entryPoints = [];
+  affected.forEach((declaration) => {
+    getExportNames(declaration, modules.get(declaration.source)).forEach(
+      (exportName) =>
+        entryPoints.push({
+          name: exportName,
+          declaration: declaration.qualifiedName,
+          file: declaration.source,
+        })
+    );
+  });
 
-  while (currentDepsCount > previousDepsCount) {
-    iterations++;
-    previousDepsCount = currentDepsCount;
-    const currentDeps = Array.from(dependencies);
+  logger.success(
+    `🔁 Found ${dependents.size} dependents in ${files.length} files`
+  );
 
-    currentDeps.forEach((depName) => {
-      const declaration = globalDeclarations.get(depName);
-      if (declaration && declaration.type !== "import") {
-        nodesToInclude.add(declaration.node);
+  return {
+    success: true,
+    message: `Found ${dependents.size} dependents of ${targets.length} declaration(s) in ${files.length} files`,
+    targets: targets.map((declaration) => ({
+      name: declaration.qualifiedName,
+      type: declaration.type,
+      file: declaration.source,
+      line: declaration.node.loc?.start.line ?? null,
+    })),
+    dependents: Array.from(dependents, ([declaration, { distance, via }]) => ({
+      name: declaration.qualifiedName,
+      type: declaration.type,
+      file: declaration.source,
+      line: declaration.node.loc?.start.line ?? null,
+      className: declaration.className || null,
+      parentFunction: declaration.parentFunction || null,
+      exported:
+        getExportNames(declaration, modules.get(declaration.source)).length > 0,
+      distance,
+      via,
+    })),
+    files,
+    entryPoints,
+    metadata: summary,
+  };
+}
 
-        if (
-          declaration.type === "nested-function" &&
-          declaration.parentFunction
-        ) {
-          const parentDeclaration = globalDeclarations.get(
-            declaration.parentFunction
-          );
-          if (parentDeclaration) {
-            nodesToInclude.add(parentDeclaration.node);
-            logger.debug(
-              `🔗 Including parent for dependency: ${declaration.parentFunction}`
-            );
-          }
-        }
+/**
+ * Reports declarations that nothing reachable ever uses 🪦
+ * Live code starts from the entry files (their top-level code and exports) or,
+ * with `roots: "exports"`, from every export of every module. Top-level code of
+ * every module reached through imports is live too, since importing runs it.
+ * Methods of a live class count as live, as calls through instances can't be
+ * resolved; nested declarations are reported inside live containers only.
+ * @param {string|string[]} entryFiles - Entry files (may be empty with `roots: "exports"`)
+ * @param {Object} [options] - Extraction options (see extractPatternWithDependencies), plus:
+ * @param {string} [options.rootDir] - Also scan every project file below this directory, so never-imported files are reported (see searchProject for `include`, `exclude` and `gitignore`)
+ * @param {'entries'|'exports'} [options.roots] - What is used from outside: the entry files (default when entries are given) or every export
+ * @returns {DeadCodeResult} Dead declarations and unreachable files
+ */
+function findDeadCode(entryFiles, options = {}) {
+  const callContext = createCallContext(options);
+  const { logger } = callContext;
+  const fileSystem = createFileSystem(options);
+  const graphOptions = {
+    ...options,
+    fileSystem,
+    parseCache: options.parseCache || createParseCache(),
+  };
+  const entryPaths = [].concat(entryFiles || []);
+  const roots =
+    options.roots || (entryPaths.length > 0 ? "entries" : "exports");
+
+  const graph = loadEntryGraphs(
+    entryPaths.map((filePath) => ({ filePath })),
+    graphOptions,
+    callContext
+  );
+  const reachedFiles = new Set(graph.modules.keys());
+  if (options.rootDir) {
+    loadEntryGraphs(
+      listProjectFiles(options.rootDir, fileSystem, options).map(
+        (filePath) => ({ filePath, optional: true })
+      ),
+      graphOptions,
+      callContext,
+      graph
+    );
+  }
+  const { modules, globalDeclarations } = graph;
+  const liveFiles =
+    roots === "exports" ? new Set(modules.keys()) : reachedFiles;
+
+  const referencesFrom = new Map();
+  const referencedBy = new Map();
+  collectReferences(modules, globalDeclarations, callContext).forEach(
+    ({ from, to }) => {
+      if (!referencesFrom.has(from.id)) referencesFrom.set(from.id, []);
+      referencesFrom.get(from.id).push(to);
+      if (!referencedBy.has(to)) referencedBy.set(to, []);
+      referencedBy.get(to).push(from);
+    }
+  );
 
-        if (declaration.path) {
-          findDependenciesInNode(
-            declaration.path,
-            dependencies,
-            globalDeclarations
-          );
-        }
+  const nestedDeclarations = new Map();
+  modules.forEach((moduleInfo) =>
+    moduleInfo.declarations.forEach((declaration) => {
+      if (!declaration.container) return;
+      if (!nestedDeclarations.has(declaration.container)) {
+        nestedDeclarations.set(declaration.container, []);
       }
-    });
+      nestedDeclarations.get(declaration.container).push(declaration);
+    })
+  );
 
-    currentDepsCount = dependencies.size;
-  }
+  const live = new Set();
+  const queue = [];
+  const markLive = (declaration) => {
+    if (live.has(declaration.id)) return;
+    live.add(declaration.id);
+    queue.push(declaration);
+  };
 
-  unresolvedImports.forEach((importPath) => {
-    traverse(ast, {
-      ImportDeclaration(path) {
-        if (path.node.source.value === importPath) {
-          const usedImports = path.node.specifiers.filter((spec) =>
-            dependencies.has(spec.local.name)
-          );
+  liveFiles.forEach((filePath) => {
+    const moduleInfo = modules.get(filePath);
+    markLive({ id: `${filePath}#<module>` });
+    if (roots === "exports" || entryPaths.includes(filePath)) {
+      collectModuleMembers(moduleInfo, null).forEach(
+        (declaration) => declaration && markLive(declaration)
+      );
+    }
+  });
 
-          if (usedImports.length > 0) {
-            nodesToInclude.add(path.node);
-            logger.info(`📦 Including unresolved import: ${importPath}`);
-          }
-        }
-      },
+  while (queue.length > 0) {
+    const declaration = queue.shift();
+    (referencesFrom.get(declaration.id) || []).forEach(markLive);
+    (nestedDeclarations.get(declaration) || []).forEach((nested) => {
+      if (!nested.binding || isUsedOutsideItself(nested)) {
+        markLive(nested);
+      }
     });
-  });
+  }
 
-  const finalNodes = Array.from(nodesToInclude);
-  const finalAst = {
-    type: "Program",
-    body: finalNodes,
-    sourceType: "module",
-  };
+  const dead = [];
+  modules.forEach((moduleInfo) =>
+    moduleInfo.declarations.forEach((declaration) => {
+      if (
+        live.has(declaration.id) ||
+        declaration.type === "import" ||
+        declaration.type === "named-export" ||
+        globalDeclarations.get(declaration.id) !== declaration ||
+        (declaration.container && !live.has(declaration.container.id))
+      ) {
+        return;
+      }
 
-  const finalCode = generate(finalAst, {
-    compact: false,
-    comments: true,
-    retainLines: false,
-  }).code;
+      const code = declaration.originalCode;
+      const referrers = referencedBy.get(declaration) || [];
+      dead.push({
+        name: declaration.qualifiedName,
+        type: declaration.type,
+        file: declaration.source,
+        line: declaration.node.loc?.start.line ?? null,
+        lines: code.split("\n").length,
+        size: code.length,
+        className: declaration.className || null,
+        parentFunction: declaration.parentFunction || null,
+        onlyReferencedByDeadCode: referrers.length > 0,
+        referencedBy: referrers.map((referrer) => referrer.qualifiedName),
+      });
+    })
+  );
 
-  logger.success(
-    `🎉 Pattern extraction completed! Generated ${finalCode.length} characters`
+  const unreachableFiles = Array.from(modules.keys()).filter(
+    (filePath) => !liveFiles.has(filePath)
   );
+  const totalSize = dead.reduce((total, entry) => total + entry.size, 0);
+
   logger.success(
-    `Found ${matchedPatterns.size} matching patterns! So exciting~ 🥰`
+    `🪦 Found ${dead.length} dead declarations (${totalSize} chars)`
   );
 
   return {
     success: true,
-    message: `Successfully extracted ${matchedPatterns.size} pattern(s) with ${dependencies.size} dependencies`,
-    finalCode: finalCode,
+    message: `Found ${dead.length} dead declarations (${totalSize} chars) in ${
+      new Set(dead.map((entry) => entry.file)).size
+    } files`,
+    dead,
+    unreachableFiles,
     metadata: {
-      matchedPatterns: Array.from(matchedPatterns),
-      dependencies: Array.from(dependencies),
-      totalNodesIncluded: finalNodes.length,
-      resolvedImports,
-      unresolvedImports,
-      matchDetails,
-      iterationsRequired: iterations,
-      originalCodeLength: sourceCode.length,
-      extractedCodeLength: finalCode.length,
+      roots,
+      entryFiles: entryPaths,
+      filesScanned: modules.size,
+      liveDeclarations: live.size,
+      totalSize,
     },
   };
 }
 
 /**
- * Recursively finds all dependencies within a given AST node
- * @param {Object} path - The AST path to traverse
- * @param {Set<string>} dependencies - Set to store found dependencies
- * @param {Map<string, DeclarationInfo>} allDeclarations - All available declarations
+ * Checks whether a nested declaration is used anywhere but in its own code 🔍
+ * @param {DeclarationInfo} declaration - Declaration with a binding
+ * @returns {boolean} True if some reference lies outside the declaration
  */
-function findDependenciesInNode(path, dependencies, allDeclarations) {
-  path.traverse({
-    Identifier(identPath) {
-      const name = identPath.node.name;
+function isUsedOutsideItself(declaration) {
+  return declaration.binding.referencePaths.some(
+    (referencePath) => !isPathWithin(referencePath, declaration.path)
+  );
+}
+
+/**
+ * Loads the module graph of several entry files into one set of modules 🕸️
+ * Files already reached from an earlier entry are neither loaded nor traversed again.
+ * @param {{filePath: string, sourceCode?: string|null, optional?: boolean}[]} entries - Entry files, with their source when already known; optional ones are skipped when unreadable
+ * @param {Object} options - Graph options, with `fileSystem` and `parseCache`
+ * @param {CallContext} callContext - Logger, event hooks and declaration lookups of the call
+ * @param {{modules: Map<string, ModuleInfo>, globalDeclarations: Map<string, DeclarationInfo>, unresolvedImports: string[]}} [graph] - Graph to extend
+ * @returns {{modules: Map<string, ModuleInfo>, globalDeclarations: Map<string, DeclarationInfo>, unresolvedImports: string[]}} The combined graph
+ */
+function loadEntryGraphs(
+  entries,
+  options,
+  callContext,
+  graph = {
+    modules: new Map(),
+    globalDeclarations: new Map(),
+    unresolvedImports: [],
+  }
+) {
+  const { modules, globalDeclarations, unresolvedImports } = graph;
+
+  entries.forEach(({ filePath, sourceCode = null, optional = false }) => {
+    if (modules.has(filePath)) return;
+
+    const entryCode = sourceCode ?? options.fileSystem.readFile(filePath);
+    if (entryCode === null) {
+      if (!optional) {
+        throw new Error(`Could not read entry file: ${filePath}`);
+      }
+      return;
+    }
 
+    let parsed;
+    try {
+      parsed = parseSource(
+        entryCode,
+        filePath,
+        options.parseCache,
+        callContext
+      );
+    } catch (error) {
+      if (!optional) throw error;
+      callContext.logger.warn(
+        `Failed to parse file ${filePath}: ${error.message}`
+      );
+      return;
+    }
+
+    parsed.declarations.forEach((declaration, id) =>
+      globalDeclarations.set(id, declaration)
+    );
+    const entryGraph = loadModuleGraph(
+      {
+        filePath,
+        ast: parsed.ast,
+        sourceCode: entryCode,
+        declarations: parsed.declarations,
+        exports: parsed.exports,
+        reexports: [],
+        imports: new Map(),
+        depth: 0,
+        importChain: [filePath],
+      },
+      globalDeclarations,
+      callContext,
+      { ...options, loadedModules: modules }
+    );
+
+    entryGraph.modules.forEach((moduleInfo, modulePath) => {
+      if (!modules.has(modulePath)) {
+        modules.set(modulePath, moduleInfo);
+      }
+    });
+    unresolvedImports.push(...entryGraph.unresolvedImports);
+  });
+
+  return graph;
+}
+
+/**
+ * Collects every reference between declarations of the loaded modules 📇
+ * Code outside any declaration (top-level calls...) is attributed to a
+ * `<module>` pseudo-declaration of its file.
+ * @param {Map<string, ModuleInfo>} modules - Loaded modules
+ * @param {Map<string, DeclarationInfo>} globalDeclarations - All known declarations
+ * @param {CallContext} callContext - Logger, event hooks and declaration lookups of the call
+ * @returns {{from: DeclarationInfo, to: DeclarationInfo, kind: string, location: Object}[]} References, one per pair and kind
+ */
+function collectReferences(modules, globalDeclarations, callContext) {
+  const references = [];
+  const seen = new Set();
+
+  modules.forEach((moduleInfo) => {
+    const moduleDeclaration = createModuleDeclaration(moduleInfo);
+    const isKnown = (declaration) =>
+      globalDeclarations.get(declaration.id) === declaration;
+
+    moduleDeclaration.path.get("body").forEach((statementPath) => {
       if (
-        identPath.isReferencedIdentifier() &&
-        !identPath.isBindingIdentifier() &&
-        allDeclarations.has(name) &&
-        !dependencies.has(name)
+        statementPath.isImportDeclaration() ||
+        isRequireStatement(statementPath)
       ) {
-        dependencies.add(name);
+        return;
       }
-    },
 
-    MemberExpression(memberPath) {
-      if (memberPath.node.object.type === "Identifier") {
-        const objectName = memberPath.node.object.name;
-        if (allDeclarations.has(objectName) && !dependencies.has(objectName)) {
-          dependencies.add(objectName);
+      findDependenciesInNode(
+        statementPath,
+        new Set(),
+        globalDeclarations,
+        callContext,
+        (dependency, kind, referencePath) => {
+          const from = findReferencingDeclaration(
+            referencePath,
+            moduleDeclaration,
+            isKnown,
+            callContext.declarationIndex
+          );
+          const key = `${from.id}\n${dependency.id}\n${kind}`;
+          if (from === dependency || seen.has(key)) return;
+
+          seen.add(key);
+          references.push({
+            from,
+            to: dependency,
+            kind,
+            location: getNodeLocation(referencePath.node, moduleInfo.filePath),
+          });
         }
-      }
+      );
+    });
+  });
+
+  return references;
+}
+
+/**
+ * Creates the `<module>` pseudo-declaration standing for a file's top-level code 📄
+ * @param {ModuleInfo} moduleInfo - Module to represent
+ * @returns {Object} Declaration-like object with the program path
+ */
+function createModuleDeclaration(moduleInfo) {
+  let programPath;
+  traverse(moduleInfo.ast, {
+    Program(path) {
+      programPath = path;
+      path.stop();
     },
   });
+
+  return {
+    id: `${moduleInfo.filePath}#<module>`,
+    name: "<module>",
+    qualifiedName: "<module>",
+    type: "module",
+    node: programPath.node,
+    path: programPath,
+    source: moduleInfo.filePath,
+  };
 }
 
 /**
- * Convenience function with import resolution and pattern matching! 💫
- * @param {string} code - The source code to parse
- * @param {string} regexPattern - Regular expression pattern to match against code
- * @param {string} [currentFilePath] - Current file path for import resolution
- * @returns {ExtractionResult} The extraction result
+ * Checks whether a top-level statement only binds `require()` results 📥
+ * Those bindings are followed where they are used, like ES imports.
+ * @param {Object} statementPath - Top-level statement path
+ * @returns {boolean} True for `const x = require("x")`-style statements
+ */
+function isRequireStatement(statementPath) {
+  return (
+    statementPath.isVariableDeclaration() &&
+    statementPath
+      .get("declarations")
+      .every(
+        (declaratorPath) =>
+          declaratorPath.node.init &&
+          getRequireSource(declaratorPath.get("init")) !== null
+      )
+  );
+}
+
+/**
+ * Builds the predicate selecting the declarations an impact query is about 🎯
+ * @param {string|RegExp|string[]} target - Exact name(s) or a regex over qualified names
+ * @returns {function(DeclarationInfo): boolean} Target predicate
+ */
+function createTargetMatcher(target) {
+  if (target instanceof RegExp) {
+    const regex = new RegExp(target.source, target.flags.replace("g", ""));
+    return (declaration) => regex.test(declaration.qualifiedName);
+  }
+
+  const names = new Set(Array.isArray(target) ? target : [target]);
+  return (declaration) =>
+    names.has(declaration.qualifiedName) || names.has(declaration.name);
+}
+
+/**
+ * Lists the names a module exports a declaration under 📤
+ * @param {DeclarationInfo} declaration - Declaration to look up
+ * @param {ModuleInfo} [moduleInfo] - Module the declaration lives in
+ * @returns {string[]} Export names (empty when not exported)
  */
-function findAndExtract(code, regexPattern, currentFilePath) {
-  const regex = new RegExp(regexPattern);
-  return extractPatternWithDependencies(code, regex, currentFilePath);
+function getExportNames(declaration, moduleInfo) {
+  if (!moduleInfo) return [];
+  return Array.from(moduleInfo.exports)
+    .filter(([, exported]) => exported === declaration)
+    .map(([exportName]) => exportName);
 }
 
 /**
@@ -1032,22 +4420,148 @@ function createPattern(patternType, namePattern = "\\w+") {
   return new RegExp(pattern, "i");
 }
 
+/**
+ * @typedef {Object} PatternBreakdown
+ * @property {string} pattern - The pattern, as given (regexes as `/source/flags`)
+ * @property {boolean} matched - Whether the pattern matched any declaration
+ * @property {string[]} matchedPatterns - Declarations the pattern matched
+ * @property {string[]} dependencies - Declarations pulled in for those matches
+ * @property {number} totalNodesIncluded - Declarations this pattern alone would emit
+ */
+
 /**
  * Super cute helper to extract multiple patterns at once! 🌈
+ * Each pattern is extracted on its own, with its own flags (strings have
+ * none, so pass `/.../i` to ignore case), then the extractions are merged so
+ * declarations shared between patterns are emitted once. `metadata.patterns`
+ * tells which pattern matched and pulled in what, and
+ * `metadata.unmatchedPatterns` lists the patterns that matched nothing.
  * @param {string} code - The source code to parse
- * @param {Array<string>} regexPatterns - Array of regex pattern strings
+ * @param {Array<string|RegExp>} regexPatterns - Regex pattern strings or regexes
  * @param {string} [currentFilePath] - Current file path for import resolution
- * @returns {ExtractionResult} Combined extraction result
+ * @param {Object} [options] - Extraction options (see extractPatternWithDependencies)
+ * @returns {ExtractionResult & {metadata: {patterns: PatternBreakdown[], unmatchedPatterns: string[], duplicatesRemoved: number}}} Combined extraction result
  */
-function extractMultiplePatterns(code, regexPatterns, currentFilePath) {
+function extractMultiplePatterns(
+  code,
+  regexPatterns,
+  currentFilePath = getDefaultFilePath(),
+  options = {}
+) {
+  const callContext = createCallContext(options);
+  const { logger } = callContext;
   logger.info(
     `🌈 Extracting multiple patterns: ${regexPatterns.length} patterns`
   );
 
-  const combinedPattern = regexPatterns.join("|");
-  const regex = new RegExp(`(${combinedPattern})`, "i");
+  // Every pattern loads the same module graph, so parse it only once
+  const extractionOptions = {
+    ...options,
+    parseCache: options.parseCache || createParseCache(),
+  };
+  const extractions = regexPatterns.map((pattern) => ({
+    pattern: String(pattern),
+    result: extractPatternWithDependencies(
+      code,
+      toRegExp(pattern),
+      currentFilePath,
+      extractionOptions
+    ),
+  }));
+
+  const unmatchedPatterns = extractions
+    .filter(({ result }) => !result.success)
+    .map(({ pattern }) => pattern);
+  unmatchedPatterns.forEach((pattern) =>
+    logger.warn(`🙈 Pattern matched nothing: ${pattern}`)
+  );
+
+  const results = extractions
+    .filter(({ result }) => result.success)
+    .map(({ result }) => result);
+  const {
+    finalDeclarations,
+    code: finalCode,
+    map,
+    duplicatesRemoved,
+  } = mergeFinalDeclarations(results, currentFilePath, extractionOptions);
+
+  const matchedPatterns = Array.from(
+    new Set(results.flatMap((result) => result.metadata.matchedPatterns))
+  );
+  // Files can declare the same name, so declarations are told apart by both
+  const getDeclarationKey = (detail) => `${detail.source}\n${detail.name}`;
+  const matchedKeys = new Set(
+    results.flatMap((result) =>
+      result.metadata.matchDetails.map(getDeclarationKey)
+    )
+  );
+  const dependencyDetails = uniqueBy(
+    results.flatMap((result) => result.metadata.dependencyDetails),
+    getDeclarationKey
+  ).filter((detail) => !matchedKeys.has(getDeclarationKey(detail)));
+  const explanations = uniqueBy(
+    results.flatMap((result) => result.metadata.explanations),
+    (explanation) => `${explanation.file}\n${explanation.name}`
+  );
+  const firstMetadata = extractions[0]?.result.metadata;
+
+  return {
+    success: results.length > 0,
+    message:
+      results.length > 0
+        ? `Successfully extracted ${matchedPatterns.length} pattern(s) with ${dependencyDetails.length} dependencies from ${results.length}/${extractions.length} patterns`
+        : `No patterns found matching any of ${extractions.length} patterns`,
+    finalCode,
+    ...(options.sourceMap && results.length > 0 && { sourceMap: map }),
+    graph: mergeGraphs(extractions.map(({ result }) => result.graph)),
+    metadata: {
+      matchedPatterns,
+      dependencies: Array.from(
+        new Set(dependencyDetails.map((detail) => detail.name))
+      ),
+      dependencyDetails,
+      explanations,
+      totalNodesIncluded: finalDeclarations.length,
+      duplicatesRemoved,
+      resolvedImports: firstMetadata?.resolvedImports || [],
+      unresolvedImports: firstMetadata?.unresolvedImports || [],
+      externalImports: firstMetadata?.externalImports || [],
+      importResolutions: firstMetadata?.importResolutions || [],
+      modules: firstMetadata?.modules || [],
+      matchDetails: extractions.flatMap(({ pattern, result }) =>
+        result.metadata.matchDetails.map((detail) => ({ ...detail, pattern }))
+      ),
+      patterns: extractions.map(({ pattern, result }) => ({
+        pattern,
+        matched: result.success,
+        matchedPatterns: result.metadata.matchedPatterns,
+        dependencies: result.metadata.dependencies,
+        totalNodesIncluded: result.metadata.totalNodesIncluded,
+      })),
+      unmatchedPatterns,
+      originalCodeLength: firstMetadata?.originalCodeLength || 0,
+      extractedCodeLength: finalCode.length,
+    },
+  };
+}
 
-  return extractPatternWithDependencies(code, regex, currentFilePath);
+/**
+ * Drops duplicates from a list, keeping the first item of each key 🧹
+ * @template T
+ * @param {T[]} items - Items to deduplicate
+ * @param {function(T): string} getKey - Identity of an item
+ * @returns {T[]} The first item of each key, in order
+ */
+function uniqueBy(items, getKey) {
+  const itemsByKey = new Map();
+  items.forEach((item) => {
+    const key = getKey(item);
+    if (!itemsByKey.has(key)) {
+      itemsByKey.set(key, item);
+    }
+  });
+  return Array.from(itemsByKey.values());
 }
 
 /**
@@ -1055,27 +4569,46 @@ function extractMultiplePatterns(code, regexPatterns, currentFilePath) {
  * @param {string} code - The source code to parse
  * @param {Array<string>} names - Array of exact names to match
  * @param {string} [currentFilePath] - Current file path for import resolution
+ * @param {Object} [options] - Extraction options (see extractPatternWithDependencies)
  * @returns {ExtractionResult} The extraction result
  */
-function extractByNames(code, names, currentFilePath) {
+function extractByNames(code, names, currentFilePath, options = {}) {
+  const callContext = createCallContext(options);
+  const { logger } = callContext;
   logger.info(`💝 Extracting by exact names: ${names.join(", ")}`);
 
-  const namePattern = names.map((name) => `\\b${name}\\b`).join("|");
-  const regex = new RegExp(namePattern);
+  const regex = createNamesRegex(names);
+
+  return extractPatternWithDependencies(code, regex, currentFilePath, options);
+}
 
-  return extractPatternWithDependencies(code, regex, currentFilePath);
+/**
+ * Builds a regex matching any of the given declaration names as whole words 💝
+ * @param {string[]} names - Exact names to match
+ * @returns {RegExp} Regex matching any of the names
+ */
+function createNamesRegex(names) {
+  return new RegExp(names.map((name) => `\\b${name}\\b`).join("|"));
 }
 
 /**
  * Pretty print extraction results! 🎨
- * @param {ExtractionResult} result - The extraction result to print
+ * Works for both `extractPatternWithDependencies` results and `simpleRegexExtract` results.
+ * @param {ExtractionResult|Object} result - The extraction result to print
+ * @param {Object} [options] - Printing options
+ * @param {boolean} [options.explain=false] - Also print why each declaration is included, as a tree
  */
-function printResults(result) {
+function printResults(result, options = {}) {
   console.log("\n" + "=".repeat(60));
   console.log("🎨 PATTERN EXTRACTION RESULTS 🎨");
   console.log("=".repeat(60));
 
-  if (result.success) {
+  if (result.success && !result.metadata) {
+    printSimpleResults(result);
+    if (options.explain && result.explanations) {
+      printInclusionTree(result.explanations);
+    }
+  } else if (result.success) {
     console.log(`✅ ${result.message}`);
     console.log(`\n📊 Statistics:`);
     console.log(
@@ -1109,6 +4642,19 @@ function printResults(result) {
       });
     }
 
+    if (result.metadata.patterns) {
+      console.log(`\n🌈 Patterns:`);
+      result.metadata.patterns.forEach((breakdown) => {
+        console.log(
+          breakdown.matched
+            ? `   ✅ ${breakdown.pattern} → ${breakdown.matchedPatterns.join(
+                ", "
+              )} (+${breakdown.dependencies.length} dependencies)`
+            : `   🙈 ${breakdown.pattern} matched nothing`
+        );
+      });
+    }
+
     if (
       result.metadata.resolvedImports &&
       result.metadata.resolvedImports.length > 0
@@ -1128,6 +4674,10 @@ function printResults(result) {
         )}`
       );
     }
+
+    if (options.explain && result.metadata.explanations) {
+      printInclusionTree(result.metadata.explanations);
+    }
   } else {
     console.log(`❌ ${result.message}`);
   }
@@ -1135,16 +4685,190 @@ function printResults(result) {
   console.log("=".repeat(60) + "\n");
 }
 
+/**
+ * Prints inclusion chains as a tree rooted at the matched declarations 🌳
+ * @param {{chain: InclusionStep[]}[]} explanations - Inclusion chains of the emitted declarations
+ */
+function printInclusionTree(explanations) {
+  const root = { children: new Map() };
+  explanations.forEach(({ chain }) => {
+    let node = root;
+    chain.forEach((step) => {
+      if (!node.children.has(step.id)) {
+        node.children.set(step.id, { step, children: new Map() });
+      }
+      node = node.children.get(step.id);
+    });
+  });
+
+  const printNode = ({ step, children }, prefix, connector) => {
+    const location = `${path.basename(step.file)}${
+      step.line ? `:${step.line}` : ""
+    }`;
+    const reason = step.kind === "match" ? "matched" : step.kind;
+    console.log(`${prefix}${connector}${step.name} (${reason} at ${location})`);
+
+    const childPrefix =
+      prefix + (connector === "└── " ? "    " : connector ? "│   " : "");
+    const childNodes = Array.from(children.values());
+    childNodes.forEach((child, index) =>
+      printNode(
+        child,
+        childPrefix,
+        index === childNodes.length - 1 ? "└── " : "├── "
+      )
+    );
+  };
+
+  console.log(`\n🌳 Why each declaration is included:`);
+  root.children.forEach((node) => printNode(node, "   ", ""));
+}
+
+/**
+ * Prints the body of a `simpleRegexExtract` result 🖨️
+ * @param {Object} result - The simple extraction result to print
+ */
+function printSimpleResults(result) {
+  console.log(`✅ ${result.message}`);
+  console.log(`\n📊 Statistics:`);
+  console.log(`   • Containers: ${result.containers.length}`);
+  if (result.dependencies) {
+    console.log(`   • Dependencies found: ${result.dependencies.length}`);
+  }
+  console.log(
+    `   • Code reduction: ${result.originalCodeLength} → ${result.extractedCodeLength} chars`
+  );
+
+  if (result.matchDetails.length > 0) {
+    console.log(`\n🎯 Match Details:`);
+    result.matchDetails.forEach((match, index) => {
+      console.log(
+        `   ${index + 1}. "${match.match}" at ${match.line}:${
+          match.column
+        } in ${match.containerName} (${match.containerType})`
+      );
+      if (match.groups.length > 0) {
+        console.log(
+          `      └── Groups: ${match.groups
+            .map((group) => JSON.stringify(group ?? null))
+            .join(", ")}`
+        );
+      }
+      if (match.parentFunction) {
+        console.log(
+          `      └── Inside: ${match.parentFunction} (depth: ${match.depth})`
+        );
+      }
+      if (match.className) {
+        console.log(`      └── Class: ${match.className}`);
+      }
+    });
+  }
+
+  if (result.unresolvedImports && result.unresolvedImports.length > 0) {
+    console.log(
+      `\n⚠️  Unresolved Imports: ${result.unresolvedImports.join(", ")}`
+    );
+  }
+}
+
+/**
+ * @typedef {Object} DeclarationRange
+ * @property {DeclarationInfo} declaration - The declaration
+ * @property {Object} ownerNode - Node owning the declaration (function, declarator, method...)
+ * @property {number} start - Start offset of the declaration's code
+ * @property {number} end - End offset of the declaration's code
+ */
+
+/**
+ * Collects the source range of every declaration of a parsed file 📏
+ * Ranges cover the `export` keyword, and the `const` of single declarators,
+ * so a match on those still lands in the declaration.
+ * @param {Object} ast - AST the declarations were found in
+ * @param {Map<string, DeclarationInfo>} declarations - Declarations of the file
+ * @param {DeclarationIndex} declarationIndex - Lookups of those declarations
+ * @returns {DeclarationRange[]} Ranges, outer declarations before the ones nested in them
+ */
+function collectDeclarationRanges(ast, declarations, declarationIndex) {
+  const ranges = [];
+  traverse(ast, {
+    enter(path) {
+      const declaration = declarationIndex.byOwner.get(path.node);
+      if (!declaration || declarations.get(declaration.id) !== declaration) {
+        return;
+      }
+
+      const codeNode =
+        path.isVariableDeclarator() && path.parent.declarations.length === 1
+          ? getCodeNode(path.parentPath)
+          : getCodeNode(path);
+      ranges.push({
+        declaration,
+        ownerNode: path.node,
+        start: codeNode.start,
+        end: codeNode.end,
+      });
+    },
+  });
+  return ranges;
+}
+
+/**
+ * Picks the innermost declaration enclosing a piece of code 🪆
+ * @param {DeclarationRange[]} ranges - Declaration ranges, outer ones first
+ * @param {number} start - Start offset of the code
+ * @param {number} end - End offset of the code
+ * @returns {DeclarationRange|null} The tightest enclosing range, or null at top level
+ */
+function findInnermostContainer(ranges, start, end) {
+  return ranges.reduce((best, range) => {
+    if (range.start > start || range.end < end) return best;
+    // Ranges nest, so the latest start is the innermost; equal ranges keep the deeper one
+    return !best ||
+      range.start > best.start ||
+      (range.start === best.start && range.end <= best.end)
+      ? range
+      : best;
+  }, null);
+}
+
+/**
+ * Identifies a node by its type and offsets, stable across parses of the same code 🔑
+ * @param {Object} node - AST node
+ * @returns {string} Node key
+ */
+function getNodeKey(node) {
+  return `${node.type}:${node.start}:${node.end}`;
+}
+
+/**
+ * Lists the qualified names of matched containers 🏷️
+ * @param {Map<string, DeclarationRange>} matchedContainers - Containers keyed by declaration id
+ * @returns {string[]} Container names
+ */
+function getContainerNames(matchedContainers) {
+  return Array.from(
+    matchedContainers.values(),
+    ({ declaration }) => declaration.qualifiedName
+  );
+}
+
 /**
  * Simple regex-based code extraction that finds containers and extracts with dependencies 🎯
  * Finds ANY code pattern with regex, locates its container (function/class/method),
  * then extracts that container with all dependencies!
+ * Each match goes to the innermost declaration whose source range encloses it,
+ * and `matchDetails` reports its line, column and capture groups.
  * @param {string} code - Source code to search in
  * @param {string|RegExp} pattern - Regex pattern to match ANY piece of code
  * @param {boolean} [extractFull=true] - Whether to extract full declarations with dependencies
+ * @param {ExtractionOptions & {filePath?: string}} [options] - Extraction options, plus `filePath`: path of the code, picking TypeScript/JSX parsing and resolving its imports (`main.js` in the working directory by default)
  * @returns {Object} Extraction results with container and dependencies
  */
-function simpleRegexExtract(code, pattern, extractFull = true) {
+function simpleRegexExtract(code, pattern, extractFull = true, options = {}) {
+  const callContext = createCallContext(options);
+  const { logger } = callContext;
+  const filePath = options.filePath || getDefaultFilePath();
   logger.info(
     "🎯 Starting simple regex extraction - find containers and extract with deps!"
   );
@@ -1152,41 +4876,28 @@ function simpleRegexExtract(code, pattern, extractFull = true) {
   const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern, "gi");
 
   try {
-    const ast = parser.parse(code, {
-      sourceType: "module",
-      allowImportExportEverywhere: true,
-      allowReturnOutsideFunction: true,
-      plugins: [
-        "asyncGenerators",
-        "bigInt",
-        "classProperties",
-        "decorators-legacy",
-        "doExpressions",
-        "dynamicImport",
-        "exportDefaultFrom",
-        "exportNamespaceFrom",
-        "functionBind",
-        "functionSent",
-        "importMeta",
-        "nullishCoalescingOperator",
-        "numericSeparator",
-        "objectRestSpread",
-        "optionalCatchBinding",
-        "optionalChaining",
-        "throwExpressions",
-        "topLevelAwait",
-        "trailingFunctionCommas",
-      ],
-    });
+    const ast = parser.parse(code, getParserOptions(filePath));
 
     const declarations = new Map();
-    const matchedContainers = new Set();
+    const matchedContainers = new Map();
     const matchDetails = [];
 
-    findAllDeclarations(ast, declarations, "current", code);
+    const declarationIndex = findAllDeclarations(
+      ast,
+      declarations,
+      filePath,
+      code,
+      callContext
+    );
 
     logger.debug(`Found ${declarations.size} total declarations`);
 
+    const ranges = collectDeclarationRanges(
+      ast,
+      declarations,
+      declarationIndex
+    );
+
     const matches = [];
     let match;
     regex.lastIndex = 0;
@@ -1195,8 +4906,12 @@ function simpleRegexExtract(code, pattern, extractFull = true) {
         match: match[0],
         index: match.index,
         endIndex: match.index + match[0].length,
+        groups: match.slice(1),
+        namedGroups: match.groups ? { ...match.groups } : null,
       });
       if (!regex.global) break;
+      // Empty matches would otherwise match at the same offset forever
+      if (match[0] === "") regex.lastIndex++;
     }
 
     if (matches.length === 0) {
@@ -1220,55 +4935,47 @@ function simpleRegexExtract(code, pattern, extractFull = true) {
         }" at position ${regexMatch.index}`
       );
 
-      let bestContainer = null;
-      let bestContainerName = null;
-
-      declarations.forEach((declaration, name) => {
-        const originalCode = declaration.originalCode || "";
-
-        const declarationIndex = code.indexOf(originalCode);
-        if (declarationIndex !== -1) {
-          const declarationEnd = declarationIndex + originalCode.length;
+      const start = getLineAndColumn(code, regexMatch.index);
+      const end = getLineAndColumn(code, regexMatch.endIndex);
+      const position = {
+        match: regexMatch.match,
+        matchIndex: regexMatch.index,
+        line: start.line,
+        column: start.column,
+        endLine: end.line,
+        endColumn: end.column,
+        groups: regexMatch.groups,
+        namedGroups: regexMatch.namedGroups,
+      };
 
-          if (
-            regexMatch.index >= declarationIndex &&
-            regexMatch.endIndex <= declarationEnd
-          ) {
-            logger.success(
-              `🎯 Match "${regexMatch.match}" found inside: ${name} (${declaration.type})`
-            );
-
-            if (
-              !bestContainer ||
-              (declaration.depth || 0) > (bestContainer.depth || 0)
-            ) {
-              bestContainer = declaration;
-              bestContainerName = name;
-            }
-          }
-        }
-      });
+      const container = findInnermostContainer(
+        ranges,
+        regexMatch.index,
+        regexMatch.endIndex
+      );
 
-      if (bestContainer) {
-        matchedContainers.add(bestContainerName);
+      if (container) {
+        const { declaration } = container;
+        logger.success(
+          `🎯 Match "${regexMatch.match}" found inside: ${declaration.qualifiedName} (${declaration.type})`
+        );
+        matchedContainers.set(declaration.id, container);
 
         matchDetails.push({
-          match: regexMatch.match,
-          matchIndex: regexMatch.index,
-          containerName: bestContainerName,
-          containerType: bestContainer.type,
-          parentFunction: bestContainer.parentFunction || null,
-          className: bestContainer.className || null,
-          depth: bestContainer.depth || 0,
+          ...position,
+          containerName: declaration.qualifiedName,
+          containerType: declaration.type,
+          parentFunction: declaration.parentFunction || null,
+          className: declaration.className || null,
+          depth: declaration.depth || 0,
           codeSnippet:
-            bestContainer.originalCode.substring(0, 200) +
-            (bestContainer.originalCode.length > 200 ? "..." : ""),
+            declaration.originalCode.substring(0, 200) +
+            (declaration.originalCode.length > 200 ? "..." : ""),
         });
       } else {
         logger.info(`🌍 Match "${regexMatch.match}" found at top level`);
         matchDetails.push({
-          match: regexMatch.match,
-          matchIndex: regexMatch.index,
+          ...position,
           containerName: "top-level",
           containerType: "top-level",
           parentFunction: null,
@@ -1300,11 +5007,8 @@ function simpleRegexExtract(code, pattern, extractFull = true) {
 
     if (!extractFull) {
       const containerCodes = [];
-      matchedContainers.forEach((containerName) => {
-        const declaration = declarations.get(containerName);
-        if (declaration) {
-          containerCodes.push(declaration.originalCode);
-        }
+      matchedContainers.forEach(({ declaration }) => {
+        containerCodes.push(declaration.originalCode);
       });
 
       const finalCode = containerCodes.join("\n\n");
@@ -1313,27 +5017,32 @@ function simpleRegexExtract(code, pattern, extractFull = true) {
         success: true,
         message: `Found ${matchedContainers.size} containers without dependencies`,
         extractedCode: finalCode,
-        containers: Array.from(matchedContainers),
+        containers: getContainerNames(matchedContainers),
         matchDetails: matchDetails,
         originalCodeLength: code.length,
         extractedCodeLength: finalCode.length,
       };
     }
 
-    const containerNames = Array.from(matchedContainers);
+    const containerNames = getContainerNames(matchedContainers);
     logger.info(
       `🔄 Extracting containers with dependencies: ${containerNames.join(", ")}`
     );
 
-    const containerPattern = containerNames
-      .map((name) => `\\b${name}\\b`)
-      .join("|");
-    const containerRegex = new RegExp(containerPattern);
+    // The extraction parses the code again, so containers are matched by
+    // their owner node's type and offsets rather than by name. Imported files
+    // can have nodes at the same offsets, hence the entry-only match scope.
+    const ownerKeys = new Set(
+      Array.from(matchedContainers.values(), ({ ownerNode }) =>
+        getNodeKey(ownerNode)
+      )
+    );
 
     const fullExtractionResult = extractPatternWithDependencies(
       code,
-      containerRegex,
-      "current"
+      (path) => ownerKeys.has(getNodeKey(path.node)),
+      filePath,
+      { ...options, matchScope: "entry" }
     );
 
     logger.success(
@@ -1348,8 +5057,11 @@ function simpleRegexExtract(code, pattern, extractFull = true) {
       containers: containerNames,
       matchDetails: matchDetails,
       dependencies: fullExtractionResult.metadata?.dependencies || [],
+      graph: fullExtractionResult.graph,
+      explanations: fullExtractionResult.metadata?.explanations || [],
       resolvedImports: fullExtractionResult.metadata?.resolvedImports || [],
       unresolvedImports: fullExtractionResult.metadata?.unresolvedImports || [],
+      externalImports: fullExtractionResult.metadata?.externalImports || [],
       totalNodesIncluded:
         fullExtractionResult.metadata?.totalNodesIncluded || 0,
       originalCodeLength: code.length,
@@ -1374,10 +5086,11 @@ function simpleRegexExtract(code, pattern, extractFull = true) {
  * @param {string} code - Source code to search
  * @param {string|RegExp} pattern - Regex pattern to match
  * @param {boolean} [extractFull=false] - Extract full declarations or just matches
+ * @param {Object} [options] - Extraction options (see simpleRegexExtract)
  * @returns {Object} Simple results
  */
-function justMatch(code, pattern, extractFull = false) {
-  return simpleRegexExtract(code, pattern, extractFull);
+function justMatch(code, pattern, extractFull = false, options = {}) {
+  return simpleRegexExtract(code, pattern, extractFull, options);
 }
 
 /**
@@ -1385,20 +5098,39 @@ function justMatch(code, pattern, extractFull = false) {
  * @param {string} code - The source code
  * @param {string} pattern - Regex pattern
  * @param {string} [method='simple'] - 'simple' for regex.match() or 'complex' for AST parsing
- * @param {string} [currentFilePath] - File path for complex method
+ * @param {string} [currentFilePath] - Path of the code, for parsing and import resolution
+ * @param {Object} [options] - Extraction options (see extractPatternWithDependencies)
  * @returns {Object} Results based on chosen method
  */
-function flexibleExtract(code, pattern, method = "simple", currentFilePath) {
+function flexibleExtract(
+  code,
+  pattern,
+  method = "simple",
+  currentFilePath,
+  options
+) {
   if (method === "simple") {
-    return simpleRegexExtract(code, pattern, true);
+    return simpleRegexExtract(code, pattern, true, {
+      ...options,
+      filePath: currentFilePath,
+    });
   } else {
     const regex = new RegExp(pattern);
-    return extractPatternWithDependencies(code, regex, currentFilePath);
+    return extractPatternWithDependencies(
+      code,
+      regex,
+      currentFilePath,
+      options
+    );
   }
 }
 
 module.exports = {
   extractPatternWithDependencies,
+  createExtractor,
+  searchProject,
+  findDependents,
+  findDeadCode,
   findAndExtract,
   extractMultiplePatterns,
   extractByNames,
@@ -1406,5 +5138,8 @@ module.exports = {
   simpleRegexExtract,
   justMatch,
   flexibleExtract,
+  getOriginalPosition,
+  formatGraph,
   printResults,
+  setLogLevel,
 };
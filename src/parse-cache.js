@@ -0,0 +1,66 @@
+/**
+ * @typedef {Object} ParseCache
+ * @property {function(string, string): (Object|null)} get - Returns the parsed file for a path, if its content didn't change
+ * @property {function(string, string, Object): void} set - Stores a parsed file for a path and content
+ * @property {function(string): boolean} delete - Forgets one path
+ * @property {function(): void} clear - Forgets every path
+ * @property {function(): {size: number, hits: number, misses: number}} stats - Cache usage so far
+ */
+
+/**
+ * Creates a cache of parsed files keyed by path and content hash 🗃️
+ * A path keeps only its latest version: editing a file replaces its entry.
+ * @returns {ParseCache} The cache
+ */
+function createParseCache() {
+  const entries = new Map();
+  let hits = 0;
+  let misses = 0;
+
+  return {
+    get(filePath, content) {
+      const entry = entries.get(filePath);
+      if (entry && entry.hash === hashContent(content)) {
+        hits++;
+        return entry.parsed;
+      }
+      misses++;
+      return null;
+    },
+
+    set(filePath, content, parsed) {
+      entries.set(filePath, { hash: hashContent(content), parsed });
+    },
+
+    delete(filePath) {
+      return entries.delete(filePath);
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    stats() {
+      return { size: entries.size, hits, misses };
+    },
+  };
+}
+
+/**
+ * Hashes file content with 32-bit FNV-1a, prefixed by its length #️⃣
+ * Cheap compared to parsing, and available everywhere (no `crypto` needed).
+ * @param {string} content - File content
+ * @returns {string} Content hash
+ */
+function hashContent(content) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < content.length; i++) {
+    hash ^= content.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${content.length}:${(hash >>> 0).toString(16)}`;
+}
+
+module.exports = {
+  createParseCache,
+};
@@ -0,0 +1,97 @@
+const path = require("path");
+const picomatch = require("picomatch");
+const ignore = require("ignore");
+
+const DEFAULT_INCLUDE = ["**/*.{js,jsx,ts,tsx,mjs,cjs,mts,cts}"];
+
+const DEFAULT_EXCLUDE = ["**/node_modules/**", "**/*.d.ts"];
+
+/**
+ * Lists the source files of a project, honoring include/exclude globs and `.gitignore` 🗂️
+ * Globs are matched against paths relative to the root. `.gitignore` files are
+ * read from the root and every directory below it, each one applying to its own
+ * subtree like in git. `.git` directories are always skipped, and so are
+ * directories the exclude globs cover entirely (`dir/**` matches), without
+ * being read.
+ * @param {string} rootDir - Project root
+ * @param {import("./file-system.js").FileSystem} fileSystem - File access (disk or virtual files)
+ * @param {Object} [options] - Listing options
+ * @param {string[]} [options.include] - Globs of files to search (JS/TS sources by default)
+ * @param {string[]} [options.exclude] - Globs of files to skip (node_modules and .d.ts by default)
+ * @param {boolean} [options.gitignore=true] - Whether to skip files ignored by `.gitignore`
+ * @returns {string[]} Absolute paths of the matching files, sorted
+ */
+function listProjectFiles(rootDir, fileSystem, options = {}) {
+  const isIncluded = picomatch(options.include || DEFAULT_INCLUDE, {
+    dot: true,
+  });
+  const isExcluded = picomatch(options.exclude || DEFAULT_EXCLUDE, {
+    dot: true,
+  });
+  const useGitignore = options.gitignore !== false;
+  const files = [];
+
+  const walk = (dirPath, gitignores) => {
+    const gitignoreContent =
+      useGitignore && fileSystem.readFile(path.join(dirPath, ".gitignore"));
+    const activeGitignores = gitignoreContent
+      ? [...gitignores, { dirPath, rules: ignore().add(gitignoreContent) }]
+      : gitignores;
+
+    const entries = fileSystem
+      .readDirectory(dirPath)
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    entries.forEach(({ name, isDirectory }) => {
+      const entryPath = path.join(dirPath, name);
+      if (
+        (isDirectory && name === ".git") ||
+        isGitignored(activeGitignores, entryPath, isDirectory)
+      ) {
+        return;
+      }
+
+      const relativePath = toPosixPath(path.relative(rootDir, entryPath));
+      if (isDirectory) {
+        if (!isExcluded(`${relativePath}/**`)) {
+          walk(entryPath, activeGitignores);
+        }
+        return;
+      }
+
+      if (isIncluded(relativePath) && !isExcluded(relativePath)) {
+        files.push(entryPath);
+      }
+    });
+  };
+
+  walk(path.normalize(rootDir), []);
+  return files.sort();
+}
+
+/**
+ * Checks a path against every `.gitignore` above it 🙈
+ * @param {{dirPath: string, rules: Object}[]} gitignores - Active `.gitignore` rules, outermost first
+ * @param {string} entryPath - File or directory path
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean} True if git would ignore the path
+ */
+function isGitignored(gitignores, entryPath, isDirectory) {
+  return gitignores.some(({ dirPath, rules }) => {
+    const relativePath = toPosixPath(path.relative(dirPath, entryPath));
+    return rules.ignores(isDirectory ? `${relativePath}/` : relativePath);
+  });
+}
+
+/**
+ * Converts a relative path to forward slashes, as globs and `.gitignore` expect ↗️
+ * @param {string} relativePath - Relative path with platform separators
+ * @returns {string} The same path with `/` separators
+ */
+function toPosixPath(relativePath) {
+  return relativePath.split(path.sep).join("/");
+}
+
+module.exports = {
+  listProjectFiles,
+};
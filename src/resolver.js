@@ -0,0 +1,544 @@
+const path = require("path");
+const JSON5 = require("json5");
+const { createFileSystem } = require("./file-system.js");
+
+const RESOLVE_EXTENSIONS = [
+  ".js",
+  ".ts",
+  ".jsx",
+  ".tsx",
+  ".mjs",
+  ".cjs",
+  ".d.ts",
+];
+
+const DEFAULT_CONDITIONS = ["import", "require", "node", "default"];
+
+const DEFAULT_MAIN_FIELDS = ["module", "main"];
+
+const CONFIG_FILE_NAMES = ["tsconfig.json", "jsconfig.json"];
+
+/**
+ * @typedef {Object} ResolvedImport
+ * @property {string} path - Absolute path of the resolved file
+ * @property {'custom'|'relative'|'absolute'|'alias'|'tsconfig-paths'|'tsconfig-baseUrl'|'package-imports'|'package-exports'|'node-modules'} rule - Rule that resolved the import
+ * @property {string} [packageName] - Package the file belongs to, when the import reached into another package
+ */
+
+/**
+ * Creates an import resolver with its own config and package.json caches 🧭
+ * Tries, in order: relative/absolute paths, the user alias map, tsconfig/jsconfig
+ * `paths` and `baseUrl`, package.json `imports` (`#internal`), package.json
+ * `exports` and finally the package's `module`/`main` field in node_modules.
+ * @param {Object} [options] - Resolver options
+ * @param {Object<string, string|string[]>} [options.alias] - Alias map, e.g. `{"@/*": "./src/*", "~": "./lib"}`; relative targets start from the project root (nearest package.json)
+ * @param {string[]} [options.conditions] - package.json `exports`/`imports` conditions, in priority order
+ * @param {string[]} [options.mainFields=["module", "main"]] - package.json fields to read the entry from when a package has no `exports`
+ * @param {string|false} [options.tsconfig] - Explicit tsconfig/jsconfig path, or false to ignore them (nearest one by default)
+ * @param {function(string, string): (string|ResolvedImport|null|undefined)} [options.resolve] - Custom resolver tried first; returning null or undefined falls back to the built-in rules
+ * @param {import("./file-system.js").FileSystem} [options.fileSystem] - File access to use (see createFileSystem)
+ * @param {Object} [options.logger] - Logger for resolution problems
+ * @returns {function(string, string): ResolvedImport|null} Resolves an import from the importing file
+ */
+function createResolver(options = {}) {
+  const conditions = new Set([
+    ...(options.conditions || DEFAULT_CONDITIONS),
+    "default",
+  ]);
+  const fileSystem = options.fileSystem || createFileSystem(options);
+  const mainFields = options.mainFields || DEFAULT_MAIN_FIELDS;
+  const logger = options.logger;
+  const jsonCache = new Map();
+  const configCache = new Map();
+
+  const readJson = (filePath) => {
+    if (!jsonCache.has(filePath)) {
+      let json = null;
+      if (fileSystem.isFile(filePath)) {
+        try {
+          json = JSON5.parse(fileSystem.readFile(filePath));
+        } catch (error) {
+          logger?.warn(
+            `Ignoring invalid JSON in ${filePath}: ${error.message}`
+          );
+        }
+      }
+      jsonCache.set(filePath, json);
+    }
+    return jsonCache.get(filePath);
+  };
+
+  const findUp = (startDir, fileNames) => {
+    let dir = startDir;
+    while (true) {
+      for (const fileName of fileNames) {
+        const candidate = path.join(dir, fileName);
+        if (fileSystem.isFile(candidate)) {
+          return candidate;
+        }
+      }
+      const parentDir = path.dirname(dir);
+      if (parentDir === dir) {
+        return null;
+      }
+      dir = parentDir;
+    }
+  };
+
+  const loadConfig = (configPath, seen = new Set()) => {
+    if (configCache.has(configPath)) {
+      return configCache.get(configPath);
+    }
+    if (seen.has(configPath)) {
+      return {};
+    }
+    seen.add(configPath);
+
+    const json = readJson(configPath) || {};
+    const configDir = path.dirname(configPath);
+    const config = {};
+
+    const parents = [].concat(json.extends || []);
+    parents.forEach((parent) => {
+      const parentPath = resolveConfigExtends(parent, configDir, fileSystem);
+      if (parentPath) {
+        Object.assign(config, loadConfig(parentPath, seen));
+      }
+    });
+
+    const compilerOptions = json.compilerOptions || {};
+    if (compilerOptions.baseUrl !== undefined) {
+      config.baseUrl = path.resolve(configDir, compilerOptions.baseUrl);
+    }
+    if (compilerOptions.paths) {
+      config.paths = compilerOptions.paths;
+      config.pathsDir = configDir;
+    }
+
+    configCache.set(configPath, config);
+    return config;
+  };
+
+  const getConfig = (importer) => {
+    if (options.tsconfig === false) {
+      return {};
+    }
+    const configPath = options.tsconfig
+      ? path.resolve(options.tsconfig)
+      : findUp(path.dirname(importer), CONFIG_FILE_NAMES);
+    return configPath ? loadConfig(configPath) : {};
+  };
+
+  const resolveTargets = (targets, baseDir, match) => {
+    for (const target of [].concat(targets)) {
+      const resolvedPath = resolveFile(
+        path.resolve(baseDir, target.replace("*", match)),
+        fileSystem
+      );
+      if (resolvedPath) {
+        return resolvedPath;
+      }
+    }
+    return null;
+  };
+
+  const resolveAlias = (importPath, importer) => {
+    if (!options.alias) return null;
+
+    const match = matchAlias(options.alias, importPath);
+    if (!match) return null;
+
+    const packageJson = findUp(path.dirname(importer), ["package.json"]);
+    const rootDir = packageJson
+      ? path.dirname(packageJson)
+      : path.dirname(importer);
+    return resolveTargets(match.targets, rootDir, match.rest);
+  };
+
+  const resolveTsconfig = (importPath, importer) => {
+    const config = getConfig(importer);
+
+    if (config.paths) {
+      const match = matchPathPattern(Object.keys(config.paths), importPath);
+      if (match) {
+        const resolvedPath = resolveTargets(
+          config.paths[match.pattern],
+          config.baseUrl ?? config.pathsDir,
+          match.rest
+        );
+        if (resolvedPath) {
+          return { path: resolvedPath, rule: "tsconfig-paths" };
+        }
+      }
+    }
+
+    if (config.baseUrl) {
+      const resolvedPath = resolveFile(
+        path.resolve(config.baseUrl, importPath),
+        fileSystem
+      );
+      if (resolvedPath) {
+        return { path: resolvedPath, rule: "tsconfig-baseUrl" };
+      }
+    }
+
+    return null;
+  };
+
+  const resolvePackageImports = (importPath, importer) => {
+    const packageJsonPath = findUp(path.dirname(importer), ["package.json"]);
+    const imports = packageJsonPath && readJson(packageJsonPath)?.imports;
+    if (!imports) return null;
+
+    const target = resolveSubpath(imports, importPath, conditions);
+    if (!target) return null;
+
+    if (target.startsWith("./")) {
+      const resolvedPath = resolveFile(
+        path.resolve(path.dirname(packageJsonPath), target),
+        fileSystem
+      );
+      return resolvedPath ? { path: resolvedPath } : null;
+    }
+    // `imports` may also point at another package
+    return resolveBare(target, importer);
+  };
+
+  const resolvePackageExports = (packageDir, subpath) => {
+    const exports = readJson(path.join(packageDir, "package.json"))?.exports;
+    if (exports === undefined) return undefined;
+
+    const target = resolveSubpath(
+      normalizeExports(exports),
+      subpath,
+      conditions
+    );
+    if (!target || !target.startsWith("./")) return null;
+
+    const resolvedPath = path.resolve(packageDir, target);
+    return fileSystem.isFile(resolvedPath) ? resolvedPath : null;
+  };
+
+  const resolveBare = (importPath, importer) => {
+    const { packageName, subpath } = splitPackageSpecifier(importPath);
+
+    // A package may import itself by name through its own `exports`
+    const ownPackageJson = findUp(path.dirname(importer), ["package.json"]);
+    if (ownPackageJson && readJson(ownPackageJson)?.name === packageName) {
+      const resolvedPath = resolvePackageExports(
+        path.dirname(ownPackageJson),
+        subpath
+      );
+      if (resolvedPath) {
+        return { path: resolvedPath, rule: "package-exports" };
+      }
+    }
+
+    const packageDir = findPackageDir(
+      packageName,
+      path.dirname(importer),
+      fileSystem
+    );
+    if (!packageDir) {
+      logger?.debug(`Could not find package for import: ${importPath}`);
+      return null;
+    }
+
+    // Packages with `exports` only expose what they list, like in Node
+    const exportedPath = resolvePackageExports(packageDir, subpath);
+    if (exportedPath !== undefined) {
+      return exportedPath
+        ? { path: exportedPath, rule: "package-exports", packageName }
+        : null;
+    }
+
+    const resolvedPath =
+      subpath === "."
+        ? resolvePackageMain(packageDir)
+        : resolveFile(path.join(packageDir, subpath), fileSystem);
+    return resolvedPath
+      ? { path: resolvedPath, rule: "node-modules", packageName }
+      : null;
+  };
+
+  const resolvePackageMain = (packageDir) => {
+    const packageJson = readJson(path.join(packageDir, "package.json")) || {};
+    for (const field of mainFields) {
+      const resolvedPath =
+        typeof packageJson[field] === "string" &&
+        resolveFile(path.resolve(packageDir, packageJson[field]), fileSystem);
+      if (resolvedPath) {
+        return resolvedPath;
+      }
+    }
+    return resolveFile(path.join(packageDir, "index"), fileSystem);
+  };
+
+  return function resolve(importPath, importer) {
+    const customResult = options.resolve?.(importPath, importer);
+    if (typeof customResult === "string") {
+      return { path: customResult, rule: "custom" };
+    }
+    if (customResult) {
+      return { rule: "custom", ...customResult };
+    }
+
+    if (importPath.startsWith("./") || importPath.startsWith("../")) {
+      const resolvedPath = resolveFile(
+        path.resolve(path.dirname(importer), importPath),
+        fileSystem
+      );
+      return resolvedPath ? { path: resolvedPath, rule: "relative" } : null;
+    }
+
+    if (path.isAbsolute(importPath)) {
+      const resolvedPath = resolveFile(importPath, fileSystem);
+      return resolvedPath ? { path: resolvedPath, rule: "absolute" } : null;
+    }
+
+    const aliasPath = resolveAlias(importPath, importer);
+    if (aliasPath) {
+      return { path: aliasPath, rule: "alias" };
+    }
+
+    const tsconfigResult = resolveTsconfig(importPath, importer);
+    if (tsconfigResult) {
+      return tsconfigResult;
+    }
+
+    if (importPath.startsWith("#")) {
+      const resolution = resolvePackageImports(importPath, importer);
+      return resolution ? { ...resolution, rule: "package-imports" } : null;
+    }
+
+    return resolveBare(importPath, importer);
+  };
+}
+
+/**
+ * Resolves a path to a file, trying known extensions and index files 🔍
+ * @param {string} basePath - Absolute path without or with extension
+ * @param {import("./file-system.js").FileSystem} fileSystem - File access
+ * @returns {string|null} Resolved file path or null if not found
+ */
+function resolveFile(basePath, fileSystem) {
+  if (fileSystem.isFile(basePath)) {
+    return basePath;
+  }
+
+  for (const ext of RESOLVE_EXTENSIONS) {
+    if (fileSystem.isFile(basePath + ext)) {
+      return basePath + ext;
+    }
+  }
+
+  const indexPath = path.join(basePath, "index");
+  for (const ext of RESOLVE_EXTENSIONS) {
+    if (fileSystem.isFile(indexPath + ext)) {
+      return indexPath + ext;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds the file a tsconfig `extends` entry points to 🧬
+ * @param {string} parent - The `extends` value
+ * @param {string} configDir - Directory of the extending config
+ * @param {import("./file-system.js").FileSystem} fileSystem - File access
+ * @returns {string|null} Path of the parent config, or null if not found
+ */
+function resolveConfigExtends(parent, configDir, fileSystem) {
+  if (parent.startsWith(".") || path.isAbsolute(parent)) {
+    const parentPath = path.resolve(configDir, parent);
+    return fileSystem.isFile(parentPath) ? parentPath : parentPath + ".json";
+  }
+
+  // e.g. "@tsconfig/node20/tsconfig.json" from an installed package
+  const { packageName, subpath } = splitPackageSpecifier(parent);
+  const packageDir = findPackageDir(packageName, configDir, fileSystem);
+  if (!packageDir) {
+    return null;
+  }
+  const parentPath = path.join(
+    packageDir,
+    subpath === "." ? "tsconfig.json" : subpath
+  );
+  return fileSystem.isFile(parentPath) ? parentPath : parentPath + ".json";
+}
+
+/**
+ * Matches an import against tsconfig-style path patterns (one `*` at most) 🃏
+ * Exact patterns win, then the pattern with the longest prefix, like TypeScript.
+ * @param {string[]} patterns - Patterns to try
+ * @param {string} importPath - The import specifier
+ * @returns {{pattern: string, rest: string}|null} Matched pattern and the text matched by `*`
+ */
+function matchPathPattern(patterns, importPath) {
+  if (patterns.includes(importPath)) {
+    return { pattern: importPath, rest: "" };
+  }
+
+  let best = null;
+  patterns.forEach((pattern) => {
+    const starIndex = pattern.indexOf("*");
+    if (starIndex === -1) return;
+
+    const prefix = pattern.slice(0, starIndex);
+    const suffix = pattern.slice(starIndex + 1);
+    if (
+      importPath.length >= prefix.length + suffix.length &&
+      importPath.startsWith(prefix) &&
+      importPath.endsWith(suffix) &&
+      (!best || prefix.length > best.prefixLength)
+    ) {
+      best = {
+        pattern,
+        rest: importPath.slice(
+          prefix.length,
+          importPath.length - suffix.length
+        ),
+        prefixLength: prefix.length,
+      };
+    }
+  });
+
+  return best && { pattern: best.pattern, rest: best.rest };
+}
+
+/**
+ * Matches an import against the user alias map 🏷️
+ * Keys with `*` work like tsconfig paths; plain keys match the specifier itself
+ * or anything below it (`~` matches `~/lib/a`).
+ * @param {Object<string, string|string[]>} alias - Alias map
+ * @param {string} importPath - The import specifier
+ * @returns {{targets: string[], rest: string}|null} Targets to try and the part to substitute
+ */
+function matchAlias(alias, importPath) {
+  const wildcard = matchPathPattern(Object.keys(alias), importPath);
+  if (wildcard) {
+    return { targets: [].concat(alias[wildcard.pattern]), rest: wildcard.rest };
+  }
+
+  const prefix = Object.keys(alias)
+    .filter((key) => !key.includes("*") && importPath.startsWith(key + "/"))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!prefix) return null;
+
+  const rest = importPath.slice(prefix.length + 1);
+  return {
+    targets: [].concat(alias[prefix]).map((target) => `${target}/*`),
+    rest,
+  };
+}
+
+/**
+ * Turns every `exports` shape into a subpath map 📦
+ * @param {string|string[]|Object} exports - package.json `exports`
+ * @returns {Object} Map of subpaths (`.`, `./feature`, `./utils/*`) to targets
+ */
+function normalizeExports(exports) {
+  if (
+    typeof exports === "string" ||
+    Array.isArray(exports) ||
+    !Object.keys(exports).some((key) => key.startsWith("."))
+  ) {
+    return { ".": exports };
+  }
+  return exports;
+}
+
+/**
+ * Looks up a subpath in an `exports`/`imports` map and applies conditions 🎚️
+ * @param {Object} subpaths - Map of subpaths or `#imports` to targets
+ * @param {string} subpath - Requested subpath (`.`, `./feature`, `#internal`)
+ * @param {Set<string>} conditions - Accepted conditions
+ * @returns {string|null} The target path, or null if not exported
+ */
+function resolveSubpath(subpaths, subpath, conditions) {
+  const match = matchPathPattern(Object.keys(subpaths), subpath);
+  if (!match) return null;
+  return resolveConditionalTarget(
+    subpaths[match.pattern],
+    match.rest,
+    conditions
+  );
+}
+
+/**
+ * Picks the target of an `exports`/`imports` entry for the active conditions 🎚️
+ * Objects are checked in their own key order, as Node does.
+ * @param {string|string[]|Object|null} target - Entry value
+ * @param {string} rest - Text matched by `*` in the subpath
+ * @param {Set<string>} conditions - Accepted conditions
+ * @returns {string|null} The target path, or null if nothing applies
+ */
+function resolveConditionalTarget(target, rest, conditions) {
+  if (typeof target === "string") {
+    return target.replace(/\*/g, rest);
+  }
+
+  if (Array.isArray(target)) {
+    for (const candidate of target) {
+      const resolved = resolveConditionalTarget(candidate, rest, conditions);
+      if (resolved) return resolved;
+    }
+    return null;
+  }
+
+  if (target && typeof target === "object") {
+    for (const [condition, value] of Object.entries(target)) {
+      if (conditions.has(condition)) {
+        const resolved = resolveConditionalTarget(value, rest, conditions);
+        if (resolved) return resolved;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Splits a bare specifier into package name and subpath 📛
+ * @param {string} importPath - e.g. `lodash/fp` or `@scope/pkg/utils`
+ * @returns {{packageName: string, subpath: string}} e.g. `{packageName: "lodash", subpath: "./fp"}`
+ */
+function splitPackageSpecifier(importPath) {
+  const parts = importPath.split("/");
+  const nameLength = importPath.startsWith("@") ? 2 : 1;
+  const rest = parts.slice(nameLength).join("/");
+
+  return {
+    packageName: parts.slice(0, nameLength).join("/"),
+    subpath: rest ? `./${rest}` : ".",
+  };
+}
+
+/**
+ * Finds an installed package by walking up node_modules directories 🔭
+ * @param {string} packageName - Package name
+ * @param {string} startDir - Directory to start from
+ * @param {import("./file-system.js").FileSystem} fileSystem - File access
+ * @returns {string|null} Package directory or null if not installed
+ */
+function findPackageDir(packageName, startDir, fileSystem) {
+  let dir = startDir;
+  while (true) {
+    const packageDir = path.join(dir, "node_modules", packageName);
+    if (fileSystem.isFile(path.join(packageDir, "package.json"))) {
+      return packageDir;
+    }
+    const parentDir = path.dirname(dir);
+    if (parentDir === dir) {
+      return null;
+    }
+    dir = parentDir;
+  }
+}
+
+module.exports = {
+  createResolver,
+  resolveFile,
+  RESOLVE_EXTENSIONS,
+};
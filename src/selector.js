@@ -0,0 +1,187 @@
+const t = require("@babel/types");
+
+/**
+ * Compiles an AST selector into a predicate over Babel paths 🔎
+ * Supports a subset of esquery syntax: node types (Babel aliases such as
+ * `Function` too) or `*`, attributes (`[async]`, `[callee.property.name="decrypt"]`,
+ * `[value!=0]`, `[callee.name=/Worker/i]`), descendant (` `) and child (`>`)
+ * combinators, and `,` between alternatives.
+ * @param {string} source - Selector, e.g. `CallExpression[callee.property.name="decrypt"]`
+ * @returns {function(Object): boolean} Predicate telling whether a path matches
+ */
+function compileSelector(source) {
+  const alternatives = parseSelector(source);
+  return (path) =>
+    alternatives.some((steps) => matchesSteps(path, steps, steps.length - 1));
+}
+
+/**
+ * Checks a path against the steps of a selector, right to left ⬅️
+ * @param {Object} path - Candidate path for `steps[index]`
+ * @param {{compound: Object, combinator: string|null}[]} steps - Parsed selector
+ * @param {number} index - Step the path has to match
+ * @returns {boolean} True if the path and its ancestors match every step up to `index`
+ */
+function matchesSteps(path, steps, index) {
+  const { compound, combinator } = steps[index];
+  if (!matchesCompound(path.node, compound)) return false;
+  if (index === 0) return true;
+
+  if (combinator === "child") {
+    return !!path.parentPath && matchesSteps(path.parentPath, steps, index - 1);
+  }
+  for (
+    let ancestor = path.parentPath;
+    ancestor;
+    ancestor = ancestor.parentPath
+  ) {
+    if (matchesSteps(ancestor, steps, index - 1)) return true;
+  }
+  return false;
+}
+
+/**
+ * Checks a node against a type and its attribute conditions 🧩
+ * @param {Object} node - AST node
+ * @param {{type: string, attributes: Object[]}} compound - Parsed compound selector
+ * @returns {boolean} True if the node matches
+ */
+function matchesCompound(node, compound) {
+  if (compound.type !== "*" && !t.is(compound.type, node)) return false;
+
+  return compound.attributes.every(({ path, operator, value }) => {
+    const actual = path.reduce((current, key) => current?.[key], node);
+    if (!operator) return actual !== undefined && actual !== null;
+
+    const equal =
+      value instanceof RegExp
+        ? ["string", "number", "boolean"].includes(typeof actual) &&
+          value.test(String(actual))
+        : actual === value;
+    return operator === "=" ? equal : !equal;
+  });
+}
+
+/**
+ * Parses a selector into alternatives made of steps 📝
+ * @param {string} source - Selector source
+ * @returns {{compound: {type: string, attributes: Object[]}, combinator: 'child'|'descendant'|null}[][]} Alternatives, each a list of steps
+ */
+function parseSelector(source) {
+  let position = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid selector "${source}" at ${position}: ${message}`);
+  };
+  const skipSpaces = () => {
+    const start = position;
+    while (/\s/.test(source[position] || "")) position++;
+    return position > start;
+  };
+  const readPattern = (regex, what) => {
+    const match = regex.exec(source.slice(position));
+    if (!match) fail(`expected ${what}`);
+    position += match[0].length;
+    return match;
+  };
+
+  const readValue = () => {
+    const quote = source[position];
+    if (quote === '"' || quote === "'") {
+      const [, text] = readPattern(
+        quote === '"' ? /^"((?:[^"\\]|\\.)*)"/ : /^'((?:[^'\\]|\\.)*)'/,
+        "a closing quote"
+      );
+      return text.replace(/\\(.)/g, "$1");
+    }
+    if (quote === "/") {
+      const [, body, flags] = readPattern(
+        /^\/((?:[^/\\]|\\.)+)\/([a-z]*)/,
+        "a regex"
+      );
+      return new RegExp(body, flags);
+    }
+
+    const [word] = readPattern(/^[^\s\]]+/, "a value");
+    if (word === "true" || word === "false") return word === "true";
+    if (word === "null") return null;
+    return /^-?\d+(\.\d+)?$/.test(word) ? Number(word) : word;
+  };
+
+  const readAttribute = () => {
+    position++;
+    skipSpaces();
+    const [attributePath] = readPattern(
+      /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*/,
+      "an attribute name"
+    );
+    skipSpaces();
+
+    const attribute = { path: attributePath.split("."), operator: null };
+    if (source[position] !== "]") {
+      [attribute.operator] = readPattern(/^!?=/, "= or !=");
+      skipSpaces();
+      attribute.value = readValue();
+      skipSpaces();
+    }
+    if (source[position] !== "]") fail("expected ]");
+    position++;
+    return attribute;
+  };
+
+  const readCompound = () => {
+    const compound = { type: "*", attributes: [] };
+    const hasType = /[A-Za-z*]/.test(source[position] || "");
+    if (hasType) {
+      [compound.type] = readPattern(/^(\*|[A-Za-z]\w*)/, "a node type");
+      if (compound.type !== "*" && !t.TYPES.includes(compound.type)) {
+        fail(`unknown node type ${compound.type}`);
+      }
+    }
+    while (source[position] === "[") {
+      compound.attributes.push(readAttribute());
+    }
+    if (!hasType && compound.attributes.length === 0) {
+      fail("expected a node type or [");
+    }
+    return compound;
+  };
+
+  const alternatives = [];
+  let steps = [];
+  let combinator = null;
+
+  skipSpaces();
+  while (position < source.length) {
+    steps.push({ compound: readCompound(), combinator });
+
+    const hadSpace = skipSpaces();
+    if (source[position] === ">" || source[position] === ",") {
+      const separator = source[position];
+      position++;
+      skipSpaces();
+      if (position >= source.length) {
+        fail(`expected a selector after ${separator}`);
+      }
+      if (separator === ">") {
+        combinator = "child";
+        continue;
+      }
+      alternatives.push(steps);
+      steps = [];
+      combinator = null;
+    } else if (hadSpace && position < source.length) {
+      combinator = "descendant";
+    } else if (position < source.length) {
+      fail(`unexpected "${source[position]}"`);
+    }
+  }
+
+  if (steps.length === 0) fail("expected a selector");
+  alternatives.push(steps);
+  return alternatives;
+}
+
+module.exports = {
+  compileSelector,
+};
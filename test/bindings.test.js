@@ -0,0 +1,91 @@
+const { afterAll, describe, expect, test } = require("bun:test");
+const { findAndExtract } = require("../src/index.js");
+const { createFixture } = require("./fixture.js");
+
+const fixture = createFixture({
+  "a.js": "export const name = 'a';\nexport function getA() { return name; }",
+  "b.js": "export const name = 'b';\nexport function getB() { return name; }",
+});
+afterAll(fixture.remove);
+
+const extract = (code, pattern, fileName = "main.js") =>
+  findAndExtract(code, pattern, fixture.file(fileName));
+
+describe("scope-aware dependency resolution", () => {
+  test("a shadowing local is not a dependency", () => {
+    const code = [
+      "const data = [1, 2];",
+      "function load() { const data = 3; return data; }",
+      "function sum() { return data.length; }",
+    ].join("\n");
+
+    expect(extract(code, /function load/).metadata.dependencies).toEqual([]);
+    expect(extract(code, /function sum/).metadata.dependencies).toEqual([
+      "data",
+    ]);
+  });
+
+  test("same-named declarations in different scopes live side by side", () => {
+    const code = [
+      "function run() { return 1; }",
+      "class Job { run() { return run(); } }",
+      "function outer() { function run() { return 2; } return run(); }",
+    ].join("\n");
+
+    expect(extract(code, /return run\(\)/).metadata.matchedPatterns).toEqual([
+      "Job",
+      "Job.run",
+      "outer",
+    ]);
+    expect(extract(code, /function outer/).metadata.dependencies).toEqual([]);
+
+    const method = extract(code, /class Job/);
+    expect(method.metadata.dependencies).toEqual(["run"]);
+    expect(method.finalCode).toContain("return 1;");
+    expect(method.finalCode).not.toContain("function outer");
+  });
+
+  test("parameters and catch bindings are never dependencies", () => {
+    const code = [
+      "const error = 'global';",
+      "const value = 0;",
+      "function check(value) {",
+      "  try { return value; } catch (error) { return error; }",
+      "}",
+    ].join("\n");
+
+    expect(extract(code, /function check/).metadata.dependencies).toEqual([]);
+  });
+
+  test("JSX element names are references", () => {
+    const code = [
+      "const Label = ({ text }) => <b>{text}</b>;",
+      "const b = 'unused';",
+      "export function App() { return <Label text='hi' />; }",
+    ].join("\n");
+
+    expect(
+      extract(code, /function App/, "app.jsx").metadata.dependencies
+    ).toEqual(["Label"]);
+  });
+
+  test("same-named declarations in different files keep their own ids", () => {
+    const code = [
+      'import { getA } from "./a.js";',
+      'import { getB } from "./b.js";',
+      "function both() { return getA() + getB(); }",
+    ].join("\n");
+
+    const result = extract(code, /function both/);
+    const names = result.metadata.dependencyDetails.filter(
+      (detail) => detail.name === "name"
+    );
+
+    expect(names.map((detail) => detail.source).sort()).toEqual([
+      fixture.file("a.js"),
+      fixture.file("b.js"),
+    ]);
+    expect(result.finalCode).toContain("'a'");
+    expect(result.finalCode).toContain("'b'");
+  });
+});
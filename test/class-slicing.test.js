@@ -0,0 +1,139 @@
+const { describe, expect, test } = require("bun:test");
+const { findAndExtract } = require("../src/index.js");
+
+const files = {
+  "/project/base.js": [
+    "export class Base {",
+    "  constructor() { this.id = 1; }",
+    "  log(msg) { return this.format(msg); }",
+    "  format(msg) { return `[${this.id}] ${msg}`; }",
+    "  unusedBase() { return 'unused base'; }",
+    "}",
+  ].join("\n"),
+};
+
+const code = [
+  'import { Base } from "./base.js";',
+  "class Player extends Base {",
+  "  #volume = 1;",
+  "  static defaults = { loop: false };",
+  "  constructor() { super(); this.ready = true; }",
+  "  get volume() { return this.#volume; }",
+  "  play() { super.log('play'); return this.volume + Player.defaults.loop; }",
+  "  stop() { return 'stop'; }",
+  "  static create() { return 'create'; }",
+  "}",
+  "class Other { run() { return 'run'; } }",
+  "function usesWhole() { return new Other(); }",
+].join("\n");
+
+const extract = (pattern, options = {}) =>
+  findAndExtract(code, pattern, "/project/main.js", {
+    files,
+    classMembers: "used",
+    outputMode: "original",
+    ...options,
+  });
+
+describe('classMembers: "used"', () => {
+  test("keeps the matched method, the constructor and what they reach", () => {
+    const { finalCode } = extract(/super\.log/);
+
+    expect(finalCode).toContain(
+      [
+        "class Player extends Base {",
+        "  #volume = 1;",
+        "  static defaults = { loop: false };",
+        "  constructor() { super(); this.ready = true; }",
+        "  get volume() { return this.#volume; }",
+        "  play() { super.log('play'); return this.volume + Player.defaults.loop; }",
+        "}",
+      ].join("\n")
+    );
+    expect(finalCode).not.toContain("stop()");
+    expect(finalCode).not.toContain("create()");
+  });
+
+  test("follows extends into another file and trims the base too", () => {
+    const { finalCode } = extract(/super\.log/);
+
+    expect(finalCode).toContain(
+      [
+        "export class Base {",
+        "  constructor() { this.id = 1; }",
+        "  log(msg) { return this.format(msg); }",
+        "  format(msg) { return `[${this.id}] ${msg}`; }",
+        "}",
+      ].join("\n")
+    );
+    expect(finalCode).not.toContain("unusedBase");
+  });
+
+  test("static access only needs that member", () => {
+    const { finalCode } = findAndExtract(
+      [
+        "class Codec { static decode() { return 'd'; } static encode() { return 'e'; } }",
+        "function run() { return Codec.decode(); }",
+      ].join("\n"),
+      /function run/,
+      "/project/codec.js",
+      { files, classMembers: "used" }
+    );
+
+    expect(finalCode).toContain("static decode()");
+    expect(finalCode).not.toContain("encode");
+  });
+
+  test("classes used any other way are kept whole", () => {
+    const { finalCode } = extract(/function usesWhole/);
+
+    expect(finalCode).toContain("class Other { run() { return 'run'; } }");
+  });
+
+  test("by default a matched method pulls in its whole class", () => {
+    const { finalCode } = extract(/super\.log/, { classMembers: "all" });
+
+    expect(finalCode).toContain("stop()");
+    expect(finalCode).toContain("unusedBase");
+  });
+});
+
+describe("class expressions", () => {
+  const shape = [
+    "export default class {",
+    "  area() { return this.size(); }",
+    "  size() { return 1; }",
+    "  perimeter() { return 4; }",
+    "}",
+  ].join("\n");
+  const player = [
+    'import Shape from "./shape.js";',
+    "export const Player = class extends Shape {",
+    "  #volume = 1;",
+    "  static {}",
+    "  get volume() { return this.#volume; }",
+    "  play() { return this.volume + super.area(); }",
+    "  stop() { return 'stop'; }",
+    "};",
+  ].join("\n");
+  const options = { files: { "/project/shape.js": shape } };
+
+  test.each(["original", "generated"])(
+    'are sliced with classMembers: "used" (%s output)',
+    (outputMode) => {
+      const { finalCode } = findAndExtract(
+        player,
+        /this\.volume/,
+        "/project/main.js",
+        { ...options, classMembers: "used", outputMode }
+      );
+
+      expect(finalCode).toContain("play()");
+      expect(finalCode).toContain("get volume()");
+      expect(finalCode).toContain("static {}");
+      expect(finalCode).not.toContain("stop()");
+      expect(finalCode).toContain("size()");
+      expect(finalCode).not.toContain("perimeter()");
+    }
+  );
+});
@@ -0,0 +1,190 @@
+const { afterAll, beforeAll, describe, expect, test } = require("bun:test");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const CLI_PATH = path.join(__dirname, "..", "src", "cli.js");
+
+let projectDir;
+let otherDir;
+
+/**
+ * Runs `dep-ext` from a directory other than the project's
+ * @param {string[]} args - Command-line arguments
+ * @param {string} [input] - Text piped to stdin
+ * @returns {{status: number, stdout: string, stderr: string}} Process result
+ */
+const run = (args, input = "") => {
+  const { status, stdout, stderr } = spawnSync(
+    process.execPath,
+    [CLI_PATH, ...args],
+    { cwd: otherDir, input, encoding: "utf8", timeout: 30000 }
+  );
+  return { status, stdout, stderr };
+};
+
+beforeAll(() => {
+  projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "dep-ext-project-"));
+  otherDir = fs.mkdtempSync(path.join(os.tmpdir(), "dep-ext-cwd-"));
+
+  fs.writeFileSync(
+    path.join(projectDir, "a.js"),
+    [
+      'import { b } from "./b";',
+      'import { c } from "./c";',
+      "export function x() { return b() + c(); }",
+      "export function y() { return 0; }",
+    ].join("\n")
+  );
+  fs.writeFileSync(
+    path.join(projectDir, "b.js"),
+    "export function b() { return 'from b'; }"
+  );
+  fs.writeFileSync(
+    path.join(projectDir, "c.js"),
+    "export function c() { return 'from c'; }"
+  );
+  fs.mkdirSync(path.join(projectDir, "nested"));
+  fs.writeFileSync(
+    path.join(projectDir, "nested", "broken.js"),
+    "export function broken( {"
+  );
+});
+
+afterAll(() => {
+  fs.rmSync(projectDir, { recursive: true, force: true });
+  fs.rmSync(otherDir, { recursive: true, force: true });
+});
+
+describe("dep-ext", () => {
+  test.each(["simple", "complex"])(
+    "the %s method resolves imports next to the input file, not the cwd",
+    (method) => {
+      const { status, stdout, stderr } = run([
+        path.join(projectDir, "a.js"),
+        "-p",
+        "function x",
+        "-m",
+        method,
+        "-q",
+      ]);
+
+      expect(stderr).not.toContain("Could not resolve import");
+      expect(status).toBe(0);
+      expect(stdout).toContain("from b");
+      expect(stdout).toContain("from c");
+      expect(stdout).not.toContain("function y");
+    }
+  );
+
+  test("relative file arguments are read from the cwd", () => {
+    const { status, stdout } = run([
+      path.relative(otherDir, path.join(projectDir, "a.js")),
+      "-p",
+      "function x",
+      "-m",
+      "complex",
+      "-q",
+    ]);
+
+    expect(status).toBe(0);
+    expect(stdout).toContain("from b");
+  });
+
+  test("reads stdin when no file is given", () => {
+    const { status, stdout } = run(
+      ["-p", "keep", "-m", "complex", "-q"],
+      "function keep() { return helper(); }\nfunction helper() { return 1; }\nfunction drop() {}"
+    );
+
+    expect(status).toBe(0);
+    expect(stdout).toContain("function helper");
+    expect(stdout).not.toContain("function drop");
+  });
+
+  test("globs expand to every matching file, each one labelled", () => {
+    const { status, stdout } = run([
+      path.join(projectDir, "*.js"),
+      "-p",
+      "export function",
+      "-m",
+      "complex",
+      "-q",
+    ]);
+
+    expect(status).toBe(0);
+    expect(stdout).toContain("b.js\nfunction b()");
+    expect(stdout).toContain("c.js\nfunction c()");
+  });
+
+  test("--json prints the results with their metadata", () => {
+    const { status, stdout } = run([
+      path.join(projectDir, "a.js"),
+      "-p",
+      "function x",
+      "-m",
+      "complex",
+      "--json",
+    ]);
+
+    expect(status).toBe(0);
+    expect(JSON.parse(stdout).metadata.resolvedImports).toEqual(["./b", "./c"]);
+  });
+
+  test("a directory argument is an error, not a crash", () => {
+    const { status, stdout, stderr } = run([
+      path.join(projectDir, "nested"),
+      "-p",
+      "x",
+    ]);
+
+    expect(status).toBe(1);
+    expect(stderr).toStartWith("dep-ext: Not a file:");
+    expect(stderr).not.toContain("    at ");
+    expect(stdout).toBe("");
+  });
+
+  test.each(["complex", "names", "selector"])(
+    "a file that does not parse fails alone (%s)",
+    (mode) => {
+      const args = {
+        complex: ["-p", "export function", "-m", "complex"],
+        names: ["-n", "b,c"],
+        selector: ["-s", "FunctionDeclaration"],
+      }[mode];
+      const { status, stdout, stderr } = run([
+        path.join(projectDir, "b.js"),
+        path.join(projectDir, "nested", "broken.js"),
+        path.join(projectDir, "c.js"),
+        ...args,
+        "-q",
+      ]);
+
+      expect(status).toBe(1);
+      expect(stderr).toContain(
+        `dep-ext: ${path.join(projectDir, "nested", "broken.js")}: Parse error:`
+      );
+      expect(stderr).not.toContain("    at ");
+      expect(stdout).toContain("function b()");
+      expect(stdout).toContain("function c()");
+    }
+  );
+
+  test("a glob matching nothing is an error", () => {
+    const { status, stderr } = run([path.join(projectDir, "*.ts"), "-p", "x"]);
+
+    expect(status).toBe(1);
+    expect(stderr).toStartWith("dep-ext: No files match:");
+  });
+
+  test("usage errors exit with 2", () => {
+    expect(run([path.join(projectDir, "a.js")]).status).toBe(2);
+    expect(
+      run([path.join(projectDir, "a.js"), "-p", "x", "-m", "fancy"]).status
+    ).toBe(2);
+    expect(
+      run([path.join(projectDir, "a.js"), "-s", "NotANode"]).stderr
+    ).toContain("unknown node type");
+  });
+});
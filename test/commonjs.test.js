@@ -0,0 +1,75 @@
+const { afterAll, describe, expect, test } = require("bun:test");
+const fs = require("fs");
+const { findAndExtract } = require("../src/index.js");
+const { createFixture } = require("./fixture.js");
+
+const fixture = createFixture({
+  "util.js": [
+    "function helper() { return 'helper'; }",
+    "function unused() { return 'unused'; }",
+    "module.exports = { helper, unused };",
+  ].join("\n"),
+  "exports.js": [
+    "exports.foo = function () { return bar(); };",
+    "exports.baz = () => 'baz';",
+    "function bar() { return 'bar'; }",
+  ].join("\n"),
+});
+afterAll(fixture.remove);
+
+const extract = (code, pattern = /function main/) =>
+  findAndExtract(code, pattern, fixture.file("main.js"));
+
+describe("CommonJS", () => {
+  test("destructured requires pull in the named members", () => {
+    const result = extract(
+      'const { helper } = require("./util");\nfunction main() { return helper(); }'
+    );
+
+    expect(result.metadata.resolvedImports).toEqual(["./util"]);
+    expect(result.metadata.dependencies).toEqual(["helper"]);
+    expect(result.finalCode).not.toContain("'unused'");
+  });
+
+  test("member access on a required module pulls in that member", () => {
+    const result = extract(
+      'const util = require("./util");\nfunction main() { return util.helper(); }'
+    );
+
+    expect(result.metadata.dependencies).toContain("helper");
+    expect(result.finalCode).not.toContain("'unused'");
+  });
+
+  test("exports.x assignments are declarations and exports", () => {
+    const result = extract(
+      'const { foo } = require("./exports");\nfunction main() { return foo(); }'
+    );
+
+    expect(result.metadata.dependencies).toEqual(["exports.foo", "bar"]);
+    expect(result.finalCode).not.toContain("'baz'");
+  });
+
+  test("export assignments are matched like other declarations", () => {
+    const result = findAndExtract(
+      fs.readFileSync(fixture.file("exports.js"), "utf8"),
+      /^exports\./,
+      fixture.file("exports.js")
+    );
+
+    expect(
+      result.metadata.matchDetails.map(({ name, type }) => [name, type])
+    ).toEqual([
+      ["exports.foo", "cjs-export"],
+      ["exports.baz", "cjs-export"],
+    ]);
+  });
+
+  test("unresolvable requires stay in the extracted code", () => {
+    const result = extract(
+      'const missing = require("./missing");\nfunction main() { return missing(); }'
+    );
+
+    expect(result.metadata.unresolvedImports).toEqual(["./missing"]);
+    expect(result.finalCode).toContain('require("./missing")');
+  });
+});
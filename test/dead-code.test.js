@@ -0,0 +1,87 @@
+const { describe, expect, test } = require("bun:test");
+const { findDeadCode } = require("../src/index.js");
+
+const files = {
+  "/project/main.js": [
+    'import { used } from "./lib.js";',
+    "used();",
+    "function localDead() { return deadHelper(); }",
+    "function deadHelper() {",
+    "  return 1;",
+    "}",
+    "export function exported() {}",
+  ].join("\n"),
+  "/project/lib.js": [
+    "export function used() { return new Thing().go(); }",
+    "export function unusedExport() {}",
+    "class Thing { go() {} stop() {} }",
+    "const sideEffect = 1;",
+  ].join("\n"),
+  "/project/orphan.js": "export function orphan() {}",
+};
+
+const deadNames = (result) => result.dead.map(({ name }) => name);
+
+describe("findDeadCode", () => {
+  test("reports what the entry files never reach", () => {
+    const result = findDeadCode("/project/main.js", { files });
+
+    expect(deadNames(result)).toEqual([
+      "localDead",
+      "deadHelper",
+      "unusedExport",
+      "sideEffect",
+    ]);
+  });
+
+  test("entries keep their exports and live classes keep their methods", () => {
+    const names = deadNames(findDeadCode("/project/main.js", { files }));
+
+    expect(names).not.toContain("exported");
+    expect(names).not.toContain("Thing.stop");
+  });
+
+  test("entries carry their location and size", () => {
+    const { dead } = findDeadCode("/project/main.js", { files });
+
+    expect(dead[1]).toEqual({
+      name: "deadHelper",
+      type: "function",
+      file: "/project/main.js",
+      line: 4,
+      lines: 3,
+      size: 37,
+      className: null,
+      parentFunction: null,
+      onlyReferencedByDeadCode: true,
+      referencedBy: ["localDead"],
+    });
+    expect(dead[0].onlyReferencedByDeadCode).toBe(false);
+  });
+
+  test("rootDir also reports files no entry imports", () => {
+    const result = findDeadCode(["/project/main.js"], {
+      files,
+      rootDir: "/project",
+    });
+
+    expect(deadNames(result)).toContain("orphan");
+    expect(result.unreachableFiles).toEqual(["/project/orphan.js"]);
+    expect(result.metadata.filesScanned).toBe(3);
+  });
+
+  test("roots: exports treats every export as used", () => {
+    const result = findDeadCode([], {
+      files,
+      rootDir: "/project",
+      roots: "exports",
+    });
+
+    expect(deadNames(result).sort()).toEqual([
+      "deadHelper",
+      "localDead",
+      "sideEffect",
+    ]);
+    expect(result.unreachableFiles).toEqual([]);
+  });
+});
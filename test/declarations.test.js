@@ -0,0 +1,132 @@
+const { describe, expect, test } = require("bun:test");
+const { findAndExtract } = require("../src/index.js");
+
+/**
+ * Lists the declarations an extraction records for some code
+ * @param {string} code - Source to scan
+ * @returns {{name: string, type: string, static: boolean|undefined, className: string|undefined}[]} Recorded declarations, by qualified name
+ */
+const discover = (code) => {
+  const found = [];
+  findAndExtract(code, /^$/, "/project/main.js", {
+    onDeclarationFound: (declaration) =>
+      found.push({
+        name: declaration.qualifiedName,
+        type: declaration.type,
+        static: declaration.static,
+        className: declaration.className,
+      }),
+  });
+  return found;
+};
+
+/**
+ * Lists the members recorded for the body of `class Player`
+ * @param {string[]} members - Member source lines
+ * @returns {[string, string, boolean][]} Qualified name, type and static flag of each member
+ */
+const discoverMembers = (members) =>
+  discover(["class Player {", ...members, "}"].join("\n"))
+    .filter(({ className }) => className === "Player")
+    .map(({ name, type, static: isStatic }) => [name, type, isStatic]);
+
+describe("declaration discovery", () => {
+  test("private fields and methods keep their #", () => {
+    expect(
+      discoverMembers(["  #volume = 1;", "  #reset() { this.#volume = 0; }"])
+    ).toEqual([
+      ["Player.#volume", "field", false],
+      ["Player.#reset", "method", false],
+    ]);
+  });
+
+  test("static fields and methods are flagged static", () => {
+    expect(
+      discoverMembers([
+        "  static defaults = { loop: false };",
+        "  static create() { return new Player(); }",
+        "  play() {}",
+      ])
+    ).toEqual([
+      ["Player.defaults", "field", true],
+      ["Player.create", "method", true],
+      ["Player.play", "method", false],
+    ]);
+  });
+
+  test("getters and setters are recorded separately under one name", () => {
+    expect(
+      discoverMembers([
+        "  get volume() { return 1; }",
+        "  set volume(value) {}",
+      ])
+    ).toEqual([
+      ["Player.volume", "getter", false],
+      ["Player.volume", "setter", false],
+    ]);
+  });
+
+  test("accessor fields", () => {
+    expect(discoverMembers(["  accessor level = 2;"])).toEqual([
+      ["Player.level", "accessor", false],
+    ]);
+  });
+
+  test("static blocks", () => {
+    expect(discoverMembers(["  static { Player.ready = true; }"])).toEqual([
+      ["Player.<static>", "static-block", false],
+    ]);
+  });
+
+  test("computed keys read as their expression", () => {
+    expect(discoverMembers(["  [Symbol.iterator]() {}"])).toEqual([
+      ["Player[Symbol.iterator]", "method", false],
+    ]);
+  });
+
+  test("top-level object-literal methods, nested objects included", () => {
+    const found = discover(
+      [
+        "const api = {",
+        "  decode() {},",
+        "  encode: (text) => text,",
+        "  limit: 3,",
+        "  nested: { deep: function () {} },",
+        "};",
+      ].join("\n")
+    );
+
+    expect(found.map(({ name, type }) => [name, type])).toEqual([
+      ["api", "variable"],
+      ["api.decode", "object-method"],
+      ["api.encode", "object-method"],
+      ["api.nested.deep", "object-method"],
+    ]);
+  });
+
+  test("members of class expressions and anonymous default-exported classes", () => {
+    const found = discover(
+      [
+        "export const Player = class {",
+        "  #volume = 1;",
+        "  static {}",
+        "  get volume() { return this.#volume; }",
+        "};",
+        "export default class {",
+        "  area() { return 1; }",
+        "}",
+      ].join("\n")
+    );
+
+    expect(
+      found.map(({ name, type, className }) => [name, type, className])
+    ).toEqual([
+      ["Player", "variable", undefined],
+      ["Player.#volume", "field", "Player"],
+      ["Player.<static>", "static-block", "Player"],
+      ["Player.volume", "getter", "Player"],
+      ["default", "default-export", undefined],
+      ["default.area", "method", "default"],
+    ]);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, expect, test } = require("bun:test");
+const { findAndExtract, formatGraph } = require("../src/index.js");
+
+const files = {
+  "/project/config.js": "export const CONFIG = { retries: 3 };",
+  "/project/base.js": "export class Base { run() {} }",
+};
+
+const code = [
+  'import { CONFIG } from "./config.js";',
+  'import { Base } from "./base.js";',
+  "class Job extends Base {}",
+  "function helper() { return CONFIG.retries; }",
+  "function matched() { return new Job(helper()); }",
+].join("\n");
+
+const { graph } = findAndExtract(code, /function matched/, "/project/main.js", {
+  files,
+});
+
+const MATCHED = "/project/main.js#matched@5:0";
+const JOB = "/project/main.js#Job@3:0";
+const HELPER = "/project/main.js#helper@4:0";
+const BASE = "/project/base.js#Base@1:7";
+const CONFIG = "/project/config.js#CONFIG@1:13";
+
+describe("dependency graph", () => {
+  test("nodes describe the declarations, across files", () => {
+    expect(graph.nodes.map(({ id }) => id)).toEqual([
+      MATCHED,
+      JOB,
+      HELPER,
+      BASE,
+      CONFIG,
+    ]);
+    expect(graph.nodes[0]).toEqual({
+      id: MATCHED,
+      name: "matched",
+      type: "function",
+      file: "/project/main.js",
+      line: 5,
+      className: null,
+      parentFunction: null,
+      matched: true,
+      included: true,
+    });
+    expect(graph.nodes.filter(({ matched }) => matched)).toHaveLength(1);
+  });
+
+  test("edges are labelled by reference kind, with the reference location", () => {
+    expect(graph.edges.map(({ from, to, kind }) => [from, to, kind])).toEqual([
+      [MATCHED, JOB, "new"],
+      [MATCHED, HELPER, "call"],
+      [JOB, BASE, "extends"],
+      [HELPER, CONFIG, "reference"],
+    ]);
+    expect(graph.edges[3]).toMatchObject({
+      file: "/project/main.js",
+      line: 4,
+      column: 27,
+    });
+  });
+
+  test("nested declarations carry their class and parent function", () => {
+    const result = findAndExtract(
+      [
+        "class Api { get() { return format(); } }",
+        "function format() {",
+        "  function pad() { return ' '; }",
+        "  return pad();",
+        "}",
+      ].join("\n"),
+      /get\(\)|return ' '/,
+      "/project/api.js",
+      { files }
+    );
+
+    expect(result.graph.nodes).toContainEqual(
+      expect.objectContaining({ name: "Api.get", className: "Api" })
+    );
+    expect(result.graph.nodes).toContainEqual(
+      expect.objectContaining({ name: "pad", parentFunction: "format" })
+    );
+  });
+});
+
+describe("formatGraph", () => {
+  test("json is the graph itself", () => {
+    expect(JSON.parse(formatGraph(graph))).toEqual(graph);
+  });
+
+  test("dot highlights matches and labels edges", () => {
+    const dot = formatGraph(graph, "dot").split("\n");
+
+    expect(dot[0]).toBe("digraph dependencies {");
+    expect(dot).toContain(
+      `  "${MATCHED}" [label="matched\\nfunction · main.js:5", style=filled, fillcolor="#ffe08a"];`
+    );
+    expect(dot).toContain(`  "${JOB}" -> "${BASE}" [label="extends"];`);
+    expect(dot.at(-1)).toBe("}");
+  });
+
+  test("mermaid uses short ids and readable labels", () => {
+    expect(formatGraph(graph, "mermaid")).toBe(
+      [
+        "flowchart LR",
+        '  n0["matched<br/>function · main.js:5"]',
+        '  n1["Job<br/>class · main.js:3"]',
+        '  n2["helper<br/>function · main.js:4"]',
+        '  n3["Base<br/>class · base.js:1"]',
+        '  n4["CONFIG<br/>variable · config.js:1"]',
+        "  n0 -->|new| n1",
+        "  n0 -->|call| n2",
+        "  n1 -->|extends| n3",
+        "  n2 -->|reference| n4",
+        "  classDef matched fill:#ffe08a",
+        "  class n0 matched",
+      ].join("\n")
+    );
+  });
+
+  test("rejects unknown formats", () => {
+    expect(() => formatGraph(graph, "svg")).toThrow(
+      "Unknown graph format: svg"
+    );
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, expect, test } = require("bun:test");
+const { findDependents } = require("../src/index.js");
+
+const files = {
+  "/project/util.js": [
+    "export function helper() { return 1; }",
+    "export function unrelated() {}",
+  ].join("\n"),
+  "/project/service.js": [
+    'import { helper } from "./util.js";',
+    "export class Service { run() { return helper(); } stop() {} }",
+  ].join("\n"),
+  "/project/other.js": [
+    'import { helper as h } from "./util.js";',
+    "export const twice = () => h() * 2;",
+  ].join("\n"),
+};
+
+const main = [
+  'import { Service } from "./service.js";',
+  "export function start() { return new Service().run(); }",
+  "function idle() {}",
+].join("\n");
+
+const dependentsOf = (target, options = {}) =>
+  findDependents(main, target, "/project/main.js", { files, ...options });
+
+describe("findDependents", () => {
+  test("follows references backwards, through containers and imports", () => {
+    const result = dependentsOf("helper");
+
+    expect(result.targets).toEqual([
+      { name: "helper", type: "function", file: "/project/util.js", line: 1 },
+    ]);
+    expect(
+      result.dependents.map(({ name, distance, via }) => [
+        name,
+        distance,
+        via.kind,
+      ])
+    ).toEqual([
+      ["Service.run", 1, "call"],
+      ["Service", 2, "container"],
+      ["start", 3, "new"],
+    ]);
+    expect(result.files).toEqual([
+      "/project/util.js",
+      "/project/service.js",
+      "/project/main.js",
+    ]);
+  });
+
+  test("reports the exported entry points affected", () => {
+    const { entryPoints, dependents } = dependentsOf("helper");
+
+    expect(entryPoints.map(({ name, file }) => `${file}:${name}`)).toEqual([
+      "/project/util.js:helper",
+      "/project/service.js:Service",
+      "/project/main.js:start",
+    ]);
+    expect(dependents[0].exported).toBe(false);
+  });
+
+  test("rootDir also finds files the entry never imports", () => {
+    const { dependents } = dependentsOf("helper", { rootDir: "/project" });
+
+    expect(dependents).toContainEqual(
+      expect.objectContaining({
+        name: "twice",
+        file: "/project/other.js",
+        distance: 1,
+      })
+    );
+  });
+
+  test("targets can be qualified names, lists or regexes", () => {
+    expect(
+      dependentsOf("Service.run").dependents.map(({ name }) => name)
+    ).toEqual(["Service", "start"]);
+    expect(
+      dependentsOf(["helper", "unrelated"]).targets.map(({ name }) => name)
+    ).toEqual(["helper", "unrelated"]);
+    expect(dependentsOf(/^(un)?related$/).targets).toHaveLength(1);
+  });
+
+  test("an unknown target is not an error", () => {
+    const result = dependentsOf("missing");
+
+    expect(result.success).toBe(false);
+    expect(result.dependents).toEqual([]);
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, expect, spyOn, test } = require("bun:test");
+const {
+  findAndExtract,
+  printResults,
+  simpleRegexExtract,
+} = require("../src/index.js");
+
+const files = {
+  "/project/config.js": "export const CONFIG = { retries: 3 };",
+};
+
+const code = [
+  'import { CONFIG } from "./config.js";',
+  "function helper() { return CONFIG.retries + ping(); }",
+  "function ping() { return pong(); }",
+  "function pong() { return ping(); }",
+  "function matched() { return helper(); }",
+].join("\n");
+
+const result = findAndExtract(code, /function matched/, "/project/main.js", {
+  files,
+});
+
+/**
+ * Renders an explanation chain as `name (kind@line)` steps
+ * @param {{chain: Object[]}} explanation - Explanation of one declaration
+ * @returns {string} The chain on one line
+ */
+const formatChain = ({ chain }) =>
+  chain.map(({ name, kind, line }) => `${name} (${kind}@${line})`).join(" -> ");
+
+const getExplanation = (name) =>
+  result.metadata.explanations.find((explanation) => explanation.name === name);
+
+describe("inclusion explanations", () => {
+  test("every emitted declaration is explained", () => {
+    expect(result.metadata.explanations.map(({ name }) => name).sort()).toEqual(
+      ["CONFIG", "helper", "matched", "ping", "pong"]
+    );
+  });
+
+  test("chains go from the matched declaration to the dependency", () => {
+    expect(formatChain(getExplanation("matched"))).toBe("matched (match@5)");
+    expect(formatChain(getExplanation("CONFIG"))).toBe(
+      "matched (match@5) -> helper (call@5) -> CONFIG (reference@2)"
+    );
+  });
+
+  test("steps point at the referencing identifier, even across files", () => {
+    const explanation = getExplanation("CONFIG");
+
+    expect(explanation.file).toBe("/project/config.js");
+    expect(explanation.chain.at(-1)).toEqual({
+      name: "CONFIG",
+      id: "/project/config.js#CONFIG@1:13",
+      kind: "reference",
+      file: "/project/main.js",
+      line: 2,
+      column: 27,
+    });
+  });
+
+  test("cycles end at the first declaration that pulled the cycle in", () => {
+    expect(formatChain(getExplanation("pong"))).toBe(
+      "matched (match@5) -> helper (call@5) -> ping (call@2) -> pong (call@3)"
+    );
+  });
+
+  test("simple regex extraction explains its dependencies too", () => {
+    const simple = simpleRegexExtract(code, "retries \\+", true, {
+      filePath: "/project/main.js",
+      files,
+    });
+
+    expect(simple.explanations.map(({ name }) => name)).toContain("pong");
+  });
+});
+
+describe("printResults", () => {
+  test("explain prints the chains as a tree", () => {
+    const lines = [];
+    const spy = spyOn(console, "log").mockImplementation((line) =>
+      lines.push(line)
+    );
+    printResults(result, { explain: true });
+    spy.mockRestore();
+
+    const output = lines.join("\n");
+    expect(output).toContain(
+      [
+        "   matched (matched at main.js:5)",
+        "   └── helper (call at main.js:5)",
+        "       ├── ping (call at main.js:2)",
+        "       │   └── pong (call at main.js:3)",
+        "       └── CONFIG (reference at main.js:2)",
+      ].join("\n")
+    );
+  });
+
+  test("the tree is only printed on request", () => {
+    const lines = [];
+    const spy = spyOn(console, "log").mockImplementation((line) =>
+      lines.push(line)
+    );
+    printResults(result);
+    spy.mockRestore();
+
+    expect(lines.join("\n")).not.toContain("Why each declaration is included");
+  });
+});
@@ -0,0 +1,27 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Writes files into a fresh temporary directory, for tests that read from disk 📁
+ * @param {Object<string, string>} files - Contents keyed by path relative to the directory
+ * @returns {{root: string, file: function(string): string, remove: function(): void}} The directory, a helper resolving paths inside it, and its cleanup
+ */
+function createFixture(files) {
+  const root = fs.realpathSync(
+    fs.mkdtempSync(path.join(os.tmpdir(), "dep-ext-"))
+  );
+  Object.entries(files).forEach(([relativePath, content]) => {
+    const filePath = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  });
+
+  return {
+    root,
+    file: (relativePath) => path.join(root, relativePath),
+    remove: () => fs.rmSync(root, { recursive: true, force: true }),
+  };
+}
+
+module.exports = { createFixture };
@@ -0,0 +1,78 @@
+const { afterAll, describe, expect, test } = require("bun:test");
+const { findAndExtract } = require("../src/index.js");
+const { createFixture } = require("./fixture.js");
+
+const fixture = createFixture({
+  "api.js": [
+    "export function fetchData() { return 'data'; }",
+    "export function postData() { return 'post'; }",
+    "export const run = () => 'api run';",
+  ].join("\n"),
+  "foo.js": [
+    "export default class Foo {}",
+    "export function notDefault() {}",
+  ].join("\n"),
+});
+afterAll(fixture.remove);
+
+const extract = (code) =>
+  findAndExtract(code, /function main/, fixture.file("main.js"));
+
+describe("import specifiers", () => {
+  test("aliased imports pull in the exported declaration only", () => {
+    const result = extract(
+      'import { fetchData as load } from "./api.js";\nfunction main() { return load(); }'
+    );
+
+    expect(result.metadata.dependencies).toEqual(["fetchData"]);
+    expect(result.finalCode).not.toContain("postData");
+    expect(result.metadata.modules[0].imports).toEqual([
+      expect.objectContaining({
+        localName: "load",
+        importedName: "fetchData",
+        resolvedPath: fixture.file("api.js"),
+      }),
+    ]);
+  });
+
+  test("namespace imports pull in the members that are used", () => {
+    const result = extract(
+      'import * as api from "./api.js";\nfunction main() { return api.fetchData(); }'
+    );
+
+    expect(result.metadata.dependencies).toEqual(["fetchData"]);
+    expect(result.finalCode).not.toContain("postData");
+  });
+
+  test("a bare namespace reference needs every export", () => {
+    const result = extract(
+      'import * as api from "./api.js";\nfunction main() { return api; }'
+    );
+
+    expect(result.metadata.dependencies).toEqual(
+      expect.arrayContaining(["fetchData", "postData", "run"])
+    );
+  });
+
+  test("default imports link to the default export", () => {
+    const result = extract(
+      'import Bar from "./foo.js";\nfunction main() { return new Bar(); }'
+    );
+
+    expect(result.metadata.dependencies).toEqual(["Foo"]);
+    expect(result.finalCode).not.toContain("notDefault");
+  });
+
+  test("exports of an imported file don't shadow local names", () => {
+    const result = extract(
+      [
+        'import { fetchData } from "./api.js";',
+        "const run = () => fetchData();",
+        "function main() { return run(); }",
+      ].join("\n")
+    );
+
+    expect(result.finalCode).not.toContain("api run");
+    expect(result.metadata.dependencies).toEqual(["run", "fetchData"]);
+  });
+});
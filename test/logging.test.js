@@ -0,0 +1,156 @@
+const {
+  afterAll,
+  afterEach,
+  describe,
+  expect,
+  spyOn,
+  test,
+} = require("bun:test");
+const { findAndExtract, setLogLevel } = require("../src/index.js");
+const { createFixture } = require("./fixture.js");
+
+const fixture = createFixture({
+  "util.js": "export function helper() { return 1; }",
+});
+afterAll(fixture.remove);
+
+const code =
+  'import { helper } from "./util.js";\nfunction main() { return helper(); }';
+
+/**
+ * Creates a logger collecting every message by method
+ * @returns {{messages: string[], error: Function, warn: Function, info: Function, debug: Function, success: Function}} Collecting logger
+ */
+const createCollector = () => {
+  const messages = [];
+  const collect = (method) => (message) =>
+    messages.push(`${method} ${message}`);
+  return {
+    messages,
+    error: collect("error"),
+    warn: collect("warn"),
+    info: collect("info"),
+    debug: collect("debug"),
+    success: collect("success"),
+  };
+};
+
+const extract = (options = {}) =>
+  findAndExtract(code, /function main/, fixture.file("main.js"), options);
+
+afterEach(() => {
+  setLogLevel("SILENT");
+});
+
+describe("logging", () => {
+  test("calls are silent by default", () => {
+    const spies = ["error", "warn", "info", "debug", "log"].map((method) =>
+      spyOn(console, method).mockImplementation(() => {})
+    );
+
+    extract();
+
+    spies.forEach((spy) => {
+      expect(spy).not.toHaveBeenCalled();
+      spy.mockRestore();
+    });
+  });
+
+  test("logLevel limits what a custom logger receives", () => {
+    const collector = createCollector();
+    extract({ logger: collector, logLevel: "WARN" });
+    expect(collector.messages).toEqual([]);
+
+    const verbose = createCollector();
+    extract({ logger: verbose, logLevel: "DEBUG" });
+    expect(verbose.messages).toContainEqual(
+      expect.stringMatching(/^info Global declarations built/)
+    );
+    expect(verbose.messages).not.toContainEqual(
+      expect.stringMatching(/^success /)
+    );
+  });
+
+  test("a custom logger without logLevel uses the default level", () => {
+    const silent = createCollector();
+    extract({ logger: silent });
+    expect(silent.messages).toEqual([]);
+
+    const collector = createCollector();
+    setLogLevel("INFO");
+    extract({ logger: collector });
+    expect(collector.messages).toContainEqual(
+      expect.stringMatching(/^info Global declarations built/)
+    );
+    expect(collector.messages).not.toContainEqual(
+      expect.stringMatching(/^(debug|success) /)
+    );
+  });
+
+  test("setLogLevel changes the default logger only", () => {
+    const spy = spyOn(console, "info").mockImplementation(() => {});
+    const collector = createCollector();
+
+    setLogLevel("INFO");
+    extract({ logger: collector, logLevel: "ERROR" });
+    expect(spy).not.toHaveBeenCalled();
+
+    extract();
+    expect(spy).toHaveBeenCalled();
+    spy.mockRestore();
+  });
+});
+
+describe("event hooks", () => {
+  test("report declarations, imports, matches and dependencies", () => {
+    const events = [];
+    extract({
+      onDeclarationFound: (declaration) =>
+        events.push(`declaration ${declaration.name}`),
+      onImportResolved: ({ importPath }) => events.push(`import ${importPath}`),
+      onMatch: (match) => events.push(`match ${match.name}`),
+      onDependencyAdded: (dependency) =>
+        events.push(`dependency ${dependency.name}`),
+    });
+
+    expect(events).toContain("declaration main");
+    expect(events).toContain("declaration helper");
+    expect(events).toContain("import ./util.js");
+    expect(events).toContain("match main");
+    expect(events).toContain("dependency helper");
+  });
+
+  test("a hook calling back into the library leaves the outer call's settings alone", () => {
+    const outerLogger = createCollector();
+    const outerDependencies = [];
+    const innerResults = [];
+
+    const result = extract({
+      logger: outerLogger,
+      logLevel: "SUCCESS",
+      onDependencyAdded: (dependency) =>
+        outerDependencies.push(dependency.name),
+      onMatch: () => {
+        innerResults.push(
+          findAndExtract(
+            "function other() { return nested(); }\nfunction nested() {}",
+            /function other/,
+            fixture.file("other.js")
+          )
+        );
+      },
+    });
+
+    expect(innerResults[0].metadata.dependencies).toEqual(["nested"]);
+    // The nested call neither fired the outer hooks nor logged to the outer logger
+    expect(outerDependencies).toEqual(["helper"]);
+    expect(
+      outerLogger.messages.filter((message) => message.includes("Starting"))
+    ).toHaveLength(1);
+    // ...and the outer call kept logging once the hook returned
+    expect(outerLogger.messages.at(-2)).toStartWith(
+      "success 🎉 Pattern extraction completed!"
+    );
+    expect(result.metadata.dependencies).toEqual(["helper"]);
+  });
+});
@@ -0,0 +1,130 @@
+const { afterAll, describe, expect, test } = require("bun:test");
+const { findAndExtract } = require("../src/index.js");
+const { createFixture } = require("./fixture.js");
+
+const fixture = createFixture({
+  "a.js": [
+    'import { b } from "./b.js";',
+    "export function a() { return b(); }",
+  ].join("\n"),
+  "b.js": [
+    'import { c } from "./c.js";',
+    "export function b() { return c(); }",
+  ].join("\n"),
+  "c.js": [
+    'import { a } from "./a.js";',
+    "export function c() { return 'c'; }",
+    "export function loop() { return a(); }",
+  ].join("\n"),
+});
+afterAll(fixture.remove);
+
+const main = [
+  'import { a } from "./a.js";',
+  "function run() { return a(); }",
+].join("\n");
+
+describe("module graph", () => {
+  test("follows imports transitively and survives cycles", () => {
+    const result = findAndExtract(
+      main,
+      /function run/,
+      fixture.file("main.js")
+    );
+
+    expect(result.metadata.dependencies).toEqual(
+      expect.arrayContaining(["a", "b", "c"])
+    );
+    expect(result.finalCode).not.toContain("function loop");
+    expect(result.metadata.modules).toEqual([
+      expect.objectContaining({ path: fixture.file("main.js"), depth: 0 }),
+      expect.objectContaining({ path: fixture.file("a.js"), depth: 1 }),
+      expect.objectContaining({ path: fixture.file("b.js"), depth: 2 }),
+      expect.objectContaining({
+        path: fixture.file("c.js"),
+        depth: 3,
+        importChain: ["main.js", "a.js", "b.js", "c.js"].map(fixture.file),
+      }),
+    ]);
+  });
+
+  test("stops at maxDepth", () => {
+    const result = findAndExtract(
+      main,
+      /function run/,
+      fixture.file("main.js"),
+      {
+        maxDepth: 1,
+      }
+    );
+
+    expect(result.metadata.modules.map((module) => module.path)).toEqual([
+      fixture.file("main.js"),
+      fixture.file("a.js"),
+    ]);
+    expect(result.finalCode).toContain('import { b } from "./b.js";');
+  });
+
+  describe("package boundaries", () => {
+    const packages = createFixture({
+      "node_modules/lib/package.json": JSON.stringify({
+        name: "lib",
+        main: "index.js",
+      }),
+      "node_modules/lib/index.js": [
+        'import { helper } from "./helper.js";',
+        "export function parse(text) { return helper(text); }",
+      ].join("\n"),
+      "node_modules/lib/helper.js": "export const helper = (text) => text;",
+      "app/package.json": JSON.stringify({
+        name: "app",
+        exports: { "./util": "./util.js" },
+      }),
+      "app/util.js": "export const util = 1;",
+    });
+    afterAll(packages.remove);
+
+    const code = [
+      'import { parse } from "lib";',
+      "function load(text) { return parse(text); }",
+    ].join("\n");
+
+    test("keeps package imports as external imports by default", () => {
+      const result = findAndExtract(
+        code,
+        /function load/,
+        packages.file("main.js")
+      );
+
+      expect(result.metadata.externalImports).toEqual(["lib"]);
+      expect(result.metadata.unresolvedImports).toEqual([]);
+      expect(result.metadata.modules).toHaveLength(1);
+      expect(result.finalCode).toContain('import { parse } from "lib";');
+      expect(result.finalCode).not.toContain("function parse");
+    });
+
+    test("walks into packages with followPackages", () => {
+      const result = findAndExtract(
+        code,
+        /function load/,
+        packages.file("main.js"),
+        { followPackages: true }
+      );
+
+      expect(result.metadata.externalImports).toEqual([]);
+      expect(result.metadata.dependencies).toEqual(["parse", "helper"]);
+      expect(result.finalCode).toContain("function parse");
+    });
+
+    test("a package importing itself by name is not external", () => {
+      const result = findAndExtract(
+        'import { util } from "app/util";\nfunction run() { return util; }',
+        /function run/,
+        packages.file("app/main.js")
+      );
+
+      expect(result.metadata.externalImports).toEqual([]);
+      expect(result.metadata.dependencies).toEqual(["util"]);
+    });
+  });
+});
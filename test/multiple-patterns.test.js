@@ -0,0 +1,93 @@
+const { describe, expect, test } = require("bun:test");
+const { extractMultiplePatterns } = require("../src/index.js");
+
+const code = [
+  "const KEY = 'k';",
+  "function decrypt(x) { return x + KEY; }",
+  "function wrap(x) { return decrypt(x); }",
+  "class Player { play() { return decrypt('p'); } }",
+  "function other() { return 'OTHER'; }",
+].join("\n");
+
+const extract = (patterns) =>
+  extractMultiplePatterns(code, patterns, "/project/main.js", { files: {} });
+
+describe("extractMultiplePatterns", () => {
+  test("breaks the result down per pattern", () => {
+    const result = extract(["return x \\+", /^class Player/m, /nothing/]);
+
+    expect(result.metadata.patterns).toEqual([
+      {
+        pattern: "return x \\+",
+        matched: true,
+        matchedPatterns: ["decrypt"],
+        dependencies: ["KEY"],
+        totalNodesIncluded: 2,
+      },
+      {
+        pattern: "/^class Player/m",
+        matched: true,
+        matchedPatterns: ["Player"],
+        dependencies: ["decrypt", "KEY"],
+        totalNodesIncluded: 3,
+      },
+      {
+        pattern: "/nothing/",
+        matched: false,
+        matchedPatterns: [],
+        dependencies: [],
+        totalNodesIncluded: 0,
+      },
+    ]);
+    expect(result.metadata.unmatchedPatterns).toEqual(["/nothing/"]);
+  });
+
+  test("shared dependencies are emitted once", () => {
+    const { finalCode } = extract(["return x \\+", /^class Player/m]);
+
+    expect(finalCode.match(/const KEY/g)).toHaveLength(1);
+    expect(finalCode.match(/function decrypt/g)).toHaveLength(1);
+    expect(finalCode).not.toContain("function wrap");
+  });
+
+  test("each pattern keeps its own flags; strings have none", () => {
+    expect(extract([/other/]).metadata.matchedPatterns).toEqual(["other"]);
+    expect(extract([/OTHER\(/i]).metadata.matchedPatterns).toEqual(["other"]);
+    expect(extract(["OTHER\\("]).metadata.matchedPatterns).toEqual([]);
+    expect(extract([/^KEY/]).metadata.matchedPatterns).toEqual([]);
+  });
+
+  test("alternations stay inside their own pattern", () => {
+    const result = extract(["KEY;|'OTHER'", /^class/]);
+
+    expect(result.metadata.patterns[0].matchedPatterns).toEqual([
+      "decrypt",
+      "other",
+    ]);
+    expect(result.metadata.patterns[1].matchedPatterns).toEqual(["Player"]);
+  });
+
+  test("a dependency named like a match in another file is still listed", () => {
+    const result = extractMultiplePatterns(
+      [
+        'import { helper as utilHelper } from "./util.js";',
+        "function helper() { return utilHelper(); }",
+      ].join("\n"),
+      [/return utilHelper/],
+      "/project/main.js",
+      { files: { "/project/util.js": "export function helper() {}" } }
+    );
+
+    expect(result.metadata.matchedPatterns).toEqual(["helper"]);
+    expect(result.metadata.dependencyDetails).toContainEqual(
+      expect.objectContaining({ name: "helper", source: "/project/util.js" })
+    );
+  });
+
+  test("no match at all is reported as a failure", () => {
+    const result = extract([/nothing/, "nowhere"]);
+
+    expect(result.success).toBe(false);
+    expect(result.metadata.unmatchedPatterns).toEqual(["/nothing/", "nowhere"]);
+  });
+});
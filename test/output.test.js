@@ -0,0 +1,78 @@
+const { afterAll, describe, expect, test } = require("bun:test");
+const { findAndExtract } = require("../src/index.js");
+const { createFixture } = require("./fixture.js");
+
+const fixture = createFixture({
+  "math.js": [
+    "// Not needed",
+    "export const unused = 0;",
+    "",
+    "/**",
+    " * Doubles a number",
+    " */",
+    "export function double(x) {",
+    "  return x   *   2; // keep the spacing",
+    "}",
+  ].join("\n"),
+});
+afterAll(fixture.remove);
+
+const main = [
+  'import { double } from "./math.js";',
+  "",
+  "function run() {",
+  "  return double(FACTOR);",
+  "}",
+  "",
+  "const FACTOR = 21;",
+].join("\n");
+
+const extract = (options) =>
+  findAndExtract(main, /function run/, fixture.file("main.js"), options);
+
+describe("original output mode", () => {
+  test("keeps the original text, JSDoc and comments", () => {
+    const { finalCode } = extract({ outputMode: "original" });
+
+    expect(finalCode).toContain(
+      [
+        "/**",
+        " * Doubles a number",
+        " */",
+        "export function double(x) {",
+        "  return x   *   2; // keep the spacing",
+        "}",
+      ].join("\n")
+    );
+    expect(finalCode).not.toContain("Not needed");
+  });
+
+  test("emits declarations in source order, grouped and labelled by file", () => {
+    const { finalCode } = extract({ outputMode: "original" });
+
+    expect(finalCode).toBe(
+      [
+        "// main.js",
+        "function run() {",
+        "  return double(FACTOR);",
+        "}",
+        "",
+        "const FACTOR = 21;",
+        "",
+        "// math.js",
+        "/**",
+        " * Doubles a number",
+        " */",
+        "export function double(x) {",
+        "  return x   *   2; // keep the spacing",
+        "}",
+      ].join("\n")
+    );
+  });
+
+  test("generated mode still regenerates the code", () => {
+    const { finalCode } = extract({});
+
+    expect(finalCode).toContain("return x * 2;");
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, expect, test } = require("bun:test");
+const { createExtractor, findAndExtract } = require("../src/index.js");
+
+const files = {
+  "/project/lib.js": [
+    'const { helper } = require("./dep");',
+    "function useHelper() { return helper(); }",
+    "module.exports = { useHelper };",
+  ].join("\n"),
+  "/project/dep.js": [
+    "function helper() { return 'dep helper'; }",
+    "module.exports = { helper };",
+  ].join("\n"),
+};
+
+const main =
+  'const { useHelper } = require("./lib");\nfunction main() { return useHelper(); }';
+
+describe("createExtractor", () => {
+  test("parses each file once across calls", () => {
+    const extractor = createExtractor({ files });
+
+    extractor.findAndExtract(main, /function main/, "/project/main.js");
+    extractor.findAndExtract(main, /function main/, "/project/main.js");
+
+    expect(extractor.getCacheStats()).toEqual({ size: 3, hits: 3, misses: 3 });
+  });
+
+  test("a call doesn't see the require() links of an earlier call", () => {
+    const extractor = createExtractor({ files });
+    const followed = extractor.findAndExtract(
+      main,
+      /function main/,
+      "/project/main.js"
+    );
+    const shallow = extractor.findAndExtract(
+      main,
+      /function main/,
+      "/project/main.js",
+      { maxDepth: 1 }
+    );
+
+    expect(followed.finalCode).toContain("dep helper");
+    // dep.js is past maxDepth, so its require() stays in the code like without a cache
+    const uncached = findAndExtract(main, /function main/, "/project/main.js", {
+      files,
+      maxDepth: 1,
+    });
+    expect(shallow.finalCode).toBe(uncached.finalCode);
+    expect(shallow.finalCode).toContain('require("./dep")');
+    expect(shallow.metadata.dependencies).toEqual(
+      uncached.metadata.dependencies
+    );
+  });
+
+  test("a call made from a hook doesn't change the links of the running call", () => {
+    const extractor = createExtractor({ files });
+    const alone = extractor.findAndExtract(
+      main,
+      /function main/,
+      "/project/main.js"
+    );
+
+    const nested = extractor.findAndExtract(
+      main,
+      /function main/,
+      "/project/main.js",
+      {
+        onMatch: () =>
+          extractor.findAndExtract(main, /function main/, "/project/main.js", {
+            maxDepth: 1,
+          }),
+      }
+    );
+
+    expect(nested.finalCode).toBe(alone.finalCode);
+    expect(nested.metadata.dependencies).toEqual(alone.metadata.dependencies);
+  });
+
+  test("interleaved calls over unrelated files give the same results as fresh ones", () => {
+    const extractor = createExtractor({ files });
+    const other = "function other() { return 1; }";
+
+    const first = extractor.findAndExtract(
+      main,
+      /function main/,
+      "/project/main.js"
+    );
+    extractor.findAndExtract(other, /function other/, "/project/other.js");
+    const again = extractor.findAndExtract(
+      main,
+      /function main/,
+      "/project/main.js"
+    );
+
+    expect(again.finalCode).toBe(first.finalCode);
+    expect(again.metadata.dependencies).toEqual(first.metadata.dependencies);
+  });
+
+  test("edited, invalidated and cleared files are parsed again", () => {
+    const extractor = createExtractor({ files });
+    const code = "function main() { return 1; }";
+
+    extractor.findAndExtract(code, /function main/, "/project/main.js");
+    extractor.findAndExtract(
+      "function main() { return 2; }",
+      /function main/,
+      "/project/main.js"
+    );
+    expect(extractor.getCacheStats()).toEqual({ size: 1, hits: 0, misses: 2 });
+
+    expect(extractor.invalidate("/project/main.js")).toBe(true);
+    extractor.findAndExtract(code, /function main/, "/project/main.js");
+    expect(extractor.getCacheStats().misses).toBe(3);
+
+    extractor.clearCache();
+    expect(extractor.getCacheStats().size).toBe(0);
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, expect, test } = require("bun:test");
+const { createFileSystem } = require("../src/file-system.js");
+const { listProjectFiles } = require("../src/project-files.js");
+const { searchProject } = require("../src/index.js");
+
+const files = {
+  "/project/.gitignore": "dist/\n*.log.js",
+  "/project/src/index.js":
+    'import { helper } from "./helper";\nexport function main() { return helper(); }',
+  "/project/src/helper.ts": "export function helper() { return 1; }",
+  "/project/src/types.d.ts": "export type Id = string;",
+  "/project/src/debug.log.js": "",
+  "/project/src/generated/.gitignore": "*.gen.js\n!keep.gen.js",
+  "/project/src/generated/api.gen.js": "",
+  "/project/src/generated/keep.gen.js": "",
+  "/project/dist/bundle.js": "",
+  "/project/node_modules/pkg/index.js": "",
+  "/project/node_modules/pkg/lib/deep.js": "",
+  "/project/.git/hooks/pre-commit.js": "",
+  "/project/README.md": "",
+};
+
+/**
+ * Creates a virtual file system recording every directory it lists
+ * @returns {{fileSystem: Object, listed: string[]}} File system and listed directories
+ */
+const createRecordingFileSystem = () => {
+  const fileSystem = createFileSystem({ files });
+  const listed = [];
+  return {
+    listed,
+    fileSystem: {
+      ...fileSystem,
+      readDirectory: (dirPath) => {
+        listed.push(dirPath);
+        return fileSystem.readDirectory(dirPath);
+      },
+    },
+  };
+};
+
+describe("listProjectFiles", () => {
+  test("lists JS/TS sources, skipping node_modules, .d.ts, .git and .gitignore matches", () => {
+    const { fileSystem } = createRecordingFileSystem();
+
+    expect(listProjectFiles("/project", fileSystem)).toEqual([
+      "/project/src/generated/keep.gen.js",
+      "/project/src/helper.ts",
+      "/project/src/index.js",
+    ]);
+  });
+
+  test("excluded directories are never read", () => {
+    const { fileSystem, listed } = createRecordingFileSystem();
+
+    listProjectFiles("/project", fileSystem, {
+      exclude: ["**/node_modules/**", "src/generated/**"],
+    });
+
+    expect(listed).not.toContain("/project/node_modules");
+    expect(listed).not.toContain("/project/node_modules/pkg");
+    expect(listed).not.toContain("/project/src/generated");
+    expect(listed).toContain("/project/src");
+  });
+
+  test("directories with only some files excluded are still read", () => {
+    const { fileSystem, listed } = createRecordingFileSystem();
+
+    const result = listProjectFiles("/project", fileSystem, {
+      exclude: ["**/*.gen.js"],
+      gitignore: false,
+    });
+
+    expect(listed).toContain("/project/src/generated");
+    expect(result).not.toContain("/project/src/generated/keep.gen.js");
+    expect(result).toContain("/project/node_modules/pkg/lib/deep.js");
+  });
+
+  test("include and exclude globs are relative to the root", () => {
+    const { fileSystem } = createRecordingFileSystem();
+
+    expect(
+      listProjectFiles("/project", fileSystem, {
+        include: ["src/*.{js,ts}"],
+        exclude: ["**/helper.*"],
+      })
+    ).toEqual(["/project/src/index.js", "/project/src/types.d.ts"]);
+  });
+
+  test("gitignore: false lists ignored files too", () => {
+    const { fileSystem } = createRecordingFileSystem();
+    const result = listProjectFiles("/project", fileSystem, {
+      gitignore: false,
+    });
+
+    expect(result).toContain("/project/dist/bundle.js");
+    expect(result).toContain("/project/src/generated/api.gen.js");
+    expect(result).not.toContain("/project/.git/hooks/pre-commit.js");
+  });
+});
+
+describe("searchProject", () => {
+  test("extracts from every matching file and can merge the results", () => {
+    const result = searchProject("/project", {
+      pattern: /function (main|helper)/,
+      files,
+      merge: true,
+    });
+
+    expect(result.files.map(({ file }) => file)).toEqual([
+      "/project/src/helper.ts",
+      "/project/src/index.js",
+    ]);
+    expect(result.merged.files).toEqual([
+      "/project/src/helper.ts",
+      "/project/src/index.js",
+    ]);
+    expect(result.merged.finalCode.match(/function helper/g)).toHaveLength(1);
+    expect(result.merged.duplicatesRemoved).toBe(1);
+  });
+});
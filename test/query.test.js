@@ -0,0 +1,98 @@
+const { describe, expect, test } = require("bun:test");
+const { findAndExtract } = require("../src/index.js");
+
+const files = {
+  "/project/src/player/player.js": [
+    "export class Player {",
+    "  async play() { return 1; }",
+    "  async decrypt() { return 2; }",
+    "  stop() { return 3; }",
+    "}",
+    "class Recorder {",
+    "  async record() { return 4; }",
+    "}",
+    "export const makeRecorder = () => new Recorder();",
+  ].join("\n"),
+  "/project/src/other.js": [
+    "export class Player {",
+    "  async play() { return 5; }",
+    "}",
+    "export function outer() {",
+    "  function inner() {",
+    "    const deepest = () => 6;",
+    "    return deepest();",
+    "  }",
+    "  return inner();",
+    "}",
+  ].join("\n"),
+};
+
+const main = [
+  'import { Player, makeRecorder } from "./player/player.js";',
+  'import { Player as OtherPlayer, outer } from "./other.js";',
+  "export function main() { return [Player, makeRecorder, OtherPlayer, outer]; }",
+].join("\n");
+
+const match = (query) =>
+  findAndExtract(main, query, "/project/src/main.js", { files }).metadata
+    .matchedPatterns;
+
+describe("query patterns", () => {
+  test("fields combine: async methods of Player under src/player", () => {
+    expect(
+      match({
+        type: "method",
+        className: "Player",
+        async: true,
+        source: "src/player/**",
+      })
+    ).toEqual(["Player.play", "Player.decrypt"]);
+  });
+
+  test("not excludes matches", () => {
+    expect(
+      match({
+        type: "method",
+        className: "Player",
+        source: "src/player/**",
+        not: [{ name: /decrypt/ }, { async: false }],
+      })
+    ).toEqual(["Player.play"]);
+  });
+
+  test("values may be lists, regexes or null", () => {
+    expect(match({ name: ["Player.stop", /^Recorder\./] })).toEqual([
+      "Player.stop",
+      "Recorder.record",
+    ]);
+    expect(
+      match({ type: ["function", "arrow-function"], parentFunction: null })
+    ).toEqual(["main", "makeRecorder", "outer"]);
+  });
+
+  test("depth takes a number or a range", () => {
+    expect(match({ depth: 2 })).toEqual(["deepest"]);
+    expect(match({ depth: { min: 1 } })).toEqual(["inner", "deepest"]);
+  });
+
+  test("exported and source regexes", () => {
+    expect(match({ exported: false, type: "class" })).toEqual(["Recorder"]);
+    expect(match({ source: /other\.js$/, type: "class" })).toEqual(["Player"]);
+  });
+
+  test("pattern and selector narrow the declarations further", () => {
+    expect(match({ className: "Player", pattern: /return [23]/ })).toEqual([
+      "Player.decrypt",
+      "Player.stop",
+    ]);
+    expect(
+      match({ selector: "NewExpression", type: "arrow-function" })
+    ).toEqual(["makeRecorder"]);
+  });
+
+  test("unknown fields are rejected", () => {
+    expect(() => match({ kind: "method" })).toThrow(
+      "Unknown query field: kind"
+    );
+  });
+});
@@ -0,0 +1,74 @@
+const { afterAll, describe, expect, test } = require("bun:test");
+const { findAndExtract } = require("../src/index.js");
+const { createFixture } = require("./fixture.js");
+
+const fixture = createFixture({
+  "lib/index.js": [
+    'export * from "./math.js";',
+    'export { format as formatText } from "./text.js";',
+    'export * as strings from "./text.js";',
+  ].join("\n"),
+  "lib/math.js": [
+    "export const add = (a, b) => a + b;",
+    "export const sub = (a, b) => a - b;",
+  ].join("\n"),
+  "lib/text.js": [
+    "export function format(text) { return text.trim(); }",
+    "export function shout(text) { return text.toUpperCase(); }",
+  ].join("\n"),
+});
+afterAll(fixture.remove);
+
+const extract = (code) =>
+  findAndExtract(code, /function main/, fixture.file("main.js"));
+
+describe("re-export chains", () => {
+  test("export * leads to the defining file only", () => {
+    const result = extract(
+      'import { add } from "./lib/index.js";\nfunction main() { return add(1, 2); }'
+    );
+
+    expect(result.metadata.dependencies).toEqual(["add"]);
+    expect(result.finalCode).toContain("a + b");
+    expect(result.finalCode).not.toContain("sub");
+    expect(result.finalCode).not.toContain("export *");
+    expect(result.metadata.modules[0].imports[0].reexportChain).toEqual([
+      fixture.file("lib/index.js"),
+      fixture.file("lib/math.js"),
+    ]);
+  });
+
+  test("renamed re-exports resolve to the original name", () => {
+    const result = extract(
+      'import { formatText } from "./lib";\nfunction main() { return formatText(" a "); }'
+    );
+
+    expect(result.metadata.dependencies).toEqual(["format"]);
+    expect(result.finalCode).not.toContain("shout");
+  });
+
+  test("namespace re-exports expose the members that are used", () => {
+    const result = extract(
+      'import { strings } from "./lib";\nfunction main() { return strings.shout("a"); }'
+    );
+
+    expect(result.metadata.dependencies).toEqual(["shout"]);
+    expect(result.finalCode).not.toContain("function format");
+  });
+
+  test("barrels re-exporting each other don't loop", () => {
+    const result = findAndExtract(
+      'import { value } from "./a.js";\nfunction main() { return value; }',
+      /function main/,
+      "/loop/main.js",
+      {
+        files: {
+          "/loop/a.js": 'export * from "./b.js";',
+          "/loop/b.js": 'export * from "./a.js";\nexport const value = 1;',
+        },
+      }
+    );
+
+    expect(result.metadata.dependencies).toEqual(["value"]);
+  });
+});
@@ -0,0 +1,190 @@
+const { afterAll, describe, expect, test } = require("bun:test");
+const { createResolver } = require("../src/resolver.js");
+const { findAndExtract } = require("../src/index.js");
+const { createFixture } = require("./fixture.js");
+
+const fixture = createFixture({
+  "package.json": JSON.stringify({
+    name: "app",
+    imports: {
+      "#internal/*": "./src/internal/*.js",
+      "#env": { browser: "./src/env.browser.js", default: "./src/env.node.js" },
+    },
+  }),
+  "tsconfig.base.json": [
+    "{",
+    "  // Comments and trailing commas are allowed",
+    '  "compilerOptions": { "baseUrl": "./src", "paths": { "@lib/*": ["lib/*"] }, },',
+    "}",
+  ].join("\n"),
+  "tsconfig.json": JSON.stringify({ extends: "./tsconfig.base.json" }),
+  "src/main.js": "",
+  "src/lib/math.ts": "export const add = (a: number, b: number) => a + b;",
+  "src/utils/index.js": "",
+  "src/internal/secret.js": "export default 42;",
+  "src/env.browser.js": "",
+  "src/env.node.js": "",
+  "aliased/helpers.js": "",
+  "node_modules/pkg/package.json": JSON.stringify({
+    name: "pkg",
+    exports: {
+      ".": { import: "./esm/index.js", require: "./cjs/index.js" },
+      "./feature": "./esm/feature.js",
+    },
+  }),
+  "node_modules/pkg/esm/index.js": "",
+  "node_modules/pkg/cjs/index.js": "",
+  "node_modules/pkg/esm/feature.js": "",
+  "node_modules/pkg/esm/hidden.js": "",
+  "node_modules/legacy/package.json": JSON.stringify({
+    main: "lib/main.js",
+  }),
+  "node_modules/legacy/lib/main.js": "",
+});
+afterAll(fixture.remove);
+
+const importer = fixture.file("src/main.js");
+
+/**
+ * Creates a resolver over the fixture repo
+ * @param {Object} [options] - Extra resolver options
+ * @returns {function(string, string): Object|null} Resolver
+ */
+const createTestResolver = (options = {}) => createResolver(options);
+
+describe("createResolver", () => {
+  test("relative imports try extensions and index files", () => {
+    const resolve = createTestResolver();
+
+    expect(resolve("./lib/math", importer)).toEqual({
+      path: fixture.file("src/lib/math.ts"),
+      rule: "relative",
+    });
+    expect(resolve("./utils", importer)?.path).toBe(
+      fixture.file("src/utils/index.js")
+    );
+    expect(resolve("./missing", importer)).toBeNull();
+  });
+
+  test("tsconfig paths and baseUrl are read through extends", () => {
+    const resolve = createTestResolver();
+
+    expect(resolve("@lib/math", importer)).toEqual({
+      path: fixture.file("src/lib/math.ts"),
+      rule: "tsconfig-paths",
+    });
+    expect(resolve("utils", importer)).toEqual({
+      path: fixture.file("src/utils/index.js"),
+      rule: "tsconfig-baseUrl",
+    });
+  });
+
+  test("tsconfig: false ignores the config files", () => {
+    const resolve = createTestResolver({ tsconfig: false });
+
+    expect(resolve("@lib/math", importer)).toBeNull();
+  });
+
+  test("alias maps resolve from the project root and win over tsconfig", () => {
+    const resolve = createTestResolver({
+      alias: { "@lib/*": "./aliased/*", "~": "./src" },
+    });
+
+    expect(resolve("@lib/helpers", importer)).toEqual({
+      path: fixture.file("aliased/helpers.js"),
+      rule: "alias",
+    });
+    expect(resolve("~/utils", importer)?.path).toBe(
+      fixture.file("src/utils/index.js")
+    );
+  });
+
+  test("package.json imports follow subpath patterns and conditions", () => {
+    expect(createTestResolver()("#internal/secret", importer)).toEqual({
+      path: fixture.file("src/internal/secret.js"),
+      rule: "package-imports",
+    });
+    expect(createTestResolver()("#env", importer)?.path).toBe(
+      fixture.file("src/env.node.js")
+    );
+    expect(
+      createTestResolver({ conditions: ["browser"] })("#env", importer)?.path
+    ).toBe(fixture.file("src/env.browser.js"));
+  });
+
+  test("package.json exports pick the first matching condition", () => {
+    expect(createTestResolver()("pkg", importer)).toEqual({
+      path: fixture.file("node_modules/pkg/esm/index.js"),
+      rule: "package-exports",
+      packageName: "pkg",
+    });
+    expect(
+      createTestResolver({ conditions: ["require"] })("pkg", importer)?.path
+    ).toBe(fixture.file("node_modules/pkg/cjs/index.js"));
+    expect(createTestResolver()("pkg/feature", importer)?.path).toBe(
+      fixture.file("node_modules/pkg/esm/feature.js")
+    );
+  });
+
+  test("files a package doesn't export can't be imported", () => {
+    expect(createTestResolver()("pkg/esm/hidden.js", importer)).toBeNull();
+  });
+
+  test("a custom resolve runs first and may defer to the built-in rules", () => {
+    const resolve = createTestResolver({
+      resolve: (importPath) =>
+        importPath === "virtual:math" ? fixture.file("src/lib/math.ts") : null,
+    });
+
+    expect(resolve("virtual:math", importer)).toEqual({
+      path: fixture.file("src/lib/math.ts"),
+      rule: "custom",
+    });
+    expect(resolve("./utils", importer)?.rule).toBe("relative");
+  });
+
+  test("packages without exports fall back to their main field", () => {
+    expect(createTestResolver()("legacy", importer)).toEqual({
+      path: fixture.file("node_modules/legacy/lib/main.js"),
+      rule: "node-modules",
+      packageName: "legacy",
+    });
+  });
+});
+
+describe("importResolutions", () => {
+  test("records the rule used for every import of the walked graph", () => {
+    const result = findAndExtract(
+      [
+        'import { add } from "@lib/math";',
+        'import secret from "#internal/secret";',
+        'import missing from "./nope";',
+        "export function main() { return add(secret, missing); }",
+      ].join("\n"),
+      /function main/,
+      importer
+    );
+
+    expect(result.metadata.importResolutions).toEqual([
+      {
+        importPath: "@lib/math",
+        importer,
+        resolvedPath: fixture.file("src/lib/math.ts"),
+        rule: "tsconfig-paths",
+      },
+      {
+        importPath: "#internal/secret",
+        importer,
+        resolvedPath: fixture.file("src/internal/secret.js"),
+        rule: "package-imports",
+      },
+      {
+        importPath: "./nope",
+        importer,
+        resolvedPath: null,
+        rule: null,
+      },
+    ]);
+    expect(result.finalCode).toContain("a + b");
+  });
+});
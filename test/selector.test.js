@@ -0,0 +1,112 @@
+const { describe, expect, test } = require("bun:test");
+const parser = require("@babel/parser");
+const traverse = require("@babel/traverse").default;
+const { compileSelector } = require("../src/selector.js");
+const { findAndExtract } = require("../src/index.js");
+
+const code = [
+  "async function load(worker) {",
+  "  const data = await fetch('/x');",
+  "  return crypto.decrypt(data);",
+  "}",
+  "function spawn() { return new Worker('a.js'); }",
+  "function spawnShared() { return new SharedWorker('b.js'); }",
+  "// crypto.decrypt(comment)",
+  "const note = 'crypto.decrypt(string)';",
+].join("\n");
+
+const ast = parser.parse(code, { sourceType: "module" });
+
+/**
+ * Lists the source text of every node a selector matches
+ * @param {string} selector - Selector to run
+ * @returns {string[]} Matching source snippets, in traversal order
+ */
+const select = (selector) => {
+  const matches = compileSelector(selector);
+  const found = [];
+  traverse(ast, {
+    enter(path) {
+      if (matches(path)) found.push(code.slice(path.node.start, path.node.end));
+    },
+  });
+  return found;
+};
+
+describe("compileSelector", () => {
+  test("matches node types, including Babel aliases", () => {
+    expect(select("NewExpression")).toEqual([
+      "new Worker('a.js')",
+      "new SharedWorker('b.js')",
+    ]);
+    expect(select("Function")).toHaveLength(3);
+  });
+
+  test("attribute paths, equality and regexes", () => {
+    expect(select('CallExpression[callee.property.name="decrypt"]')).toEqual([
+      "crypto.decrypt(data)",
+    ]);
+    expect(select("NewExpression[callee.name=/^Worker$/]")).toEqual([
+      "new Worker('a.js')",
+    ]);
+    expect(select("NewExpression[callee.name=/worker/i]")).toHaveLength(2);
+    expect(select("FunctionDeclaration[async=true]")).toHaveLength(1);
+    expect(select("FunctionDeclaration[async!=true]")).toHaveLength(2);
+    expect(select("FunctionDeclaration[id.name=spawn]")).toHaveLength(1);
+  });
+
+  test("descendant and child combinators", () => {
+    expect(select("FunctionDeclaration[async] CallExpression")).toEqual([
+      "fetch('/x')",
+      "crypto.decrypt(data)",
+    ]);
+    expect(select("AwaitExpression > CallExpression")).toEqual(["fetch('/x')"]);
+    expect(select("ReturnStatement > *[callee.name='Worker']")).toEqual([
+      "new Worker('a.js')",
+    ]);
+  });
+
+  test("alternatives", () => {
+    expect(
+      select("AwaitExpression, NewExpression[callee.name=Worker]")
+    ).toEqual(["await fetch('/x')", "new Worker('a.js')"]);
+  });
+
+  test.each([
+    ["", "expected a selector"],
+    ["Nope", "unknown node type Nope"],
+    ["CallExpression[", "expected an attribute name"],
+    ["CallExpression[callee.name=]", "expected a value"],
+    ["CallExpression[callee.name='x'", "expected ]"],
+    ["CallExpression >", "expected a selector after >"],
+    ["CallExpression ~ Identifier", "expected a node type or ["],
+    ["CallExpression)", 'unexpected ")"'],
+  ])("rejects %p", (selector, message) => {
+    expect(() => compileSelector(selector)).toThrow(message);
+  });
+});
+
+describe("selector patterns", () => {
+  test("match on the enclosing declaration, not on comments or strings", () => {
+    const result = findAndExtract(
+      code,
+      { selector: 'CallExpression[callee.property.name="decrypt"]' },
+      "/project/main.js",
+      { files: {} }
+    );
+
+    expect(result.metadata.matchedPatterns).toEqual(["load"]);
+    expect(result.finalCode).not.toContain("note");
+  });
+
+  test("predicates over Babel paths work too", () => {
+    const result = findAndExtract(
+      code,
+      (path) => path.isNewExpression() && path.get("callee").isIdentifier(),
+      "/project/main.js",
+      { files: {} }
+    );
+
+    expect(result.metadata.matchedPatterns).toEqual(["spawn", "spawnShared"]);
+  });
+});
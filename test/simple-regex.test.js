@@ -0,0 +1,129 @@
+const { describe, expect, test } = require("bun:test");
+const { simpleRegexExtract } = require("../src/index.js");
+
+const extract = (code, pattern) =>
+  simpleRegexExtract(code, pattern, true, {
+    filePath: "/project/main.js",
+    files: {},
+  });
+
+describe("simpleRegexExtract", () => {
+  test("reports line, column and capture groups of every hit", () => {
+    const code = [
+      "function first() {",
+      "  return 1; // TODO(alice)",
+      "}",
+      "TODO(top);",
+    ].join("\n");
+    const { matchDetails } = extract(code, /TODO\((?<owner>\w+)\)/g);
+
+    expect(matchDetails).toHaveLength(2);
+    expect(matchDetails[0]).toMatchObject({
+      match: "TODO(alice)",
+      matchIndex: 34,
+      line: 2,
+      column: 15,
+      endLine: 2,
+      endColumn: 26,
+      groups: ["alice"],
+      namedGroups: { owner: "alice" },
+      containerName: "first",
+      containerType: "function",
+    });
+    expect(matchDetails[1]).toMatchObject({
+      line: 4,
+      column: 0,
+      containerName: "top-level",
+    });
+  });
+
+  test("finds containers whatever the formatting of the source", () => {
+    const code = [
+      "function   spaced ( a,b )",
+      "{",
+      "",
+      '    return  a+b   // "needle"',
+      "}",
+    ].join("\n");
+
+    expect(extract(code, "needle").containers).toEqual(["spaced"]);
+  });
+
+  test("identical bodies land on the copy that holds the hit", () => {
+    const code = [
+      "function a() { return compute(1); }",
+      "function b() { return compute(1); }",
+      "function compute(x) { return x; }",
+    ].join("\n");
+    const { matchDetails } = extract(code, /compute\(1\)/g);
+
+    expect(matchDetails.map(({ containerName }) => containerName)).toEqual([
+      "a",
+      "b",
+    ]);
+  });
+
+  test("picks the innermost function, method, class or object method", () => {
+    const code = [
+      "class Api {",
+      "  get() {",
+      "    const parse = () => 'hit-arrow';",
+      "    return parse();",
+      "  }",
+      "  field = 'hit-class';",
+      "}",
+      "const handlers = { on() { return 'hit-object'; } };",
+    ].join("\n");
+    const { matchDetails } = extract(code, /hit-\w+/g);
+
+    expect(
+      matchDetails.map(({ match, containerName, containerType }) => [
+        match,
+        containerName,
+        containerType,
+      ])
+    ).toEqual([
+      ["hit-arrow", "parse", "nested-function"],
+      ["hit-class", "Api.field", "field"],
+      ["hit-object", "handlers.on", "object-method"],
+    ]);
+    expect(matchDetails[0]).toMatchObject({
+      parentFunction: "get",
+      className: "Api",
+    });
+  });
+
+  test("extracts the containers with their dependencies", () => {
+    const code = [
+      "const double = (x) => x * 2;",
+      "const unused = 0;",
+      "function run() { return double(21); } // marker",
+    ].join("\n");
+    const result = extract(code, "double\\(21");
+
+    expect(result.containers).toEqual(["run"]);
+    expect(result.dependencies).toEqual(["double"]);
+    expect(result.extractedCode).not.toContain("unused");
+  });
+
+  test("only containers of the searched file are extracted", () => {
+    // other.js has a function at the very same offsets as `run`
+    const code = [
+      'import { helper } from "./other.js";',
+      "function run() { return helper(); }",
+    ].join("\n");
+    const other = [
+      "// ---------- same length ----------",
+      "function odd() { return helper(); }",
+      "export function helper() { return 1; }",
+    ].join("\n");
+    const result = simpleRegexExtract(code, /return helper/, true, {
+      filePath: "/project/main.js",
+      files: { "/project/other.js": other },
+    });
+
+    expect(result.containers).toEqual(["run"]);
+    expect(result.dependencies).toEqual(["helper"]);
+    expect(result.extractedCode).not.toContain("odd");
+  });
+});
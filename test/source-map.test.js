@@ -0,0 +1,75 @@
+const { afterAll, describe, expect, test } = require("bun:test");
+const { findAndExtract, getOriginalPosition } = require("../src/index.js");
+const { createFixture } = require("./fixture.js");
+
+const fixture = createFixture({
+  "math.js": [
+    "// Not needed",
+    "export const unused = 0;",
+    "",
+    "/**",
+    " * Doubles a number",
+    " */",
+    "export function double(x) {",
+    "  return x   *   2; // keep the spacing",
+    "}",
+  ].join("\n"),
+});
+afterAll(fixture.remove);
+
+const main = [
+  'import { double } from "./math.js";',
+  "",
+  "function run() {",
+  "  return double(FACTOR);",
+  "}",
+  "",
+  "const FACTOR = 21;",
+].join("\n");
+
+const extract = (options) =>
+  findAndExtract(main, /function run/, fixture.file("main.js"), options);
+
+describe("source maps", () => {
+  test.each(["original", "generated"])(
+    "%s output maps back to every original file",
+    (outputMode) => {
+      const { finalCode, sourceMap } = extract({ outputMode, sourceMap: true });
+      const lines = finalCode.split("\n");
+      const doubleLine =
+        lines.findIndex((line) => line.includes("return x")) + 1;
+      const factorLine =
+        lines.findIndex((line) => line.includes("FACTOR = 21")) + 1;
+
+      expect(sourceMap.version).toBe(3);
+      expect(sourceMap.sources).toEqual(
+        expect.arrayContaining([
+          fixture.file("main.js"),
+          fixture.file("math.js"),
+        ])
+      );
+      expect(
+        getOriginalPosition(
+          sourceMap,
+          doubleLine,
+          lines[doubleLine - 1].indexOf("return")
+        )
+      ).toEqual({ file: fixture.file("math.js"), line: 8, column: 2 });
+      expect(getOriginalPosition(sourceMap, factorLine, 0)).toEqual({
+        file: fixture.file("main.js"),
+        line: 7,
+        column: 0,
+      });
+    }
+  );
+
+  test("no source map unless asked", () => {
+    expect(extract({}).sourceMap).toBeUndefined();
+  });
+
+  test("unmapped positions return null", () => {
+    const { sourceMap } = extract({ sourceMap: true });
+
+    expect(getOriginalPosition(sourceMap, 999, 0)).toBeNull();
+  });
+});
@@ -0,0 +1,26 @@
+// Type-level checks of the published declarations, run by `bun run typecheck`
+import {
+  extractPatternWithDependencies,
+  findAndExtract,
+  searchProject,
+  simpleRegexExtract,
+} from "../types/index.js";
+
+findAndExtract("", /function run/);
+findAndExtract("", () => true);
+findAndExtract("", { type: "method", className: "Player" });
+findAndExtract("", { selector: 'CallExpression[callee.name="atob"]' });
+extractPatternWithDependencies("", {
+  exported: true,
+  not: { type: "variable" },
+});
+searchProject("/project", { pattern: { selector: "FunctionDeclaration" } });
+
+simpleRegexExtract("", /TODO/g, true, {
+  filePath: "/project/main.ts",
+  files: { "/project/util.ts": "export const util = 1;" },
+  classMembers: "used",
+});
+
+// @ts-expect-error query objects only take DeclarationQuery fields
+findAndExtract("", { kind: "method" });
@@ -0,0 +1,94 @@
+const { describe, expect, test } = require("bun:test");
+const { findAndExtract, simpleRegexExtract } = require("../src/index.js");
+
+const files = {
+  "/project/types.ts": [
+    "export interface Track { id: string; cipher: Cipher }",
+    "export type Cipher = 'aes' | 'none';",
+    "export enum Mode { Fast, Safe }",
+    "export interface Unused { x: number }",
+  ].join("\n"),
+};
+
+const main = [
+  'import { Track, Mode } from "./types";',
+  "declare const KEY: string;",
+  "function decrypt(track: Track, mode: Mode): string {",
+  "  return track.id + KEY + mode;",
+  "}",
+  "function other(): number { return 1; }",
+].join("\n");
+
+describe("TypeScript and JSX parsing", () => {
+  test("parses .ts entries and pulls in the types a function uses", () => {
+    const result = findAndExtract(
+      main,
+      /function decrypt/,
+      "/project/main.ts",
+      {
+        files,
+      }
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.metadata.dependencies).toEqual(
+      expect.arrayContaining(["Track", "Mode", "KEY", "Cipher"])
+    );
+    expect(result.metadata.dependencies).not.toContain("Unused");
+    expect(result.finalCode).toContain("interface Track");
+    expect(result.finalCode).toContain("type Cipher");
+    expect(result.finalCode).toContain("enum Mode");
+    expect(result.finalCode).not.toContain("function other");
+  });
+
+  test("records interface, type, enum and declare declarations", () => {
+    const result = findAndExtract(
+      main,
+      { type: ["interface", "type", "enum", "declare"] },
+      "/project/main.ts",
+      { files, outputMode: "original" }
+    );
+
+    expect(result.metadata.matchDetails.map((detail) => detail.type)).toEqual(
+      expect.arrayContaining(["interface", "type", "enum", "declare"])
+    );
+  });
+
+  test("parses JSX in .jsx and .tsx files", () => {
+    const component = [
+      "const Label = ({ text }: { text: string }) => <b>{text}</b>;",
+      "export function App() { return <Label text='hi' />; }",
+    ].join("\n");
+
+    const result = findAndExtract(component, /function App/, "/ui/app.tsx", {
+      files: {},
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.metadata.dependencies).toEqual(["Label"]);
+  });
+
+  test("the simple method parses by the extension of options.filePath", () => {
+    const result = simpleRegexExtract(main, /KEY \+ mode/, true, {
+      filePath: "/project/main.ts",
+      files,
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.containers).toEqual(["decrypt"]);
+    expect(result.dependencies).toEqual(
+      expect.arrayContaining(["Track", "Mode", "KEY"])
+    );
+    expect(result.unresolvedImports).toEqual([]);
+  });
+
+  test("the simple method still reports a parse error for TypeScript without a .ts path", () => {
+    const result = simpleRegexExtract(main, /decrypt/, true, {
+      filePath: "/project/main.js",
+      files,
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.message).toStartWith("Parse error");
+  });
+});
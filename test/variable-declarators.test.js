@@ -0,0 +1,65 @@
+const { describe, expect, test } = require("bun:test");
+const { findAndExtract } = require("../src/index.js");
+
+const code = [
+  "const config = { host: 'h', port: 1 };",
+  "const pair = ['x', 'y'];",
+  "const { host, ...rest } = config;",
+  "const [first, , second = 'z'] = pair;",
+  "const unusedA = 1, base = host + '/', unusedB = pair;",
+  "export const exA = 1, exB = 2;",
+  "function run() { return base + rest.port + second; }",
+].join("\n");
+
+const extract = (pattern, options = {}) =>
+  findAndExtract(code, pattern, "/project/main.js", { files: {}, ...options });
+
+describe("variable declarators", () => {
+  test("every binding of object and array patterns is recorded", () => {
+    expect(extract({ type: "variable" }).metadata.matchedPatterns).toEqual([
+      "config",
+      "pair",
+      "host",
+      "rest",
+      "first",
+      "second",
+      "unusedA",
+      "base",
+      "unusedB",
+      "exA",
+      "exB",
+    ]);
+  });
+
+  test("every declarator of an exported statement is exported", () => {
+    expect(extract({ exported: true }).metadata.matchedPatterns).toEqual([
+      "exA",
+      "exB",
+    ]);
+  });
+
+  test("only the needed declarators are emitted (original output)", () => {
+    const { finalCode } = extract(/function run/, { outputMode: "original" });
+
+    expect(finalCode).toContain("const base = host + '/';");
+    expect(finalCode).toContain("const { host, ...rest } = config;");
+    expect(finalCode).not.toContain("unused");
+    expect(extract(/exB = /, { outputMode: "original" }).finalCode).toBe(
+      "export const exB = 2;"
+    );
+  });
+
+  test("only the needed declarators are emitted (generated output)", () => {
+    const { finalCode } = extract(/function run/);
+
+    expect(finalCode).toContain("const base = host + '/';");
+    expect(finalCode).not.toContain("unused");
+  });
+
+  test("each declarator brings in only its own dependencies", () => {
+    expect(extract(/base = /).metadata.dependencies).toEqual([
+      "host",
+      "config",
+    ]);
+  });
+});
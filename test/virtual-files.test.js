@@ -0,0 +1,128 @@
+const {
+  afterEach,
+  beforeEach,
+  describe,
+  expect,
+  spyOn,
+  test,
+} = require("bun:test");
+const fs = require("fs");
+const { createFileSystem } = require("../src/file-system.js");
+const { findAndExtract, searchProject } = require("../src/index.js");
+
+const code = [
+  'import { add } from "./math.js";',
+  'import { greet } from "virtual:greetings";',
+  "export function main() { return greet(add(1, 2)); }",
+].join("\n");
+
+let diskSpies;
+
+beforeEach(() => {
+  diskSpies = ["readFileSync", "statSync", "existsSync", "readdirSync"].map(
+    (method) => spyOn(fs, method)
+  );
+});
+
+afterEach(() => {
+  diskSpies.forEach((spy) => spy.mockRestore());
+});
+
+const expectNoDiskAccess = () =>
+  diskSpies.forEach((spy) => expect(spy).not.toHaveBeenCalled());
+
+describe("virtual files", () => {
+  test("an extraction over virtual files never touches the disk", () => {
+    const result = findAndExtract(code, /function main/, "/app/main.js", {
+      files: {
+        "/app/math.js": "export const add = (a, b) => a + b;",
+        "/app/greetings.js": "export const greet = (n) => `hi ${n}`;",
+      },
+      resolve: (importPath) =>
+        importPath === "virtual:greetings" ? "/app/greetings.js" : null,
+    });
+
+    expect(result.metadata.dependencies).toEqual(["greet", "add"]);
+    expect(result.metadata.importResolutions.map(({ rule }) => rule)).toEqual([
+      "relative",
+      "custom",
+    ]);
+    expectNoDiskAccess();
+  });
+
+  test("a custom readFile serves what the virtual files don't have", () => {
+    const reads = [];
+    const result = findAndExtract(code, /function main/, "/app/main.js", {
+      files: { "/app/math.js": "export const add = (a, b) => a + b;" },
+      readFile: (filePath) => {
+        reads.push(filePath);
+        if (filePath === "/app/greetings.js") {
+          return "export const greet = (n) => `hi ${n}`;";
+        }
+        throw new Error("ENOENT");
+      },
+      resolve: (importPath) =>
+        importPath === "virtual:greetings" ? "/app/greetings.js" : null,
+    });
+
+    expect(result.metadata.dependencies).toEqual(["greet", "add"]);
+    expect(reads).not.toContain("/app/math.js");
+    expectNoDiskAccess();
+  });
+
+  test("unknown files resolve to nothing instead of falling back to disk", () => {
+    const result = findAndExtract(
+      'import { x } from "./missing";\nexport function main() { return x; }',
+      /function main/,
+      "/app/main.js",
+      { files: {} }
+    );
+
+    expect(result.metadata.unresolvedImports).toEqual(["./missing"]);
+    expectNoDiskAccess();
+  });
+
+  test("searchProject lists the virtual files as a project", () => {
+    const result = searchProject("/app", {
+      pattern: /function main/,
+      files: {
+        "/app/main.js": code,
+        "/app/math.js": "export const add = (a, b) => a + b;",
+        "/app/greetings.js": "export const greet = (n) => `hi ${n}`;",
+        "/elsewhere/main.js": "export function main() {}",
+      },
+      resolve: (importPath) =>
+        importPath === "virtual:greetings" ? "/app/greetings.js" : null,
+    });
+
+    expect(result.files.map(({ file }) => file)).toEqual(["/app/main.js"]);
+    expectNoDiskAccess();
+  });
+});
+
+describe("createFileSystem", () => {
+  test("asks a custom reader once per path", () => {
+    let calls = 0;
+    const fileSystem = createFileSystem({
+      readFile: () => {
+        calls += 1;
+        return undefined;
+      },
+    });
+
+    expect(fileSystem.isFile("/a.js")).toBe(false);
+    expect(fileSystem.readFile("/a.js")).toBeNull();
+    expect(calls).toBe(1);
+  });
+
+  test("lists virtual directories", () => {
+    const fileSystem = createFileSystem({
+      files: { "/app/a.js": "", "/app/lib/b.js": "", "/other/c.js": "" },
+    });
+
+    expect(fileSystem.readDirectory("/app")).toEqual([
+      { name: "a.js", isDirectory: false },
+      { name: "lib", isDirectory: true },
+    ]);
+  });
+});
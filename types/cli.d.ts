@@ -0,0 +1,7 @@
+#!/usr/bin/env bun
+/**
+ * Entry point of the `dep-ext` command 🎬
+ * @param {string[]} argv - Command-line arguments (without node and script)
+ * @returns {number} Process exit code
+ */
+export function main(argv: string[]): number;
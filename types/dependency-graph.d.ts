@@ -0,0 +1,138 @@
+export type GraphNode = {
+    /**
+     * - Declaration id (file, name and position)
+     */
+    id: string;
+    /**
+     * - Qualified declaration name, e.g. `Class.method`
+     */
+    name: string;
+    /**
+     * - Declaration type
+     */
+    type: string;
+    /**
+     * - File the declaration lives in
+     */
+    file: string;
+    /**
+     * - Line of the declaration
+     */
+    line: number | null;
+    /**
+     * - Owning class, for methods
+     */
+    className: string | null;
+    /**
+     * - Enclosing function, for nested declarations
+     */
+    parentFunction: string | null;
+    /**
+     * - Whether the declaration matched the pattern
+     */
+    matched: boolean;
+    /**
+     * - Whether the declaration is emitted in the extracted code
+     */
+    included: boolean;
+};
+export type GraphEdge = {
+    /**
+     * - Id of the declaration holding the reference
+     */
+    from: string;
+    /**
+     * - Id of the referenced declaration
+     */
+    to: string;
+    /**
+     * - How it is referenced
+     */
+    kind: "call" | "new" | "extends" | "type" | "jsx" | "export" | "require" | "reference" | "container";
+    /**
+     * - File of the referencing identifier
+     */
+    file: string;
+    /**
+     * - Line of the referencing identifier
+     */
+    line: number | null;
+    /**
+     * - Column of the referencing identifier
+     */
+    column: number | null;
+};
+export type DependencyGraph = {
+    /**
+     * - Declarations involved in the extraction
+     */
+    nodes: GraphNode[];
+    /**
+     * - Who depends on whom, one edge per pair and kind
+     */
+    edges: GraphEdge[];
+};
+/**
+ * @typedef {Object} GraphNode
+ * @property {string} id - Declaration id (file, name and position)
+ * @property {string} name - Qualified declaration name, e.g. `Class.method`
+ * @property {string} type - Declaration type
+ * @property {string} file - File the declaration lives in
+ * @property {number|null} line - Line of the declaration
+ * @property {string|null} className - Owning class, for methods
+ * @property {string|null} parentFunction - Enclosing function, for nested declarations
+ * @property {boolean} matched - Whether the declaration matched the pattern
+ * @property {boolean} included - Whether the declaration is emitted in the extracted code
+ */
+/**
+ * @typedef {Object} GraphEdge
+ * @property {string} from - Id of the declaration holding the reference
+ * @property {string} to - Id of the referenced declaration
+ * @property {'call'|'new'|'extends'|'type'|'jsx'|'export'|'require'|'reference'|'container'} kind - How it is referenced
+ * @property {string} file - File of the referencing identifier
+ * @property {number|null} line - Line of the referencing identifier
+ * @property {number|null} column - Column of the referencing identifier
+ */
+/**
+ * @typedef {Object} DependencyGraph
+ * @property {GraphNode[]} nodes - Declarations involved in the extraction
+ * @property {GraphEdge[]} edges - Who depends on whom, one edge per pair and kind
+ */
+/**
+ * Creates a builder collecting the declarations and references of an extraction 🕸️
+ * Nodes are added as edges mention them, so the graph only holds what the
+ * extraction actually walked through.
+ * @returns {{addNode: function(Object, Object=): void, addEdge: function(Object, Object, string, Object=): void, build: function(): DependencyGraph}} Graph builder
+ */
+export function createGraphBuilder(): {
+    addNode: (arg0: Object, arg1: Object | undefined) => void;
+    addEdge: (arg0: Object, arg1: Object, arg2: string, arg3: Object | undefined) => void;
+    build: () => DependencyGraph;
+};
+/**
+ * Merges several dependency graphs, keeping each node and edge once 🔀
+ * @param {DependencyGraph[]} graphs - Graphs to merge
+ * @returns {DependencyGraph} The union of the graphs
+ */
+export function mergeGraphs(graphs: DependencyGraph[]): DependencyGraph;
+/**
+ * Serializes a dependency graph as JSON, Graphviz DOT or Mermaid 🖼️
+ * @param {DependencyGraph} graph - Graph from an extraction result
+ * @param {'json'|'dot'|'mermaid'} [format='json'] - Output format
+ * @returns {string} The serialized graph
+ */
+export function formatGraph(graph: DependencyGraph, format?: "json" | "dot" | "mermaid"): string;
+/**
+ * Serializes a dependency graph as a Graphviz digraph 🟢
+ * Matched declarations are filled, and dashed boxes are only referenced, not emitted.
+ * @param {DependencyGraph} graph - Graph to serialize
+ * @returns {string} DOT source
+ */
+export function toDot(graph: DependencyGraph): string;
+/**
+ * Serializes a dependency graph as a Mermaid flowchart 🧜
+ * Mermaid ids can't hold paths, so nodes get short ids and readable labels.
+ * @param {DependencyGraph} graph - Graph to serialize
+ * @returns {string} Mermaid source
+ */
+export function toMermaid(graph: DependencyGraph): string;
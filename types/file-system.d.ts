@@ -0,0 +1,39 @@
+export type FileSystem = {
+    /**
+     * - Reads a file, or returns null if it doesn't exist
+     */
+    readFile: (arg0: string) => (string | null);
+    /**
+     * - Checks whether a file exists
+     */
+    isFile: (arg0: string) => boolean;
+    /**
+     * - Lists a directory (empty when it can't be listed)
+     */
+    readDirectory: (arg0: string) => {
+        name: string;
+        isDirectory: boolean;
+    }[];
+};
+/**
+ * @typedef {Object} FileSystem
+ * @property {function(string): (string|null)} readFile - Reads a file, or returns null if it doesn't exist
+ * @property {function(string): boolean} isFile - Checks whether a file exists
+ * @property {function(string): {name: string, isDirectory: boolean}[]} readDirectory - Lists a directory (empty when it can't be listed)
+ */
+/**
+ * Creates the file access used by an extraction 💾
+ * Virtual files and a custom `readFile` replace the disk entirely, so an
+ * extraction over in-memory files never touches `fs` (and can run in a browser).
+ * When both are given, virtual files win and `readFile` serves the rest.
+ * @param {Object} [options] - File system options
+ * @param {Object<string, string>} [options.files] - Virtual files, keyed by absolute path
+ * @param {function(string): (string|null|undefined)} [options.readFile] - Custom reader; null, undefined or throwing means the file doesn't exist
+ * @returns {FileSystem} File access for the resolver and the parser
+ */
+export function createFileSystem(options?: {
+    files?: {
+        [x: string]: string;
+    } | undefined;
+    readFile?: ((arg0: string) => (string | null | undefined)) | undefined;
+}): FileSystem;
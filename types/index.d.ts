@@ -1,12 +1,28 @@
 export type DeclarationInfo = {
+    /**
+     * - Unique declaration id (file, name and position)
+     */
+    id: string;
+    /**
+     * - Declared name
+     */
+    name: string;
+    /**
+     * - Name including its owner, e.g. `Class.method`
+     */
+    qualifiedName: string;
     /**
      * - The AST node
      */
     node: Object;
+    /**
+     * - For variables, the declarator within `node` that declares it
+     */
+    declarator?: Object | undefined;
     /**
      * - Type of declaration
      */
-    type: "function" | "variable" | "class" | "import" | "nested-function" | "arrow-function" | "method" | "default-export" | "named-export";
+    type: "function" | "variable" | "class" | "import" | "nested-function" | "arrow-function" | "method" | "getter" | "setter" | "field" | "accessor" | "static-block" | "object-method" | "default-export" | "named-export" | "interface" | "type" | "enum" | "declare" | "namespace" | "cjs-export";
     /**
      * - The Babel path object
      */
@@ -28,9 +44,33 @@ export type DeclarationInfo = {
      */
     className?: string | undefined;
     /**
-     * - The original code snippet for regex matching
+     * - For class members, whether the member is static
+     */
+    static?: boolean | undefined;
+    /**
+     * - The original source text of the declaration, for regex matching (computed on first access)
      */
     originalCode: string;
+    /**
+     * - The Babel binding this declaration introduces
+     */
+    binding?: Object | undefined;
+    /**
+     * - Enclosing declaration for nested declarations
+     */
+    container?: DeclarationInfo | undefined;
+    /**
+     * - For resolved imports, the declaration being imported
+     */
+    target?: DeclarationInfo | undefined;
+    /**
+     * - For imports, the exported name in the target module (`default`, `*` or a name)
+     */
+    importedName?: string | undefined;
+    /**
+     * - For namespace imports, the whole target module
+     */
+    namespace?: ModuleInfo | undefined;
 };
 export type ExtractionResult = {
     /**
@@ -45,49 +85,598 @@ export type ExtractionResult = {
      * - The extracted code
      */
     finalCode: string;
+    /**
+     * - v3 source map from `finalCode` back to the original files (when requested)
+     */
+    sourceMap?: Object | undefined;
+    /**
+     * - Which declaration pulled in which, by reference kind
+     */
+    graph: import("./dependency-graph.js").DependencyGraph;
     /**
      * - Additional metadata about the extraction
      */
     metadata: {
         resolvedImports: string[];
         unresolvedImports: string[];
+        externalImports: string[];
+        importResolutions: {
+            importPath: string;
+            importer: string;
+            resolvedPath: string | null;
+            rule: string | null;
+        }[];
+        modules: {
+            path: string;
+            depth: number;
+            importChain: string[];
+        }[];
         matchedPatterns: string[];
         matchDetails: Object[];
+        explanations: {
+            name: string;
+            type: string;
+            file: string;
+            chain: InclusionStep[];
+        }[];
+    };
+};
+export type InclusionStep = {
+    /**
+     * - Qualified declaration name
+     */
+    name: string;
+    /**
+     * - Declaration id
+     */
+    id: string;
+    /**
+     * - `match` for the matched declaration, else how the previous step references this one
+     */
+    kind: "match" | "call" | "new" | "extends" | "type" | "jsx" | "export" | "require" | "reference" | "container";
+    /**
+     * - File of the reference (of the declaration, for the matched step)
+     */
+    file: string;
+    /**
+     * - Line of the referencing identifier
+     */
+    line: number | null;
+    /**
+     * - Column of the referencing identifier
+     */
+    column: number | null;
+};
+/**
+ * Structured pattern: a declaration matches when every given field matches.
+ * Field values are exact values, regexes, or lists of either (any of them).
+ */
+export type DeclarationQuery = {
+    /**
+     * - Regex tested against the original code
+     */
+    pattern?: string | RegExp | undefined;
+    /**
+     * - AST selector; matches the declarations holding a matching node
+     */
+    selector?: string | undefined;
+    /**
+     * - Name or qualified name (`Class.method`)
+     */
+    name?: string | RegExp | (string | RegExp)[] | undefined;
+    /**
+     * - Declaration type, e.g. `method` or `["function", "arrow-function"]`
+     */
+    type?: string | RegExp | (string | RegExp)[] | undefined;
+    /**
+     * - Owning class (null for declarations outside classes)
+     */
+    className?: string | RegExp | (string | RegExp | null)[] | null | undefined;
+    /**
+     * - Enclosing function (null for top-level declarations)
+     */
+    parentFunction?: string | RegExp | (string | RegExp | null)[] | null | undefined;
+    /**
+     * - Function nesting depth (0 at top level)
+     */
+    depth?: number | {
+        min?: number;
+        max?: number;
+    } | undefined;
+    /**
+     * - File: globs found anywhere in the path (`src/player/**`), or regexes
+     */
+    source?: string | RegExp | (string | RegExp)[] | undefined;
+    /**
+     * - Whether the module exports the declaration
+     */
+    exported?: boolean | undefined;
+    /**
+     * - Whether the declaration is an async function or method
+     */
+    async?: boolean | undefined;
+    /**
+     * - Queries whose matches are excluded
+     */
+    not?: DeclarationQuery | DeclarationQuery[] | undefined;
+};
+/**
+ * Options of extractPatternWithDependencies, also taken by the functions built on it.
+ */
+export type ExtractionOptions = {
+    /**
+     * - Maximum import depth to follow from the entry file
+     */
+    maxDepth?: number | undefined;
+    /**
+     * - Also extract from imported packages (node_modules) instead of keeping their imports as-is
+     */
+    followPackages?: boolean | undefined;
+    /**
+     * - Regenerate code with Babel, or slice the original source text
+     */
+    outputMode?: "generated" | "original" | undefined;
+    /**
+     * - Also return a v3 source map pointing back to the original files
+     */
+    sourceMap?: boolean | undefined;
+    /**
+     * - Import alias map, e.g. `{"@/*": "./src/*"}` (see createResolver)
+     */
+    alias?: {
+        [x: string]: string | string[];
+    } | undefined;
+    /**
+     * - package.json `exports`/`imports` conditions, in priority order
+     */
+    conditions?: string[] | undefined;
+    /**
+     * - tsconfig/jsconfig to read `paths`/`baseUrl` from, or false to ignore them
+     */
+    tsconfig?: string | false | undefined;
+    /**
+     * - Virtual files keyed by absolute path; with this (or `readFile`) the disk is never touched
+     */
+    files?: {
+        [x: string]: string;
+    } | undefined;
+    /**
+     * - Custom file reader, e.g. over a git tree or a bundle
+     */
+    readFile?: ((arg0: string) => (string | null | undefined)) | undefined;
+    /**
+     * - Custom resolver `(importPath, importer)`, falling back to the built-in rules when it returns nothing
+     */
+    resolve?: ((arg0: string, arg1: string) => (string | {
+        path: string;
+    } | null | undefined)) | undefined;
+    /**
+     * - Parsed files to reuse between calls (see createExtractor)
+     */
+    parseCache?: import("./parse-cache.js").ParseCache | undefined;
+    /**
+     * - Test the pattern against declarations of every module, or of the entry file only
+     */
+    matchScope?: "all" | "entry" | undefined;
+    /**
+     * - Emit whole classes, or only the members the extraction uses (see createClassSlicer)
+     */
+    classMembers?: "all" | "used" | undefined;
+    /**
+     * - Log level for this call (silent by default)
+     */
+    logLevel?: "SILENT" | "ERROR" | "WARN" | "INFO" | "DEBUG" | "SUCCESS" | undefined;
+    /**
+     * - Custom logger (e.g. `console`) receiving the log messages
+     */
+    logger?: Object | undefined;
+    /**
+     * - Called for every declaration found in any module
+     */
+    onDeclarationFound?: ((arg0: DeclarationInfo) => void) | undefined;
+    /**
+     * - Called for every import resolved to a file
+     */
+    onImportResolved?: ((arg0: {
+        importPath: string;
+        resolvedPath: string;
+        importer: string;
+        rule: string;
+    }) => void) | undefined;
+    /**
+     * - Called with the match details of every declaration matching the pattern
+     */
+    onMatch?: ((arg0: Object, arg1: DeclarationInfo) => void) | undefined;
+    /**
+     * - Called the first time a declaration is pulled in as a dependency
+     */
+    onDependencyAdded?: ((arg0: DeclarationInfo) => void) | undefined;
+};
+export type ProjectSearchResult = {
+    /**
+     * - Whether any file matched
+     */
+    success: boolean;
+    /**
+     * - Result message
+     */
+    message: string;
+    /**
+     * - One extraction per file with matching declarations
+     */
+    files: (ExtractionResult & {
+        file: string;
+    })[];
+    /**
+     * - Single extraction of every match, with shared dependencies emitted once (when requested)
+     */
+    merged?: {
+        /**
+         * - The merged extracted code
+         */
+        finalCode: string;
+        /**
+         * - v3 source map of the merged code (when requested)
+         */
+        sourceMap?: Object | undefined;
+        /**
+         * - Files contributing to the merged code
+         */
+        files: string[];
+        /**
+         * - Every dependency, once
+         */
+        dependencies: string[];
+        /**
+         * - Declarations in the merged code
+         */
+        totalNodesIncluded: number;
+        /**
+         * - Declarations that several files needed and were emitted once
+         */
+        duplicatesRemoved: number;
+        /**
+         * - Union of the per-file graphs
+         */
+        graph: import("./dependency-graph.js").DependencyGraph;
+    } | undefined;
+    /**
+     * - Search statistics
+     */
+    metadata: {
+        rootDir: string;
+        filesSearched: number;
+        filesMatched: number;
+        skippedFiles: {
+            file: string;
+            reason: string;
+        }[];
     };
 };
+export type ImpactResult = {
+    /**
+     * - Whether any declaration matched the target
+     */
+    success: boolean;
+    /**
+     * - Result message
+     */
+    message: string;
+    /**
+     * - Declarations selected by the target
+     */
+    targets: {
+        name: string;
+        type: string;
+        file: string;
+        line: number | null;
+    }[];
+    /**
+     * - Declarations using a target, directly (`distance` 1) or through others
+     */
+    dependents: {
+        name: string;
+        type: string;
+        file: string;
+        exported: boolean;
+        distance: number;
+        via: {
+            name: string;
+            kind: string;
+            file: string;
+            line: number | null;
+            column: number | null;
+        };
+    };
+    /**
+     * - Files holding a target or a dependent
+     */
+    files: string[];
+    /**
+     * - Exports of the affected declarations
+     */
+    entryPoints: {
+        name: string;
+        declaration: string;
+        file: string;
+    }[];
+    /**
+     * - Scanned modules and unresolved imports
+     */
+    metadata: Object;
+};
+export type DeadCodeResult = {
+    /**
+     * - Whether the analysis ran
+     */
+    success: boolean;
+    /**
+     * - Result message
+     */
+    message: string;
+    /**
+     * - Declarations never reached from the roots
+     */
+    dead: {
+        name: string;
+        type: string;
+        file: string;
+        line: number | null;
+        lines: number;
+        size: number;
+        onlyReferencedByDeadCode: boolean;
+        referencedBy: string[];
+    };
+    /**
+     * - Scanned files no entry imports (with `roots: "entries"`)
+     */
+    unreachableFiles: string[];
+    /**
+     * - Roots, scanned files and total dead size
+     */
+    metadata: Object;
+};
+export type CallContext = {
+    /**
+     * - Logger of the call (see createLogger)
+     */
+    logger: Object;
+    /**
+     * - Calls an event hook of the call, if one was given
+     */
+    emit: (arg0: string, ...args: any[]) => void;
+    /**
+     * - Declaration lookups of every file the call parsed
+     */
+    declarationIndex: DeclarationIndex;
+    /**
+     * - Modules loaded for `require()` calls, keyed by the call node
+     */
+    requiredModules: Map<Object, ModuleInfo>;
+};
+export type DeclarationIndex = {
+    /**
+     * - Declarations keyed by the Babel binding they introduce
+     */
+    byBinding: Map<Object, DeclarationInfo>;
+    /**
+     * - Declarations keyed by the node that owns them (function, declarator, method...)
+     */
+    byOwner: Map<Object, DeclarationInfo>;
+    /**
+     * - Binding-less type-level declarations (interfaces, type aliases...) per program node
+     */
+    typesByProgram: Map<Object, Map<string, DeclarationInfo>>;
+};
+export type ModuleInfo = {
+    /**
+     * - Absolute path of the module
+     */
+    filePath: string;
+    /**
+     * - The parsed AST
+     */
+    ast: Object;
+    /**
+     * - The module's original source text
+     */
+    sourceCode: string;
+    /**
+     * - Declarations found in the module
+     */
+    declarations: Map<string, DeclarationInfo>;
+    /**
+     * - Local declarations keyed by exported name
+     */
+    exports: Map<string, DeclarationInfo>;
+    /**
+     * - `export ... from` entries; `export *` uses `*` for both names
+     */
+    reexports: {
+        exportedName: string;
+        importedName: string;
+        source: string;
+        module: ModuleInfo | null;
+    }[];
+    /**
+     * - Import binding table: local name -> exported name in the target module
+     */
+    imports: Map<string, {
+        source: string;
+        resolvedPath: string | null;
+        importedName: string;
+    }>;
+    /**
+     * - Number of imports between the entry and this module
+     */
+    depth: number;
+    /**
+     * - Files walked from the entry to reach this module
+     */
+    importChain: string[];
+};
+export type PatternBreakdown = {
+    /**
+     * - The pattern, as given (regexes as `/source/flags`)
+     */
+    pattern: string;
+    /**
+     * - Whether the pattern matched any declaration
+     */
+    matched: boolean;
+    /**
+     * - Declarations the pattern matched
+     */
+    matchedPatterns: string[];
+    /**
+     * - Declarations pulled in for those matches
+     */
+    dependencies: string[];
+    /**
+     * - Declarations this pattern alone would emit
+     */
+    totalNodesIncluded: number;
+};
+export type DeclarationRange = {
+    /**
+     * - The declaration
+     */
+    declaration: DeclarationInfo;
+    /**
+     * - Node owning the declaration (function, declarator, method...)
+     */
+    ownerNode: Object;
+    /**
+     * - Start offset of the declaration's code
+     */
+    start: number;
+    /**
+     * - End offset of the declaration's code
+     */
+    end: number;
+};
 /**
  * Enhanced pattern extractor that works with any regex pattern! ✨
  * Searches through original code using regex, not just identifiers! 🥰
- * @param {string} sourceCode - The source code to parse
- * @param {RegExp} patternRegex - Regex to match against the original code
- * @param {string} [currentFilePath] - Current file path for import resolution
+ * @param {string|null} sourceCode - The source code to parse, or null to read `currentFilePath` (e.g. from `options.files`)
+ * @param {RegExp|(function(Object): boolean)|DeclarationQuery} pattern - Regex tested against the original code of each declaration, a query object such as `{selector: 'CallExpression[callee.property.name="decrypt"]'}` or `{type: "method", className: "Player"}`, or a predicate over Babel paths
+ * @param {string} [currentFilePath] - Current file path for import resolution (`main.js` in the working directory by default)
+ * @param {ExtractionOptions} [options] - Extraction options
  * @returns {ExtractionResult} The extraction result
  */
-export function extractPatternWithDependencies(sourceCode: string, patternRegex: RegExp, currentFilePath?: string): ExtractionResult;
+export function extractPatternWithDependencies(sourceCode: string | null, pattern: RegExp | ((arg0: Object) => boolean) | DeclarationQuery, currentFilePath?: string, options?: ExtractionOptions): ExtractionResult;
+/**
+ * Creates a reusable extractor that keeps parsed files between calls ♻️
+ * Every file is parsed once per content: extracting ten patterns from the same
+ * project costs about one parse. Edited files are re-parsed automatically,
+ * since the cache is keyed by path and content hash.
+ * @param {Object} [defaultOptions] - Options applied to every call (see extractPatternWithDependencies)
+ * @returns {Object} Extractor with the extraction functions, `invalidate(filePath)`, `clearCache()` and `getCacheStats()`
+ */
+export function createExtractor(defaultOptions?: Object): Object;
+/**
+ * Runs a pattern or name selector over every file of a project 🗂️
+ * Each file's own declarations are tested, and every file with a match gets its
+ * own extraction (imports are followed as usual). Files are parsed once, even
+ * when many of them import the same modules.
+ * @param {string} rootDir - Directory to search
+ * @param {Object} options - Search options, plus any extraction option (see extractPatternWithDependencies)
+ * @param {string|RegExp|(function(Object): boolean)|DeclarationQuery} [options.pattern] - Regex to match against declarations, or an AST selector or predicate (see extractPatternWithDependencies)
+ * @param {string[]} [options.names] - Exact declaration names to match, instead of a pattern
+ * @param {string[]} [options.include] - Globs of files to search, relative to the root (JS/TS sources by default)
+ * @param {string[]} [options.exclude] - Globs of files to skip (node_modules and .d.ts by default)
+ * @param {boolean} [options.gitignore=true] - Whether to skip files ignored by `.gitignore`
+ * @param {boolean} [options.merge=false] - Also build one extraction of all matches, with shared dependencies deduplicated
+ * @returns {ProjectSearchResult} Per-file extractions and search statistics
+ */
+export function searchProject(rootDir: string, options?: {
+    pattern?: string | RegExp | DeclarationQuery | ((arg0: Object) => boolean) | undefined;
+    names?: string[] | undefined;
+    include?: string[] | undefined;
+    exclude?: string[] | undefined;
+    gitignore?: boolean | undefined;
+    merge?: boolean | undefined;
+}): ProjectSearchResult;
+/**
+ * Finds everything that uses a declaration, directly or transitively 🔁
+ * The reverse of an extraction: the module graph is loaded from the entry file
+ * (and from every file of `options.rootDir`, to also see files that import the
+ * target without being imported by the entry), then references are followed
+ * backwards from the selected declarations. Nested declarations make their
+ * containers dependents too, since changing a method changes its class.
+ * @param {string|null} sourceCode - Source of the entry file, or null to read it
+ * @param {string|RegExp|string[]} target - Exact name(s) (`helper` or `Class.method`), or a regex tested against qualified names
+ * @param {string} [currentFilePath] - Entry file path for import resolution
+ * @param {Object} [options] - Extraction options (see extractPatternWithDependencies), plus:
+ * @param {string} [options.rootDir] - Also load every project file below this directory (see searchProject for `include`, `exclude` and `gitignore`)
+ * @returns {ImpactResult} Dependents, affected files and exported entry points
+ */
+export function findDependents(sourceCode: string | null, target: string | RegExp | string[], currentFilePath?: string, options?: {
+    rootDir?: string | undefined;
+}): ImpactResult;
+/**
+ * Reports declarations that nothing reachable ever uses 🪦
+ * Live code starts from the entry files (their top-level code and exports) or,
+ * with `roots: "exports"`, from every export of every module. Top-level code of
+ * every module reached through imports is live too, since importing runs it.
+ * Methods of a live class count as live, as calls through instances can't be
+ * resolved; nested declarations are reported inside live containers only.
+ * @param {string|string[]} entryFiles - Entry files (may be empty with `roots: "exports"`)
+ * @param {Object} [options] - Extraction options (see extractPatternWithDependencies), plus:
+ * @param {string} [options.rootDir] - Also scan every project file below this directory, so never-imported files are reported (see searchProject for `include`, `exclude` and `gitignore`)
+ * @param {'entries'|'exports'} [options.roots] - What is used from outside: the entry files (default when entries are given) or every export
+ * @returns {DeadCodeResult} Dead declarations and unreachable files
+ */
+export function findDeadCode(entryFiles: string | string[], options?: {
+    rootDir?: string | undefined;
+    roots?: "entries" | "exports" | undefined;
+}): DeadCodeResult;
 /**
  * Convenience function with import resolution and pattern matching! 💫
  * @param {string} code - The source code to parse
- * @param {string} regexPattern - Regular expression pattern to match against code
+ * @param {string|RegExp|(function(Object): boolean)|DeclarationQuery} regexPattern - Regular expression pattern to match against code, or an AST selector or predicate (see extractPatternWithDependencies)
  * @param {string} [currentFilePath] - Current file path for import resolution
+ * @param {Object} [options] - Extraction options (see extractPatternWithDependencies)
  * @returns {ExtractionResult} The extraction result
  */
-export function findAndExtract(code: string, regexPattern: string, currentFilePath?: string): ExtractionResult;
+export function findAndExtract(code: string, regexPattern: string | RegExp | ((arg0: Object) => boolean) | DeclarationQuery, currentFilePath?: string, options?: Object): ExtractionResult;
+/**
+ * @typedef {Object} PatternBreakdown
+ * @property {string} pattern - The pattern, as given (regexes as `/source/flags`)
+ * @property {boolean} matched - Whether the pattern matched any declaration
+ * @property {string[]} matchedPatterns - Declarations the pattern matched
+ * @property {string[]} dependencies - Declarations pulled in for those matches
+ * @property {number} totalNodesIncluded - Declarations this pattern alone would emit
+ */
 /**
  * Super cute helper to extract multiple patterns at once! 🌈
+ * Each pattern is extracted on its own, with its own flags (strings are
+ * case-insensitive), then the extractions are merged so declarations shared
+ * between patterns are emitted once. `metadata.patterns` tells which pattern
+ * matched and pulled in what, and `metadata.unmatchedPatterns` lists the
+ * patterns that matched nothing.
  * @param {string} code - The source code to parse
- * @param {Array<string>} regexPatterns - Array of regex pattern strings
+ * @param {Array<string|RegExp>} regexPatterns - Regex pattern strings or regexes
  * @param {string} [currentFilePath] - Current file path for import resolution
- * @returns {ExtractionResult} Combined extraction result
+ * @param {Object} [options] - Extraction options (see extractPatternWithDependencies)
+ * @returns {ExtractionResult & {metadata: {patterns: PatternBreakdown[], unmatchedPatterns: string[], duplicatesRemoved: number}}} Combined extraction result
  */
-export function extractMultiplePatterns(code: string, regexPatterns: Array<string>, currentFilePath?: string): ExtractionResult;
+export function extractMultiplePatterns(code: string, regexPatterns: Array<string | RegExp>, currentFilePath?: string, options?: Object): ExtractionResult & {
+    metadata: {
+        patterns: PatternBreakdown[];
+        unmatchedPatterns: string[];
+        duplicatesRemoved: number;
+    };
+};
 /**
  * Extract by exact name matches (for backwards compatibility) 💝
  * @param {string} code - The source code to parse
  * @param {Array<string>} names - Array of exact names to match
  * @param {string} [currentFilePath] - Current file path for import resolution
+ * @param {Object} [options] - Extraction options (see extractPatternWithDependencies)
  * @returns {ExtractionResult} The extraction result
  */
-export function extractByNames(code: string, names: Array<string>, currentFilePath?: string): ExtractionResult;
+export function extractByNames(code: string, names: Array<string>, currentFilePath?: string, options?: Object): ExtractionResult;
 /**
  * Helper function to create regex patterns for common code patterns 🎨
  * @param {string} patternType - Type of pattern ('function', 'class', 'variable', 'arrow', 'method', 'export')
@@ -99,31 +688,71 @@ export function createPattern(patternType: string, namePattern?: string): RegExp
  * Simple regex-based code extraction that finds containers and extracts with dependencies 🎯
  * Finds ANY code pattern with regex, locates its container (function/class/method),
  * then extracts that container with all dependencies!
+ * Each match goes to the innermost declaration whose source range encloses it,
+ * and `matchDetails` reports its line, column and capture groups.
  * @param {string} code - Source code to search in
  * @param {string|RegExp} pattern - Regex pattern to match ANY piece of code
  * @param {boolean} [extractFull=true] - Whether to extract full declarations with dependencies
+ * @param {ExtractionOptions & {filePath?: string}} [options] - Extraction options, plus `filePath`: path of the code, picking TypeScript/JSX parsing and resolving its imports (`main.js` in the working directory by default)
  * @returns {Object} Extraction results with container and dependencies
  */
-export function simpleRegexExtract(code: string, pattern: string | RegExp, extractFull?: boolean): Object;
+export function simpleRegexExtract(code: string, pattern: string | RegExp, extractFull?: boolean, options?: ExtractionOptions & {
+    filePath?: string;
+}): Object;
 /**
  * Just match stuff in code, no fancy parsing! 🌟
  * @param {string} code - Source code to search
  * @param {string|RegExp} pattern - Regex pattern to match
  * @param {boolean} [extractFull=false] - Extract full declarations or just matches
+ * @param {Object} [options] - Extraction options (see simpleRegexExtract)
  * @returns {Object} Simple results
  */
-export function justMatch(code: string, pattern: string | RegExp, extractFull?: boolean): Object;
+export function justMatch(code: string, pattern: string | RegExp, extractFull?: boolean, options?: Object): Object;
 /**
  * Find and extract with BOTH methods! Best of both worlds~ 🎭
  * @param {string} code - The source code
  * @param {string} pattern - Regex pattern
  * @param {string} [method='simple'] - 'simple' for regex.match() or 'complex' for AST parsing
- * @param {string} [currentFilePath] - File path for complex method
+ * @param {string} [currentFilePath] - Path of the code, for parsing and import resolution
+ * @param {Object} [options] - Extraction options (see extractPatternWithDependencies)
  * @returns {Object} Results based on chosen method
  */
-export function flexibleExtract(code: string, pattern: string, method?: string, currentFilePath?: string): Object;
+export function flexibleExtract(code: string, pattern: string, method?: string, currentFilePath?: string, options?: Object): Object;
+/**
+ * Translates a position in extracted code back to the original file 🔙
+ * Lines are 1-based and columns 0-based, as in Babel's `loc` and source maps.
+ * @param {Object} sourceMap - The `sourceMap` returned by an extraction
+ * @param {number} line - Line in the extracted code
+ * @param {number} [column=0] - Column in the extracted code
+ * @returns {{file: string, line: number, column: number}|null} Original position, or null if unmapped
+ */
+export function getOriginalPosition(sourceMap: Object, line: number, column?: number): {
+    file: string;
+    line: number;
+    column: number;
+} | null;
+import { formatGraph } from "./dependency-graph.js";
 /**
  * Pretty print extraction results! 🎨
- * @param {ExtractionResult} result - The extraction result to print
+ * Works for both `extractPatternWithDependencies` results and `simpleRegexExtract` results.
+ * @param {ExtractionResult|Object} result - The extraction result to print
+ * @param {Object} [options] - Printing options
+ * @param {boolean} [options.explain=false] - Also print why each declaration is included, as a tree
+ */
+export function printResults(result: ExtractionResult | Object, options?: {
+    explain?: boolean | undefined;
+}): void;
+/**
+ * @typedef {Object} CallContext
+ * @property {Object} logger - Logger of the call (see createLogger)
+ * @property {function(string, ...*): void} emit - Calls an event hook of the call, if one was given
+ * @property {DeclarationIndex} declarationIndex - Declaration lookups of every file the call parsed
+ * @property {Map<Object, ModuleInfo>} requiredModules - Modules loaded for `require()` calls, keyed by the call node
+ */
+/**
+ * Changes how chatty the library logger is by default 🔊
+ * Calls that pass `logLevel` or `logger` in their options are not affected.
+ * @param {'SILENT'|'ERROR'|'WARN'|'INFO'|'DEBUG'|'SUCCESS'} level - Most verbose level to print
  */
-export function printResults(result: ExtractionResult): void;
+export function setLogLevel(level: "SILENT" | "ERROR" | "WARN" | "INFO" | "DEBUG" | "SUCCESS"): void;
+export { formatGraph };
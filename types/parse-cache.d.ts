@@ -0,0 +1,40 @@
+export type ParseCache = {
+    /**
+     * - Returns the parsed file for a path, if its content didn't change
+     */
+    get: (arg0: string, arg1: string) => (Object | null);
+    /**
+     * - Stores a parsed file for a path and content
+     */
+    set: (arg0: string, arg1: string, arg2: Object) => void;
+    /**
+     * - Forgets one path
+     */
+    delete: (arg0: string) => boolean;
+    /**
+     * - Forgets every path
+     */
+    clear: () => void;
+    /**
+     * - Cache usage so far
+     */
+    stats: () => {
+        size: number;
+        hits: number;
+        misses: number;
+    };
+};
+/**
+ * @typedef {Object} ParseCache
+ * @property {function(string, string): (Object|null)} get - Returns the parsed file for a path, if its content didn't change
+ * @property {function(string, string, Object): void} set - Stores a parsed file for a path and content
+ * @property {function(string): boolean} delete - Forgets one path
+ * @property {function(): void} clear - Forgets every path
+ * @property {function(): {size: number, hits: number, misses: number}} stats - Cache usage so far
+ */
+/**
+ * Creates a cache of parsed files keyed by path and content hash 🗃️
+ * A path keeps only its latest version: editing a file replaces its entry.
+ * @returns {ParseCache} The cache
+ */
+export function createParseCache(): ParseCache;
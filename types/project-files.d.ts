@@ -0,0 +1,20 @@
+/**
+ * Lists the source files of a project, honoring include/exclude globs and `.gitignore` 🗂️
+ * Globs are matched against paths relative to the root. `.gitignore` files are
+ * read from the root and every directory below it, each one applying to its own
+ * subtree like in git. `.git` directories are always skipped, and so are
+ * directories the exclude globs cover entirely (`dir/**` matches), without
+ * being read.
+ * @param {string} rootDir - Project root
+ * @param {import("./file-system.js").FileSystem} fileSystem - File access (disk or virtual files)
+ * @param {Object} [options] - Listing options
+ * @param {string[]} [options.include] - Globs of files to search (JS/TS sources by default)
+ * @param {string[]} [options.exclude] - Globs of files to skip (node_modules and .d.ts by default)
+ * @param {boolean} [options.gitignore=true] - Whether to skip files ignored by `.gitignore`
+ * @returns {string[]} Absolute paths of the matching files, sorted
+ */
+export function listProjectFiles(rootDir: string, fileSystem: import("./file-system.js").FileSystem, options?: {
+    include?: string[] | undefined;
+    exclude?: string[] | undefined;
+    gitignore?: boolean | undefined;
+}): string[];
@@ -0,0 +1,54 @@
+export type ResolvedImport = {
+    /**
+     * - Absolute path of the resolved file
+     */
+    path: string;
+    /**
+     * - Rule that resolved the import
+     */
+    rule: "custom" | "relative" | "absolute" | "alias" | "tsconfig-paths" | "tsconfig-baseUrl" | "package-imports" | "package-exports" | "node-modules";
+    /**
+     * - Package the file belongs to, when the import reached into another package
+     */
+    packageName?: string | undefined;
+};
+/**
+ * @typedef {Object} ResolvedImport
+ * @property {string} path - Absolute path of the resolved file
+ * @property {'custom'|'relative'|'absolute'|'alias'|'tsconfig-paths'|'tsconfig-baseUrl'|'package-imports'|'package-exports'|'node-modules'} rule - Rule that resolved the import
+ * @property {string} [packageName] - Package the file belongs to, when the import reached into another package
+ */
+/**
+ * Creates an import resolver with its own config and package.json caches 🧭
+ * Tries, in order: relative/absolute paths, the user alias map, tsconfig/jsconfig
+ * `paths` and `baseUrl`, package.json `imports` (`#internal`), package.json
+ * `exports` and finally the package's `module`/`main` field in node_modules.
+ * @param {Object} [options] - Resolver options
+ * @param {Object<string, string|string[]>} [options.alias] - Alias map, e.g. `{"@/*": "./src/*", "~": "./lib"}`; relative targets start from the project root (nearest package.json)
+ * @param {string[]} [options.conditions] - package.json `exports`/`imports` conditions, in priority order
+ * @param {string[]} [options.mainFields=["module", "main"]] - package.json fields to read the entry from when a package has no `exports`
+ * @param {string|false} [options.tsconfig] - Explicit tsconfig/jsconfig path, or false to ignore them (nearest one by default)
+ * @param {function(string, string): (string|ResolvedImport|null|undefined)} [options.resolve] - Custom resolver tried first; returning null or undefined falls back to the built-in rules
+ * @param {import("./file-system.js").FileSystem} [options.fileSystem] - File access to use (see createFileSystem)
+ * @param {Object} [options.logger] - Logger for resolution problems
+ * @returns {function(string, string): ResolvedImport|null} Resolves an import from the importing file
+ */
+export function createResolver(options?: {
+    alias?: {
+        [x: string]: string | string[];
+    } | undefined;
+    conditions?: string[] | undefined;
+    mainFields?: string[] | undefined;
+    tsconfig?: string | false | undefined;
+    resolve?: ((arg0: string, arg1: string) => (string | ResolvedImport | null | undefined)) | undefined;
+    fileSystem?: import("./file-system.js").FileSystem | undefined;
+    logger?: Object | undefined;
+}): (arg0: string, arg1: string) => ResolvedImport | null;
+/**
+ * Resolves a path to a file, trying known extensions and index files 🔍
+ * @param {string} basePath - Absolute path without or with extension
+ * @param {import("./file-system.js").FileSystem} fileSystem - File access
+ * @returns {string|null} Resolved file path or null if not found
+ */
+export function resolveFile(basePath: string, fileSystem: import("./file-system.js").FileSystem): string | null;
+export const RESOLVE_EXTENSIONS: string[];
@@ -0,0 +1,10 @@
+/**
+ * Compiles an AST selector into a predicate over Babel paths 🔎
+ * Supports a subset of esquery syntax: node types (Babel aliases such as
+ * `Function` too) or `*`, attributes (`[async]`, `[callee.property.name="decrypt"]`,
+ * `[value!=0]`, `[callee.name=/Worker/i]`), descendant (` `) and child (`>`)
+ * combinators, and `,` between alternatives.
+ * @param {string} source - Selector, e.g. `CallExpression[callee.property.name="decrypt"]`
+ * @returns {function(Object): boolean} Predicate telling whether a path matches
+ */
+export function compileSelector(source: string): (arg0: Object) => boolean;